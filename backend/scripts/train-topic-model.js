@@ -0,0 +1,64 @@
+/**
+ * Train the topic model behind /api/topics offline, from the podcasts the
+ * backend has cached under its data directory (and the fixture catalog when
+ * CATALOG_PROVIDER=fixture or --fixture is given). The running server picks
+ * up the new model on its next request.
+ *
+ * Usage: npm run train:topics -- [--topics 12] [--iterations 200] [--fixture]
+ */
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.resolve(__dirname, '../config/.env') });
+
+const {
+  collectCachedPodcasts,
+  trainTopicModel,
+  saveTopicModel,
+  DEFAULT_TRAINING_OPTIONS
+} = require('../src/services/topic-model');
+
+/**
+ * Read --name value options from the command line
+ * @param {Array<string>} args Command line arguments
+ * @returns {Object} Training options and flags
+ */
+const parseArgs = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i++) {
+    const [name, inlineValue] = args[i].replace(/^--/, '').split('=');
+    if (name === 'fixture') {
+      options.includeFixture = true;
+      continue;
+    }
+    if (!['topics', 'iterations'].includes(name)) {
+      throw new Error(`Unknown option ${args[i]}`);
+    }
+
+    const value = Number(inlineValue ?? args[++i]);
+    if (!Number.isInteger(value) || value < 1) {
+      throw new Error(`--${name} must be a positive integer`);
+    }
+    options[name] = value;
+  }
+  return options;
+};
+
+const main = () => {
+  const { includeFixture, ...options } = parseArgs(process.argv.slice(2));
+  const podcasts = collectCachedPodcasts(includeFixture ? { includeFixture } : {});
+  console.log(`Training on ${podcasts.length} cached podcasts`);
+
+  const model = trainTopicModel(podcasts, { ...DEFAULT_TRAINING_OPTIONS, ...options });
+  const filePath = saveTopicModel(model);
+
+  model.topics.forEach(topic => console.log(`  ${String(topic.id).padStart(2)}  ${topic.label} (${topic.podcast_count} podcasts)`));
+  console.log(`Saved ${model.topics.length} topics over ${model.documents} podcasts to ${filePath}`);
+};
+
+try {
+  main();
+} catch (error) {
+  console.error('Topic model training failed:', error.message);
+  process.exit(1);
+}
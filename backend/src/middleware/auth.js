@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { findUserBySession } = require('../services/users');
+const { httpError } = require('../utils/http-error');
+
+const SESSION_COOKIE = 'pm_session';
+
+/**
+ * Read the session token from the Authorization header or the session cookie
+ * @param {Object} req - Express request object
+ * @returns {string|null} Session token
+ */
+const readSessionToken = (req) => {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme && scheme.toLowerCase() === 'bearer' && token) {
+    return token;
+  }
+
+  const cookie = (req.get('cookie') || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${SESSION_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.slice(SESSION_COOKIE.length + 1)) : null;
+};
+
+/**
+ * Attach the logged-in user (if any) to req.user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const authenticate = (req, res, next) => {
+  try {
+    req.sessionToken = readSessionToken(req);
+    req.user = findUserBySession(req.sessionToken);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reject requests without a valid session
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return next(httpError(401, 'Please log in to continue'));
+  }
+  next();
+};
+
+/**
+ * Reject requests without the operator token (ADMIN_TOKEN) in the X-Admin-Token
+ * header. Anyone can register, so shared maintenance endpoints can't rely on a
+ * session; without ADMIN_TOKEN they are switched off
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ */
+const requireAdminToken = (req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return next(httpError(403, 'This endpoint is disabled. Set ADMIN_TOKEN to enable it.'));
+  }
+
+  // Compare digests so the check takes the same time whatever the token
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  if (!crypto.timingSafeEqual(digest(req.get('x-admin-token') || ''), digest(expected))) {
+    return next(httpError(403, 'A valid X-Admin-Token header is required'));
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  requireAuth,
+  requireAdminToken,
+  readSessionToken,
+  SESSION_COOKIE
+};
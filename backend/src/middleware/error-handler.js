@@ -10,7 +10,13 @@ const errorHandler = (err, req, res, next) => {
   console.error('API Error:', err);
 
   // Determine appropriate status code
-  const statusCode = res.statusCode !== 200 ? res.statusCode : 500;
+  let statusCode = err.statusCode || (res.statusCode !== 200 ? res.statusCode : 500);
+
+  // Upstream API failures: keep "not found", report everything else as a bad gateway
+  const upstreamStatus = err.response && err.response.status;
+  if (!err.statusCode && upstreamStatus) {
+    statusCode = upstreamStatus === 404 ? 404 : 502;
+  }
 
   // Prepare error response
   const response = {
@@ -21,8 +27,20 @@ const errorHandler = (err, req, res, next) => {
   // Add more useful context for frontend if available
   if (err.code === 'ECONNREFUSED') {
     response.message = 'External API service is unavailable';
+    statusCode = 503;
   } else if (err.response && err.response.data) {
     response.details = err.response.data;
+  } else if (err.details) {
+    response.details = err.details;
+  }
+
+  if (upstreamStatus) {
+    response.upstreamStatus = upstreamStatus;
+  }
+
+  // Tell clients when to come back (e.g. upstream quota exhausted)
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
   }
 
   res.status(statusCode).json(response);
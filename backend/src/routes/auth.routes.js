@@ -0,0 +1,62 @@
+const express = require('express');
+const { registerUser, loginUser, deleteSession, SESSION_TTL_MS } = require('../services/users');
+const { requireAuth, SESSION_COOKIE } = require('../middleware/auth');
+
+/**
+ * Setup account routes (register, login, logout, current user)
+ * @returns {Object} Express router with auth routes
+ */
+const setupAuthRoutes = () => {
+  const router = express.Router();
+
+  // Clients can use the returned token as a bearer token or rely on the cookie
+  const sendSession = (res, session, status = 200) => {
+    res.cookie(SESSION_COOKIE, session.token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: SESSION_TTL_MS
+    });
+    res.status(status).json(session);
+  };
+
+  // Create an account and log in
+  router.post('/register', (req, res, next) => {
+    try {
+      const session = registerUser(req.body || {});
+      console.log(`Registered user ${session.user.username}`);
+      sendSession(res, session, 201);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Log in with username and password
+  router.post('/login', (req, res, next) => {
+    try {
+      sendSession(res, loginUser(req.body || {}));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // End the current session
+  router.post('/logout', (req, res, next) => {
+    try {
+      deleteSession(req.sessionToken);
+      res.clearCookie(SESSION_COOKIE);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Current user
+  router.get('/me', requireAuth, (req, res) => {
+    res.json({ user: req.user });
+  });
+
+  return router;
+};
+
+module.exports = setupAuthRoutes;
@@ -0,0 +1,92 @@
+const express = require('express');
+const {
+  listCollections,
+  getCollection,
+  getCollectionFavorites,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  addToCollection,
+  removeFromCollection
+} = require('../services/collections');
+const { requireAuth } = require('../middleware/auth');
+
+/**
+ * Setup routes for the logged-in user's named favorite collections
+ * @returns {Object} Express router with collection routes
+ */
+const setupCollectionRoutes = () => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // List collections
+  router.get('/', (req, res, next) => {
+    try {
+      res.json({ collections: listCollections(req.user.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Create a collection ({ name })
+  router.post('/', (req, res, next) => {
+    try {
+      res.status(201).json({ collection: createCollection(req.user.id, req.body?.name) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // One collection with its podcasts
+  router.get('/:id', (req, res, next) => {
+    try {
+      res.json({
+        collection: getCollection(req.user.id, req.params.id),
+        favorites: getCollectionFavorites(req.user.id, req.params.id)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Rename a collection ({ name })
+  router.patch('/:id', (req, res, next) => {
+    try {
+      res.json({ collection: renameCollection(req.user.id, req.params.id, req.body?.name) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Delete a collection; its podcasts stay in favorites
+  router.delete('/:id', (req, res, next) => {
+    try {
+      deleteCollection(req.user.id, req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Add a favorite to a collection
+  router.put('/:id/podcasts/:podcastId', (req, res, next) => {
+    try {
+      res.json({ collection: addToCollection(req.user.id, req.params.id, req.params.podcastId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Remove a podcast from a collection
+  router.delete('/:id/podcasts/:podcastId', (req, res, next) => {
+    try {
+      res.json({ collection: removeFromCollection(req.user.id, req.params.id, req.params.podcastId) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = setupCollectionRoutes;
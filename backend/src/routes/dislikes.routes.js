@@ -0,0 +1,62 @@
+const express = require('express');
+const { listDislikes, addDislikes, removeDislike, clearDislikes } = require('../services/dislikes');
+const { requireAuth } = require('../middleware/auth');
+const { httpError } = require('../utils/http-error');
+
+/**
+ * Setup routes for podcasts the logged-in user marked "not interested"
+ * @returns {Object} Express router with dislike routes
+ */
+const setupDislikeRoutes = () => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // List dislikes, newest first
+  router.get('/', (req, res, next) => {
+    try {
+      res.json({ dislikes: listDislikes(req.user.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Mark a podcast ({ podcast }) or several ({ dislikes }) as not interested
+  router.post('/', (req, res, next) => {
+    try {
+      const { podcast, dislikes } = req.body || {};
+      if (dislikes !== undefined && !Array.isArray(dislikes)) {
+        throw httpError(400, 'dislikes must be an array of podcasts');
+      }
+
+      addDislikes(req.user.id, dislikes || [podcast]);
+      res.status(201).json({ dislikes: listDislikes(req.user.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Undo one dislike
+  router.delete('/:id', (req, res, next) => {
+    try {
+      if (!removeDislike(req.user.id, req.params.id)) {
+        throw httpError(404, 'Podcast is not marked as not interested');
+      }
+      res.json({ dislikes: listDislikes(req.user.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Undo all dislikes
+  router.delete('/', (req, res, next) => {
+    try {
+      res.json({ removed: clearDislikes(req.user.id), dislikes: [] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = setupDislikeRoutes;
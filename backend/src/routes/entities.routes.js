@@ -0,0 +1,54 @@
+const express = require('express');
+const { indexPodcastEntities, findPodcastsByEntity } = require('../utils/entities');
+const { httpError } = require('../utils/http-error');
+
+const SEARCH_PAGE_SIZE = 10;
+
+/**
+ * Setup routes for looking up podcasts by the people, organizations and places they mention
+ * @param {Object} catalog - Podcast catalog provider (see services/catalog)
+ * @returns {Object} Express router with entity routes
+ */
+const setupEntityRoutes = (catalog) => {
+  const router = express.Router();
+
+  // Podcasts mentioning an entity, e.g. /api/entities/Priya%20Raman/podcasts.
+  // The catalog is searched for the name first so podcasts the server hasn't
+  // seen yet are found too (?search=0 only uses the local entity index)
+  router.get('/:name/podcasts', async (req, res, next) => {
+    try {
+      const name = req.params.name.trim();
+      if (!name) {
+        throw httpError(400, 'An entity name is required');
+      }
+
+      if (req.query.search !== '0') {
+        try {
+          const results = await catalog.search({
+            q: `"${name}"`,
+            type: 'podcast',
+            only_in: 'description',
+            page_size: SEARCH_PAGE_SIZE
+          });
+          indexPodcastEntities(results.results);
+        } catch (error) {
+          // Running out of quota shouldn't hide what the index already knows
+          console.error(`Error searching the catalog for "${name}":`, error.message);
+        }
+      }
+
+      const found = findPodcastsByEntity(name);
+      if (!found) {
+        throw httpError(404, `No podcasts mention "${name}"`);
+      }
+
+      res.json({ entity: found.entity, total: found.podcasts.length, podcasts: found.podcasts });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = setupEntityRoutes;
@@ -0,0 +1,99 @@
+const express = require('express');
+const {
+  listFavorites,
+  addFavorite,
+  addFavorites,
+  removeFavorite,
+  clearFavorites,
+  replaceFavorites,
+  reorderFavorites
+} = require('../services/favorites');
+const { requireAuth } = require('../middleware/auth');
+const { httpError } = require('../utils/http-error');
+
+/**
+ * Setup routes for the logged-in user's favorites
+ * @returns {Object} Express router with favorites routes
+ */
+const setupFavoritesRoutes = () => {
+  const router = express.Router();
+  router.use(requireAuth);
+
+  // List favorites in saved order
+  router.get('/', (req, res, next) => {
+    try {
+      res.json({ favorites: listFavorites(req.user.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Add a podcast ({ podcast }) to the end of the list
+  router.post('/', (req, res, next) => {
+    try {
+      const added = addFavorite(req.user.id, req.body?.podcast);
+      res.status(added ? 201 : 200).json({ added, favorites: listFavorites(req.user.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Import many favorites at once ({ favorites }), e.g. from localStorage; existing ones are skipped
+  router.post('/import', (req, res, next) => {
+    try {
+      const { favorites } = req.body || {};
+      if (!Array.isArray(favorites)) {
+        throw httpError(400, 'favorites must be an array of podcasts');
+      }
+
+      const result = addFavorites(req.user.id, favorites);
+      console.log(`Imported ${result.added} favorites for ${req.user.username} (${result.skipped} already saved)`);
+      res.json({ ...result, favorites: listFavorites(req.user.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Replace all favorites with a new list ({ favorites }); nothing changes when the list is rejected
+  router.put('/', (req, res, next) => {
+    try {
+      res.json({ favorites: replaceFavorites(req.user.id, req.body?.favorites) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Reorder favorites ({ ids } in the new order)
+  router.put('/order', (req, res, next) => {
+    try {
+      res.json({ favorites: reorderFavorites(req.user.id, req.body?.ids) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Remove one favorite
+  router.delete('/:id', (req, res, next) => {
+    try {
+      if (!removeFavorite(req.user.id, req.params.id)) {
+        throw httpError(404, 'Podcast is not in your favorites');
+      }
+      res.json({ favorites: listFavorites(req.user.id) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Remove all favorites; they leave every collection too (use PUT / to replace the list)
+  router.delete('/', (req, res, next) => {
+    try {
+      res.json({ removed: clearFavorites(req.user.id), favorites: [] });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = setupFavoritesRoutes;
@@ -1,17 +1,27 @@
 const express = require('express');
+const { importFeed } = require('../services/feed-import');
+const { buildOpml, parseOpml, resolveOutlines } = require('../services/opml');
+const { listEpisodes, parseEpisodeQuery } = require('../services/episodes');
+const { getGenreTaxonomy } = require('../services/genres');
+const { addToCorpus } = require('../utils/text-processing');
+const { indexPodcastEntities } = require('../utils/entities');
 const router = express.Router();
 
+// Content types accepted for raw feed uploads
+const FEED_CONTENT_TYPES = ['application/rss+xml', 'application/atom+xml', 'application/xml', 'text/xml'];
+const OPML_CONTENT_TYPES = ['text/x-opml', 'application/xml', 'text/xml'];
+
 /**
- * Setup podcast routes with the API client
- * @param {Object} listenNotesClient - Axios instance for Listen Notes API
+ * Setup podcast routes with the catalog provider
+ * @param {Object} catalog - Podcast catalog provider (see services/catalog)
  * @returns {Object} Express router with podcast routes
  */
-const setupPodcastRoutes = (listenNotesClient) => {
+const setupPodcastRoutes = (catalog) => {
   // Search podcasts
   router.get('/search', async (req, res, next) => {
     try {
       const { query, sort_by_date, len_min, len_max, genre_ids, page_size } = req.query;
-      const searchParams = new URLSearchParams({
+      const searchParams = {
         q: query || '',
         sort_by_date: sort_by_date || 0,
         len_min: len_min || 0,
@@ -20,32 +30,70 @@ const setupPodcastRoutes = (listenNotesClient) => {
         page_size: page_size || 10,
         type: 'podcast',
         only_in: 'title,description',
-      });
+      };
 
       console.log(`Searching for podcasts with query: "${query}"`);
-      const response = await listenNotesClient.get(`/search?${searchParams}`);
+      res.json(await catalog.search(searchParams));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Import a podcast from an RSS/Atom feed URL ({ url }), an uploaded document
+  // ({ xml }) or a raw XML request body
+  router.post('/import-feed', express.text({ type: FEED_CONTENT_TYPES, limit: '5mb' }), async (req, res, next) => {
+    try {
+      const source = typeof req.body === 'string'
+        ? { xml: req.body }
+        : { url: req.body?.url, xml: req.body?.xml };
 
-      res.json(response.data);
+      const podcast = await importFeed(source, catalog);
+      res.status(201).json({ podcast });
     } catch (error) {
       next(error);
     }
   });
 
-  // Get podcast details
-  router.get('/:id', async (req, res, next) => {
+  // Resolve an OPML subscription list against the catalog ({ opml } or a raw
+  // OPML body) and report which entries could not be matched
+  router.post('/opml/import', express.text({ type: OPML_CONTENT_TYPES, limit: '5mb' }), async (req, res, next) => {
     try {
-      const response = await listenNotesClient.get(`/podcasts/${req.params.id}`);
-      res.json(response.data);
+      const opml = typeof req.body === 'string' ? req.body : req.body?.opml;
+      if (!opml) {
+        return res.status(400).json({ message: 'An OPML document is required' });
+      }
+
+      const outlines = parseOpml(opml);
+      console.log(`Resolving ${outlines.length} OPML entries against the catalog`);
+
+      const { matched, unmatched } = await resolveOutlines(outlines, catalog, {
+        importFeeds: req.body?.importFeeds === true || req.query.import_feeds === '1'
+      });
+
+      res.json({ total: outlines.length, matched, unmatched });
     } catch (error) {
       next(error);
     }
   });
 
-  // Get podcast genres
+  // Export podcasts (typically the user's favorites) as an OPML file
+  router.post('/opml/export', (req, res) => {
+    const { favorites, title } = req.body || {};
+    if (!Array.isArray(favorites)) {
+      return res.status(400).json({ message: 'Favorites list is required and must be an array' });
+    }
+
+    res
+      .type('text/x-opml')
+      .attachment('podcast-favorites.opml')
+      .send(buildOpml(favorites, { title }));
+  });
+
+  // Get the genre tree (id, name, parent_id), cached for a day
   router.get('/genres', async (req, res, next) => {
     try {
-      const response = await listenNotesClient.get('/genres');
-      res.json(response.data);
+      const { genres } = await getGenreTaxonomy(catalog).load();
+      res.json({ genres });
     } catch (error) {
       next(error);
     }
@@ -55,16 +103,40 @@ const setupPodcastRoutes = (listenNotesClient) => {
   router.get('/trending', async (req, res, next) => {
     try {
       const { genre_id, page_size } = req.query;
-      const params = new URLSearchParams({
+      const params = {
         page_size: page_size || 10
-      });
+      };
       
       if (genre_id) {
-        params.append('genre_id', genre_id);
+        params.genre_id = genre_id;
       }
       
-      const response = await listenNotesClient.get(`/best_podcasts?${params}`);
-      res.json(response.data);
+      const trending = await catalog.bestPodcasts(params);
+      addToCorpus(trending.podcasts);
+      indexPodcastEntities(trending.podcasts);
+      res.json(trending);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // List a podcast's episodes with cursor pagination
+  // (?cursor=<next_cursor>&sort=recent_first|oldest_first&limit=10)
+  router.get('/:id/episodes', async (req, res, next) => {
+    try {
+      const options = parseEpisodeQuery(req.query);
+      res.json(await listEpisodes(catalog, req.params.id, options));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Get podcast details; its episodes feed the entity index
+  router.get('/:id', async (req, res, next) => {
+    try {
+      const podcast = await catalog.getPodcast(req.params.id);
+      indexPodcastEntities([podcast]);
+      res.json(podcast);
     } catch (error) {
       next(error);
     }
@@ -1,63 +1,230 @@
 const express = require('express');
-const { 
-  getCandidatePodcasts, 
-  generateRecommendations,
-  standardizeFavorites
-} = require('../services/recommendations');
+const { runRecommendationPipeline } = require('../services/recommendation-pipeline');
+const { getCollectionFavorites } = require('../services/collections');
+const { listFavorites } = require('../services/favorites');
+const { normalizeDislikes, listDislikes } = require('../services/dislikes');
+const { getUserWeights, recordFeedback } = require('../services/ranking-weights');
+const { resolveRankingOptions } = require('../services/ranking-options');
+const { parseFilters } = require('../services/recommendation-filters');
+const { requireAuth } = require('../middleware/auth');
+const { httpError } = require('../utils/http-error');
+const { openEventStream } = require('../utils/sse');
+const { startJob, getJob, cancelJob, subscribeToJob } = require('../services/recommendation-jobs');
+const { getResultsPage } = require('../services/recommendation-results');
 
 /**
- * Setup recommendation routes with the API client
- * @param {Object} listenNotesClient - Axios instance for Listen Notes API
+ * Resolve the favorites to recommend for: a saved collection when collectionId
+ * is given, otherwise the favorites sent in the request body
+ * @param {Object} req - Express request object
+ * @returns {{favorites: Array<Object>, excludeIds: Set<string>}} Favorites and IDs to keep out of the results
+ */
+const resolveFavorites = (req) => {
+  const { favorites, collectionId } = req.body || {};
+  
+  if (collectionId === undefined || collectionId === null || collectionId === '') {
+    if (!Array.isArray(favorites) || favorites.length === 0) {
+      throw httpError(400, 'Favorites list is required and must be an array');
+    }
+    return { favorites, excludeIds: new Set() };
+  }
+  
+  if (!req.user) {
+    throw httpError(401, 'Please log in to get recommendations for a collection');
+  }
+  
+  // Favorites outside the collection are known to the user, so don't recommend them either
+  const collectionFavorites = getCollectionFavorites(req.user.id, collectionId);
+  if (collectionFavorites.length === 0) {
+    throw httpError(400, 'This collection has no podcasts yet. Add some favorites to it first.');
+  }
+  
+  return {
+    favorites: collectionFavorites,
+    excludeIds: new Set(listFavorites(req.user.id).map(podcast => podcast.id))
+  };
+};
+
+/**
+ * Dislikes sent with the request plus, for logged-in users, the stored ones
+ * @param {Object} req - Express request object
+ * @returns {Array<Object>} Disliked podcasts (at least { id })
+ */
+const resolveDislikes = (req) => {
+  const dislikes = new Map(normalizeDislikes(req.body?.dislikes).map(podcast => [podcast.id, podcast]));
+  
+  if (req.user) {
+    listDislikes(req.user.id).forEach(podcast => dislikes.set(podcast.id, podcast));
+  }
+  
+  return [...dislikes.values()];
+};
+
+/**
+ * Resolve everything a recommendation run needs from the request
+ * @param {Object} req - Express request object
+ * @returns {Object} Pipeline input (see runRecommendationPipeline)
+ */
+const resolveRequest = (req) => {
+  const { favorites, excludeIds } = resolveFavorites(req);
+  const rankingWeights = getUserWeights(req.user ? req.user.id : null);
+  
+  return {
+    favorites,
+    excludeIds,
+    dislikes: resolveDislikes(req),
+    filters: parseFilters(req.body?.filters),
+    ranking: resolveRankingOptions(req.body?.ranking, rankingWeights),
+    rankingWeights,
+    userId: req.user ? req.user.id : null
+  };
+};
+
+/**
+ * Setup recommendation routes with the catalog provider
+ * @param {Object} catalog - Podcast catalog provider (see services/catalog)
  * @returns {Object} Express router with recommendation routes
  */
-const setupRecommendationRoutes = (listenNotesClient) => {
+const setupRecommendationRoutes = (catalog) => {
   const router = express.Router();
 
   // Generate recommendations
+  // Body: { favorites | collectionId, dislikes?, ranking?: { preset, weights, aggregation, limit, diversity },
+  //         filters?: { language, exclude_explicit, min/max_episode_minutes, active_since, exclude_genre_ids, exclude_publishers } }
   router.post('/', async (req, res, next) => {
     try {
       console.log('Received recommendation request');
-      const { favorites } = req.body;
-      
-      // Debug: Check for complete favorite podcast objects
-      console.log('Received favorites data:', JSON.stringify(favorites, null, 2));
-      
-      if (!favorites || !Array.isArray(favorites) || favorites.length === 0) {
-        return res.status(400).json({ 
-          message: 'Favorites list is required and must be an array',
-          recommendations: []
-        });
-      }
+      res.json(await runRecommendationPipeline(resolveRequest(req), catalog));
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      // Standardize favorite podcasts to ensure all required fields are present
-      const standardizedFavorites = standardizeFavorites(favorites);
-      console.log(`Processing ${standardizedFavorites.length} favorite podcasts`);
-      
-      // Step 1: Get candidate podcasts based on user's favorites
-      const candidates = await getCandidatePodcasts(standardizedFavorites, listenNotesClient);
+  // Same as POST / but streamed as Server-Sent Events: "progress" for each pipeline
+  // step, "partial" with the best matches so far, then "done" or "error"
+  router.post('/stream', async (req, res, next) => {
+    let input;
+    try {
+      input = resolveRequest(req);
+    } catch (error) {
+      return next(error);
+    }
+    
+    // Stop working for clients that have gone away
+    const controller = new AbortController();
+    res.on('close', () => controller.abort());
+    
+    const stream = openEventStream(res);
+    try {
+      const result = await runRecommendationPipeline(input, catalog, {
+        signal: controller.signal,
+        onProgress: ({ stage, ...progress }) => {
+          if (stage === 'partial') {
+            stream.send('partial', progress);
+          } else {
+            stream.send('progress', { stage, ...progress });
+          }
+        }
+      });
       
-      if (!candidates || candidates.length === 0) {
-        return res.status(404).json({ 
-          message: 'No potential recommendations found. Try adding more diverse podcasts to your favorites.',
-          recommendations: []
-        });
+      stream.send('done', result);
+    } catch (error) {
+      console.error('Streamed recommendation request failed:', error);
+      stream.send('error', { message: error.statusCode ? error.message : 'Failed to generate recommendations', statusCode: error.statusCode || 500 });
+    } finally {
+      stream.close();
+    }
+  });
+
+  // Further pages of a ranked result set (?cursor=<next_cursor>&limit=10), without re-running the pipeline
+  router.get('/results/:token', (req, res, next) => {
+    try {
+      res.json(getResultsPage(req.params.token, req.user ? req.user.id : null, req.query));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Start a recommendation run in the background (same body as POST /)
+  // Results are kept for RECOMMENDATION_JOB_TTL_MINUTES so clients can pick them up after reconnecting
+  router.post('/jobs', (req, res, next) => {
+    try {
+      const job = startJob(resolveRequest(req), catalog, req.user ? req.user.id : null);
+      res.status(202).json({ job });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Job status, latest progress and, once completed, the result
+  router.get('/jobs/:id', (req, res, next) => {
+    try {
+      res.json({ job: getJob(req.params.id, req.user ? req.user.id : null) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Follow a job as Server-Sent Events, using the same events as POST /stream
+  // plus "cancelled"; finished jobs replay their outcome straight away
+  router.get('/jobs/:id/events', (req, res, next) => {
+    const userId = req.user ? req.user.id : null;
+    let job;
+    try {
+      job = getJob(req.params.id, userId);
+    } catch (error) {
+      return next(error);
+    }
+    
+    const stream = openEventStream(res);
+    if (job.progress) {
+      stream.send('progress', job.progress);
+    }
+    if (job.partial_recommendations.length > 0) {
+      stream.send('partial', { recommendations: job.partial_recommendations });
+    }
+    
+    const unsubscribe = subscribeToJob(job.id, userId, {
+      onProgress: (stage, progress) => {
+        if (stage === 'partial') {
+          stream.send('partial', progress);
+        } else {
+          stream.send('progress', { stage, ...progress });
+        }
+      },
+      onFinished: (finished) => {
+        if (finished.status === 'completed') {
+          stream.send('done', finished.result);
+        } else if (finished.status === 'cancelled') {
+          stream.send('cancelled', { id: finished.id });
+        } else {
+          stream.send('error', { message: finished.error });
+        }
+        stream.close();
       }
-      
-      console.log(`Found ${candidates.length} candidate podcasts for recommendation`);
-      
-      // Step 2: Generate recommendations with NLP processing
-      console.log('Generating recommendations with NLP...');
-      const recommendations = await generateRecommendations(standardizedFavorites, candidates);
-      
-      if (!recommendations || recommendations.length === 0) {
-        return res.status(404).json({ 
-          message: 'Could not generate meaningful recommendations. Try adding different podcasts to your favorites.',
-          recommendations: []
-        });
+    });
+    res.on('close', unsubscribe);
+  });
+
+  // Cancel a running job, or delete a finished one
+  router.delete('/jobs/:id', (req, res, next) => {
+    try {
+      const job = cancelJob(req.params.id, req.user ? req.user.id : null);
+      if (job) {
+        res.json({ job });
+      } else {
+        res.status(204).end();
       }
-      
-      console.log(`Successfully generated ${recommendations.length} recommendations`);
-      res.json({ recommendations });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Thumbs up/down on a recommendation ({ podcastId, rating: "up"|"down", signals })
+  // Ratings are logged with the score breakdown and refit the user's ranking weights
+  router.post('/feedback', requireAuth, (req, res, next) => {
+    try {
+      const rankingWeights = recordFeedback(req.user.id, req.body || {});
+      res.status(201).json({ ranking_weights: rankingWeights });
     } catch (error) {
       next(error);
     }
@@ -0,0 +1,65 @@
+const express = require('express');
+const { requireAdminToken } = require('../middleware/auth');
+const { getEmbeddingStats } = require('../utils/similarity');
+const { getCorpusStats } = require('../utils/text-processing');
+const { getEntityIndexStats } = require('../utils/entities');
+
+/**
+ * Setup service status routes (upstream quota, cache, embedding, corpus and entity index statistics, maintenance)
+ * @param {Object} catalog - Podcast catalog provider (see services/catalog)
+ * @returns {Object} Express router with status routes
+ */
+const setupStatusRoutes = (catalog) => {
+  const router = express.Router();
+
+  // Remaining upstream quota and request governor counters
+  router.get('/quota', (req, res) => {
+    if (!catalog.governor) {
+      return res.json({ tracked: false, provider: catalog.name });
+    }
+
+    res.json({ tracked: true, provider: catalog.name, ...catalog.governor.status() });
+  });
+
+  // Cache hit/miss statistics for upstream catalog requests
+  router.get('/cache', (req, res) => {
+    if (!catalog.cache) {
+      return res.json({ enabled: false, provider: catalog.name });
+    }
+
+    res.json({ enabled: true, provider: catalog.name, ...catalog.cache.stats() });
+  });
+
+  // Invalidate cached responses, optionally limited to one endpoint
+  // (?endpoint=search) or cache key prefix (?prefix=/podcasts/abc).
+  // Emptying the cache spends everyone's quota on refills, so it takes the operator token
+  router.delete('/cache', requireAdminToken, (req, res) => {
+    if (!catalog.cache) {
+      return res.status(404).json({ message: `Catalog provider "${catalog.name}" has no cache` });
+    }
+
+    const { endpoint, prefix } = req.query;
+    const removed = catalog.cache.invalidate({ endpoint, prefix });
+    console.log(`Invalidated ${removed} cached responses`);
+    res.json({ removed });
+  });
+
+  // Embedding model, persistent embedding store and vector index statistics
+  router.get('/embeddings', (req, res) => {
+    res.json(getEmbeddingStats());
+  });
+
+  // Size of the corpus IDF model used to weigh topics
+  router.get('/corpus', (req, res) => {
+    res.json(getCorpusStats());
+  });
+
+  // Size of the entity index behind /api/entities
+  router.get('/entities', (req, res) => {
+    res.json(getEntityIndexStats());
+  });
+
+  return router;
+};
+
+module.exports = setupStatusRoutes;
@@ -0,0 +1,75 @@
+const express = require('express');
+const { getTopicModel } = require('../services/topic-model');
+const { httpError } = require('../utils/http-error');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * The trained topic model, or a 404 explaining how to train one
+ * @returns {Object} Topic model (see services/topic-model)
+ */
+const requireTopicModel = () => {
+  const model = getTopicModel();
+  if (!model) {
+    throw httpError(404, 'No topic model has been trained yet. Run "npm run train:topics" in the backend.');
+  }
+  return model;
+};
+
+const parseInteger = (value, field, { min, max, fallback }) => {
+  if (value === undefined || value === '') return fallback;
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw httpError(400, `${field} must be an integer between ${min} and ${max}`);
+  }
+  return number;
+};
+
+/**
+ * Setup routes for browsing the themes of the cached catalog (see scripts/train-topic-model.js)
+ * @returns {Object} Express router with topic routes
+ */
+const setupTopicRoutes = () => {
+  const router = express.Router();
+
+  // List the model's topics with their labels, top terms and number of podcasts
+  router.get('/', (req, res, next) => {
+    try {
+      const model = requireTopicModel();
+      res.json({ trained_at: model.trainedAt, documents: model.documents, topics: model.topics });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Podcasts mostly about a topic, largest share first (?limit=20&offset=0)
+  router.get('/:id/podcasts', (req, res, next) => {
+    try {
+      const model = requireTopicModel();
+      const id = parseInteger(req.params.id, 'Topic ID', { min: 0, max: Number.MAX_SAFE_INTEGER });
+      const topic = model.getTopic(id);
+      if (!topic) {
+        throw httpError(404, `Topic not found: ${req.params.id}`);
+      }
+
+      const limit = parseInteger(req.query.limit, 'limit', { min: 1, max: MAX_PAGE_SIZE, fallback: DEFAULT_PAGE_SIZE });
+      const offset = parseInteger(req.query.offset, 'offset', { min: 0, max: Number.MAX_SAFE_INTEGER, fallback: 0 });
+
+      const podcasts = model.podcastsFor(id);
+      res.json({
+        topic,
+        total: podcasts.length,
+        next_offset: offset + limit < podcasts.length ? offset + limit : null,
+        podcasts: podcasts.slice(offset, offset + limit)
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = setupTopicRoutes;
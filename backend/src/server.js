@@ -8,14 +8,25 @@ dotenv.config({ path: path.resolve(__dirname, '../config/.env') });
 
 // Import utilities
 const { validateEnvironment } = require('./utils/env-validator');
-const { createListenNotesClient } = require('./utils/api-client');
+const { createCatalogProvider } = require('./services/catalog');
+const { getGenreTaxonomy } = require('./services/genres');
+const { addToCorpus } = require('./utils/text-processing');
+const { indexPodcastEntities } = require('./utils/entities');
 
 // Import middleware
 const { errorHandler, notFound } = require('./middleware/error-handler');
+const { authenticate } = require('./middleware/auth');
 
 // Import route setups
 const setupPodcastRoutes = require('./routes/podcast.routes');
 const setupRecommendationRoutes = require('./routes/recommendation.routes');
+const setupStatusRoutes = require('./routes/status.routes');
+const setupAuthRoutes = require('./routes/auth.routes');
+const setupFavoritesRoutes = require('./routes/favorites.routes');
+const setupCollectionRoutes = require('./routes/collections.routes');
+const setupDislikeRoutes = require('./routes/dislikes.routes');
+const setupEntityRoutes = require('./routes/entities.routes');
+const setupTopicRoutes = require('./routes/topics.routes');
 
 // Initialize app if environment variables are available
 if (!validateEnvironment()) {
@@ -29,18 +40,26 @@ const PORT = process.env.PORT || 5000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '5mb' }));
+app.use(authenticate);
 
-// Initialize API client
-const listenNotesClient = createListenNotesClient();
+// Initialize podcast catalog (Listen Notes or local fixture, see CATALOG_PROVIDER)
+const catalog = createCatalogProvider();
 
 // Set up routes
-app.use('/api/podcasts', setupPodcastRoutes(listenNotesClient));
-app.use('/api/recommendations', setupRecommendationRoutes(listenNotesClient));
+app.use('/api/podcasts', setupPodcastRoutes(catalog));
+app.use('/api/recommendations', setupRecommendationRoutes(catalog));
+app.use('/api/status', setupStatusRoutes(catalog));
+app.use('/api/auth', setupAuthRoutes());
+app.use('/api/favorites', setupFavoritesRoutes());
+app.use('/api/collections', setupCollectionRoutes());
+app.use('/api/dislikes', setupDislikeRoutes());
+app.use('/api/entities', setupEntityRoutes(catalog));
+app.use('/api/topics', setupTopicRoutes());
 app.get('/api/genres', async (req, res, next) => {
   try {
-    const response = await listenNotesClient.get('/genres');
-    res.json(response.data);
+    const { genres } = await getGenreTaxonomy(catalog).load();
+    res.json({ genres });
   } catch (error) {
     next(error);
   }
@@ -48,16 +67,18 @@ app.get('/api/genres', async (req, res, next) => {
 app.get('/api/trending', async (req, res, next) => {
   try {
     const { genre_id, page_size } = req.query;
-    const params = new URLSearchParams({
+    const params = {
       page_size: page_size || 10
-    });
+    };
     
     if (genre_id) {
-      params.append('genre_id', genre_id);
+      params.genre_id = genre_id;
     }
     
-    const response = await listenNotesClient.get(`/best_podcasts?${params}`);
-    res.json(response.data);
+    const trending = await catalog.bestPodcasts(params);
+    addToCorpus(trending.podcasts);
+    indexPodcastEntities(trending.podcasts);
+    res.json(trending);
   } catch (error) {
     next(error);
   }
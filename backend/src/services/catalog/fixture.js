@@ -0,0 +1,206 @@
+const fs = require('fs');
+const path = require('path');
+const { paginateEpisodes } = require('./paging');
+const { httpError } = require('../../utils/http-error');
+const { isSameLanguage } = require('../../utils/languages');
+
+const DEFAULT_FIXTURE_PATH = path.resolve(__dirname, '../../../fixtures/catalog.json');
+
+/**
+ * Load a fixture catalog from disk
+ * @param {string} filePath Path to the JSON fixture
+ * @returns {{genres: Array<Object>, podcasts: Array<Object>}} Parsed catalog
+ */
+const loadFixture = (filePath) => {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return {
+    genres: raw.genres || [],
+    podcasts: raw.podcasts || []
+  };
+};
+
+/**
+ * Split a search query into lowercase terms, keeping quoted phrases together
+ * @param {string} query Raw query string
+ * @returns {Array<string>} Query terms
+ */
+const parseQuery = (query) => (String(query || '').toLowerCase().match(/"[^"]+"|\S+/g) || [])
+  .map(term => term.replace(/"/g, '').trim())
+  .filter(Boolean);
+
+// Podcast metadata without the episode list, as returned by list endpoints
+const toPodcastSummary = ({ episodes, ...podcast }) => ({
+  ...podcast,
+  total_episodes: podcast.total_episodes || (episodes || []).length
+});
+
+// Listen Notes search results use *_original field names
+const toSearchResult = (podcast) => {
+  const { title, description, publisher, ...rest } = toPodcastSummary(podcast);
+  return {
+    ...rest,
+    title_original: title,
+    description_original: description,
+    publisher_original: publisher
+  };
+};
+
+const byListenScore = (a, b) => (b.listen_score || 0) - (a.listen_score || 0);
+
+/**
+ * Create a catalog provider backed by a local JSON fixture, for offline development
+ * @param {Object} options Provider options
+ * @param {string} options.fixturePath Path to the fixture catalog
+ * @returns {Object} Catalog provider
+ */
+const createFixtureProvider = ({ fixturePath = DEFAULT_FIXTURE_PATH } = {}) => {
+  const { genres, podcasts } = loadFixture(fixturePath);
+  console.log(`Loaded fixture catalog with ${podcasts.length} podcasts from ${fixturePath}`);
+
+  // Collect a genre and all of its descendants
+  const genreWithDescendants = (genreId) => {
+    const ids = new Set([Number(genreId)]);
+    let added = true;
+    while (added) {
+      added = false;
+      for (const genre of genres) {
+        if (ids.has(genre.parent_id) && !ids.has(genre.id)) {
+          ids.add(genre.id);
+          added = true;
+        }
+      }
+    }
+    return ids;
+  };
+
+  // language and safe_mode work like Listen Notes' search and best_podcasts parameters
+  const languageAndSafetyFilter = (params) => (podcast) => {
+    if (params.language && !isSameLanguage(podcast.language, params.language)) return false;
+    return !(Number(params.safe_mode) === 1 && podcast.explicit_content);
+  };
+
+  const findPodcast = (id) => {
+    const podcast = podcasts.find(p => p.id === id);
+    if (!podcast) {
+      throw httpError(404, `Podcast not found: ${id}`);
+    }
+    return podcast;
+  };
+
+  const search = async (params = {}) => {
+    const terms = parseQuery(params.q);
+    const fields = String(params.only_in || 'title,description').split(',').map(f => f.trim());
+    const genreFilter = String(params.genre_ids || '').split(',').filter(Boolean).map(Number);
+    const lenMin = Number(params.len_min) || 0;
+    const lenMax = Number(params.len_max) > 0 ? Number(params.len_max) : Infinity;
+    const matchesLanguageAndSafety = languageAndSafetyFilter(params);
+    const offset = Number(params.offset) || 0;
+    const pageSize = Number(params.page_size) || 10;
+
+    const matches = podcasts
+      .map(podcast => {
+        const haystack = fields.map(field => String(podcast[field] || '').toLowerCase()).join(' ');
+        const hits = terms.filter(term => haystack.includes(term)).length;
+        return { podcast, hits };
+      })
+      .filter(({ podcast, hits }) => {
+        if (terms.length > 0 && hits === 0) return false;
+        if (genreFilter.length > 0 && !genreFilter.some(g => (podcast.genre_ids || []).includes(g))) return false;
+        if (!matchesLanguageAndSafety(podcast)) return false;
+
+        const minutes = (podcast.audio_length_sec || 0) / 60;
+        return minutes >= lenMin && minutes <= lenMax;
+      })
+      .sort((a, b) => b.hits - a.hits || byListenScore(a.podcast, b.podcast))
+      .map(({ podcast }) => podcast);
+
+    const page = matches.slice(offset, offset + pageSize);
+    return {
+      took: 0,
+      count: page.length,
+      total: matches.length,
+      results: page.map(toSearchResult),
+      next_offset: offset + page.length
+    };
+  };
+
+  const getPodcast = async (id, params = {}) => {
+    const podcast = findPodcast(id);
+
+    return {
+      ...toPodcastSummary(podcast),
+      ...paginateEpisodes(podcast.episodes, params)
+    };
+  };
+
+  const bestPodcasts = async (params = {}) => {
+    const pageNumber = Number(params.page) || 1;
+    const pageSize = Number(params.page_size) || 20;
+    const genreIds = params.genre_id ? genreWithDescendants(params.genre_id) : null;
+
+    const matchesLanguageAndSafety = languageAndSafetyFilter(params);
+
+    const matches = podcasts
+      .filter(podcast => !genreIds || (podcast.genre_ids || []).some(g => genreIds.has(g)))
+      .filter(matchesLanguageAndSafety)
+      .sort(byListenScore);
+
+    const start = (pageNumber - 1) * pageSize;
+    const genre = genres.find(g => g.id === Number(params.genre_id));
+    const hasNext = matches.length > start + pageSize;
+
+    return {
+      id: genre ? genre.id : null,
+      name: genre ? genre.name : 'All',
+      total: matches.length,
+      has_next: hasNext,
+      has_previous: pageNumber > 1,
+      page_number: pageNumber,
+      next_page_number: hasNext ? pageNumber + 1 : pageNumber,
+      previous_page_number: pageNumber > 1 ? pageNumber - 1 : pageNumber,
+      podcasts: matches.slice(start, start + pageSize).map(toPodcastSummary)
+    };
+  };
+
+  const similar = async (id) => {
+    const source = findPodcast(id);
+    const sourceGenres = new Set(source.genre_ids || []);
+
+    const recommendations = podcasts
+      .filter(podcast => podcast.id !== source.id)
+      .map(podcast => ({
+        podcast,
+        shared: (podcast.genre_ids || []).filter(g => sourceGenres.has(g)).length
+      }))
+      .filter(({ shared }) => shared > 0)
+      .sort((a, b) => b.shared - a.shared || byListenScore(a.podcast, b.podcast))
+      .slice(0, 8)
+      .map(({ podcast }) => toPodcastSummary(podcast));
+
+    return { recommendations };
+  };
+
+  const lookupByFeedUrls = async (feedUrls) => {
+    const wanted = new Set(feedUrls.map(url => url.trim().toLowerCase()));
+    return {
+      podcasts: podcasts
+        .filter(podcast => podcast.rss && wanted.has(podcast.rss.toLowerCase()))
+        .map(toPodcastSummary)
+    };
+  };
+
+  return {
+    name: 'fixture',
+    search,
+    getPodcast,
+    bestPodcasts,
+    genres: async () => ({ genres }),
+    similar,
+    lookupByFeedUrls
+  };
+};
+
+module.exports = {
+  createFixtureProvider,
+  DEFAULT_FIXTURE_PATH
+};
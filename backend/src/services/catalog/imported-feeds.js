@@ -0,0 +1,49 @@
+const { paginateEpisodes } = require('./paging');
+const { getImportedPodcast, isImportedFeedId } = require('../feed-import');
+const { httpError } = require('../../utils/http-error');
+
+/**
+ * Wrap a catalog provider so podcasts imported from RSS/Atom feeds can be
+ * looked up by ID next to the provider's own podcasts
+ * @param {Object} provider Catalog provider to wrap
+ * @returns {Object} Catalog provider
+ */
+const withImportedFeeds = (provider) => {
+  const findImported = (id) => {
+    const podcast = getImportedPodcast(id);
+    if (!podcast) {
+      throw httpError(404, `Imported podcast not found: ${id}`);
+    }
+    return podcast;
+  };
+
+  return {
+    ...provider,
+
+    getPodcast: async (id, params = {}) => {
+      if (!isImportedFeedId(id)) {
+        return provider.getPodcast(id, params);
+      }
+
+      const { episodes, ...podcast } = findImported(id);
+      return {
+        ...podcast,
+        ...paginateEpisodes(episodes, params)
+      };
+    },
+
+    // Imported feeds aren't known upstream, so there is nothing to ask for
+    similar: async (id, params) => {
+      if (!isImportedFeedId(id)) {
+        return provider.similar(id, params);
+      }
+
+      findImported(id);
+      return { recommendations: [] };
+    }
+  };
+};
+
+module.exports = {
+  withImportedFeeds
+};
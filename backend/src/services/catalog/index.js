@@ -0,0 +1,74 @@
+/**
+ * Podcast catalog providers
+ *
+ * Every provider implements the same interface and returns data in the
+ * Listen Notes response shapes, so routes and services don't care where
+ * the podcasts come from:
+ *   search(params)            -> { results, total, next_offset, ... }
+ *   getPodcast(id, params)    -> podcast with an `episodes` page
+ *   bestPodcasts(params)      -> { podcasts, has_next, page_number, ... }
+ *   genres(params)            -> { genres }
+ *   similar(id, params)       -> { recommendations }
+ *   lookupByFeedUrls(urls)    -> { podcasts } matching the given RSS URLs
+ *
+ * Podcasts imported from RSS/Atom feeds are layered on top of whichever
+ * provider is selected. Providers backed by a remote API expose their
+ * response cache as `cache` (null when caching is off) and their quota
+ * tracking as `governor`.
+ */
+const path = require('path');
+const { createListenNotesProvider } = require('./listen-notes');
+const { createFixtureProvider, DEFAULT_FIXTURE_PATH } = require('./fixture');
+const { withImportedFeeds } = require('./imported-feeds');
+const { createResponseCache } = require('../../utils/response-cache');
+const { createRequestGovernor } = require('../../utils/request-governor');
+const { createListenNotesClient } = require('../../utils/api-client');
+
+const PROVIDERS = ['listennotes', 'fixture'];
+
+/**
+ * Name of the catalog provider selected through CATALOG_PROVIDER
+ * @returns {string} Provider name
+ */
+const getCatalogProviderName = () => (process.env.CATALOG_PROVIDER || 'listennotes').toLowerCase();
+
+/**
+ * Create the catalog provider selected by configuration
+ * @param {string} name Provider name (defaults to CATALOG_PROVIDER)
+ * @returns {Object} Catalog provider
+ */
+const createCatalogProvider = (name = getCatalogProviderName()) => {
+  let provider;
+
+  switch (name) {
+    case 'listennotes': {
+      // The governor sits below the cache so cache hits never spend quota
+      const governor = createRequestGovernor();
+      provider = createListenNotesProvider({
+        client: governor.attach(createListenNotesClient()),
+        governor,
+        cache: process.env.LISTEN_NOTES_CACHE === 'off'
+          ? null
+          : createResponseCache({ fileName: 'listen-notes-cache.json' })
+      });
+      break;
+    }
+    case 'fixture':
+      provider = createFixtureProvider({
+        fixturePath: process.env.CATALOG_FIXTURE_PATH
+          ? path.resolve(process.env.CATALOG_FIXTURE_PATH)
+          : DEFAULT_FIXTURE_PATH
+      });
+      break;
+    default:
+      throw new Error(`Unknown catalog provider "${name}". Expected one of: ${PROVIDERS.join(', ')}`);
+  }
+
+  return withImportedFeeds(provider);
+};
+
+module.exports = {
+  createCatalogProvider,
+  getCatalogProviderName,
+  PROVIDERS
+};
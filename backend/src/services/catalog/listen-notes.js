@@ -0,0 +1,50 @@
+const { createListenNotesClient } = require('../../utils/api-client');
+const { withResponseCache } = require('../../utils/response-cache');
+
+/**
+ * Create a catalog provider backed by the Listen Notes API
+ * @param {Object} options Provider options
+ * @param {Object} options.client Axios instance for Listen Notes API (created if omitted)
+ * @param {Object} options.cache Response cache for GET requests (see utils/response-cache)
+ * @param {Object} options.governor Request governor attached to the client (see utils/request-governor)
+ * @returns {Object} Catalog provider
+ */
+const createListenNotesProvider = ({
+  client: apiClient = createListenNotesClient(),
+  cache = null,
+  governor = null
+} = {}) => {
+  const client = cache ? withResponseCache(apiClient, cache) : apiClient;
+
+  const get = async (endpoint, params = {}) => {
+    const response = await client.get(endpoint, { params });
+    return response.data;
+  };
+
+  // Listen Notes batch-fetches at most 10 podcasts per call
+  const lookupByFeedUrls = async (feedUrls) => {
+    const podcasts = [];
+    for (let i = 0; i < feedUrls.length; i += 10) {
+      const body = new URLSearchParams({ rsses: feedUrls.slice(i, i + 10).join(',') });
+      const response = await client.post('/podcasts', body);
+      podcasts.push(...(response.data.podcasts || []));
+    }
+    return { podcasts };
+  };
+
+  return {
+    name: 'listennotes',
+    search: (params) => get('/search', params),
+    getPodcast: (id, params) => get(`/podcasts/${encodeURIComponent(id)}`, params),
+    bestPodcasts: (params) => get('/best_podcasts', params),
+    genres: (params) => get('/genres', params),
+    similar: (id, params) => get(`/podcasts/${encodeURIComponent(id)}/recommendations`, params),
+    lookupByFeedUrls,
+    cache,
+    governor
+  };
+};
+
+module.exports = {
+  createListenNotesProvider
+};
@@ -0,0 +1,30 @@
+const EPISODES_PER_PAGE = 10;
+
+/**
+ * Page through a podcast's episodes the way Listen Notes does, using the
+ * publish date of the last returned episode as the cursor
+ * @param {Array<Object>} episodes All episodes of the podcast
+ * @param {Object} params Listen Notes style params (next_episode_pub_date, sort)
+ * @returns {{episodes: Array<Object>, next_episode_pub_date: number|null}} Episode page
+ */
+const paginateEpisodes = (episodes, params = {}) => {
+  const sort = params.sort === 'oldest_first' ? 'oldest_first' : 'recent_first';
+  const cursor = Number(params.next_episode_pub_date) || null;
+
+  const remaining = [...(episodes || [])]
+    .sort((a, b) => sort === 'recent_first' ? b.pub_date_ms - a.pub_date_ms : a.pub_date_ms - b.pub_date_ms)
+    .filter(episode => !cursor || (sort === 'recent_first' ? episode.pub_date_ms < cursor : episode.pub_date_ms > cursor));
+
+  const page = remaining.slice(0, EPISODES_PER_PAGE);
+  const hasMore = remaining.length > page.length;
+
+  return {
+    episodes: page,
+    next_episode_pub_date: hasMore ? page[page.length - 1].pub_date_ms : null
+  };
+};
+
+module.exports = {
+  paginateEpisodes,
+  EPISODES_PER_PAGE
+};
@@ -0,0 +1,186 @@
+const { getDatabase } = require('../utils/database');
+const { httpError } = require('../utils/http-error');
+
+const MAX_COLLECTIONS = 50;
+const MAX_NAME_LENGTH = 60;
+
+const validateName = (name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > MAX_NAME_LENGTH) {
+    throw httpError(400, `Collection name must be 1-${MAX_NAME_LENGTH} characters`);
+  }
+  return trimmed;
+};
+
+const toCollection = (row, podcastIds) => ({
+  id: row.id,
+  name: row.name,
+  podcast_ids: podcastIds,
+  created_at: new Date(row.created_at).toISOString()
+});
+
+const findCollectionRow = (userId, collectionId) => {
+  const row = getDatabase()
+    .prepare('SELECT * FROM collections WHERE id = ? AND user_id = ?')
+    .get(Number(collectionId), userId);
+  if (!row) {
+    throw httpError(404, 'Collection not found');
+  }
+  return row;
+};
+
+const podcastIdsOf = (collectionId) => getDatabase()
+  .prepare(`
+    SELECT collection_podcasts.podcast_id FROM collection_podcasts
+    JOIN favorites ON favorites.user_id = collection_podcasts.user_id
+      AND favorites.podcast_id = collection_podcasts.podcast_id
+    WHERE collection_podcasts.collection_id = ?
+    ORDER BY favorites.position, favorites.added_at
+  `)
+  .all(collectionId)
+  .map(row => row.podcast_id);
+
+// Unique-name violations surface as a readable conflict
+const withNameCheck = (operation) => {
+  try {
+    return operation();
+  } catch (error) {
+    if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+      throw httpError(409, 'You already have a collection with that name');
+    }
+    throw error;
+  }
+};
+
+/**
+ * List a user's collections with the IDs of their podcasts
+ * @param {number} userId User ID
+ * @returns {Array<Object>} Collections ordered by creation
+ */
+const listCollections = (userId) => getDatabase()
+  .prepare('SELECT * FROM collections WHERE user_id = ? ORDER BY created_at, id')
+  .all(userId)
+  .map(row => toCollection(row, podcastIdsOf(row.id)));
+
+/**
+ * Get one collection
+ * @param {number} userId User ID
+ * @param {number} collectionId Collection ID
+ * @returns {Object} Collection
+ */
+const getCollection = (userId, collectionId) => {
+  const row = findCollectionRow(userId, collectionId);
+  return toCollection(row, podcastIdsOf(row.id));
+};
+
+/**
+ * Favorites belonging to a collection, in favorites order
+ * @param {number} userId User ID
+ * @param {number} collectionId Collection ID
+ * @returns {Array<Object>} Podcasts in the collection
+ */
+const getCollectionFavorites = (userId, collectionId) => {
+  const row = findCollectionRow(userId, collectionId);
+  return getDatabase()
+    .prepare(`
+      SELECT favorites.podcast FROM collection_podcasts
+      JOIN favorites ON favorites.user_id = collection_podcasts.user_id
+        AND favorites.podcast_id = collection_podcasts.podcast_id
+      WHERE collection_podcasts.collection_id = ?
+      ORDER BY favorites.position, favorites.added_at
+    `)
+    .all(row.id)
+    .map(favorite => JSON.parse(favorite.podcast));
+};
+
+/**
+ * Create an empty collection
+ * @param {number} userId User ID
+ * @param {string} name Collection name (unique per user, case-insensitive)
+ * @returns {Object} New collection
+ */
+const createCollection = (userId, name) => {
+  const validName = validateName(name);
+  const db = getDatabase();
+
+  const { count } = db.prepare('SELECT COUNT(*) AS count FROM collections WHERE user_id = ?').get(userId);
+  if (count >= MAX_COLLECTIONS) {
+    throw httpError(400, `You can have at most ${MAX_COLLECTIONS} collections`);
+  }
+
+  const { lastInsertRowid } = withNameCheck(() => db
+    .prepare('INSERT INTO collections (user_id, name, created_at) VALUES (?, ?, ?)')
+    .run(userId, validName, Date.now()));
+  return getCollection(userId, lastInsertRowid);
+};
+
+/**
+ * Rename a collection
+ * @param {number} userId User ID
+ * @param {number} collectionId Collection ID
+ * @param {string} name New name
+ * @returns {Object} Updated collection
+ */
+const renameCollection = (userId, collectionId, name) => {
+  const validName = validateName(name);
+  const row = findCollectionRow(userId, collectionId);
+  withNameCheck(() => getDatabase().prepare('UPDATE collections SET name = ? WHERE id = ?').run(validName, row.id));
+  return getCollection(userId, row.id);
+};
+
+/**
+ * Delete a collection (its podcasts stay in favorites)
+ * @param {number} userId User ID
+ * @param {number} collectionId Collection ID
+ */
+const deleteCollection = (userId, collectionId) => {
+  const row = findCollectionRow(userId, collectionId);
+  getDatabase().prepare('DELETE FROM collections WHERE id = ?').run(row.id);
+};
+
+/**
+ * Add one of the user's favorites to a collection
+ * @param {number} userId User ID
+ * @param {number} collectionId Collection ID
+ * @param {string} podcastId Favorite podcast ID
+ * @returns {Object} Updated collection
+ */
+const addToCollection = (userId, collectionId, podcastId) => {
+  const row = findCollectionRow(userId, collectionId);
+  const db = getDatabase();
+
+  const favorite = db.prepare('SELECT 1 FROM favorites WHERE user_id = ? AND podcast_id = ?').get(userId, podcastId);
+  if (!favorite) {
+    throw httpError(404, 'Only favorites can be added to a collection');
+  }
+
+  db.prepare('INSERT OR IGNORE INTO collection_podcasts (collection_id, user_id, podcast_id, added_at) VALUES (?, ?, ?, ?)')
+    .run(row.id, userId, podcastId, Date.now());
+  return getCollection(userId, row.id);
+};
+
+/**
+ * Remove a podcast from a collection (it stays in favorites)
+ * @param {number} userId User ID
+ * @param {number} collectionId Collection ID
+ * @param {string} podcastId Podcast ID
+ * @returns {Object} Updated collection
+ */
+const removeFromCollection = (userId, collectionId, podcastId) => {
+  const row = findCollectionRow(userId, collectionId);
+  getDatabase()
+    .prepare('DELETE FROM collection_podcasts WHERE collection_id = ? AND podcast_id = ?')
+    .run(row.id, podcastId);
+  return getCollection(userId, row.id);
+};
+
+module.exports = {
+  listCollections,
+  getCollection,
+  getCollectionFavorites,
+  createCollection,
+  renameCollection,
+  deleteCollection,
+  addToCollection,
+  removeFromCollection
+};
@@ -0,0 +1,93 @@
+const { getDatabase } = require('../utils/database');
+const { httpError } = require('../utils/http-error');
+const { standardizeFavorites } = require('./recommendations');
+
+const MAX_DISLIKES = 1000;
+
+/**
+ * Normalize dislikes sent by clients: full podcasts or bare podcast IDs
+ * @param {Array<Object|string>} dislikes Raw dislikes
+ * @returns {Array<Object>} Podcasts (at least { id })
+ */
+const normalizeDislikes = (dislikes) => {
+  if (dislikes === undefined || dislikes === null) return [];
+  if (!Array.isArray(dislikes)) {
+    throw httpError(400, 'dislikes must be an array of podcasts or podcast IDs');
+  }
+
+  return dislikes
+    .map(entry => (typeof entry === 'string' || typeof entry === 'number' ? { id: String(entry) } : entry))
+    .filter(entry => entry && entry.id)
+    .slice(0, MAX_DISLIKES);
+};
+
+/**
+ * List podcasts a user marked "not interested", newest first
+ * @param {number} userId User ID
+ * @returns {Array<Object>} Disliked podcasts
+ */
+const listDislikes = (userId) => getDatabase()
+  .prepare('SELECT podcast FROM dislikes WHERE user_id = ? ORDER BY created_at DESC')
+  .all(userId)
+  .map(row => JSON.parse(row.podcast));
+
+/**
+ * Mark podcasts as "not interested"; marking one again refreshes it
+ * @param {number} userId User ID
+ * @param {Array<Object>} podcasts Podcasts to dislike
+ * @returns {number} Number of stored dislikes
+ */
+const addDislikes = (userId, podcasts) => {
+  if (podcasts.some(podcast => !podcast || !podcast.id)) {
+    throw httpError(400, 'A podcast object with an id is required');
+  }
+
+  const db = getDatabase();
+  const upsert = db.prepare(`
+    INSERT INTO dislikes (user_id, podcast_id, podcast, created_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (user_id, podcast_id) DO UPDATE SET podcast = excluded.podcast, created_at = excluded.created_at
+  `);
+
+  db.transaction(() => {
+    podcasts.forEach(podcast => {
+      const { episodes, ...summary } = standardizeFavorites([podcast])[0];
+      upsert.run(userId, String(podcast.id), JSON.stringify(summary), Date.now());
+    });
+
+    // Keep only the most recent dislikes
+    db.prepare(`
+      DELETE FROM dislikes WHERE user_id = ? AND podcast_id NOT IN (
+        SELECT podcast_id FROM dislikes WHERE user_id = ? ORDER BY created_at DESC LIMIT ?
+      )
+    `).run(userId, userId, MAX_DISLIKES);
+  })();
+
+  return podcasts.length;
+};
+
+/**
+ * Undo a "not interested" mark
+ * @param {number} userId User ID
+ * @param {string} podcastId Podcast ID
+ * @returns {boolean} Whether a dislike was removed
+ */
+const removeDislike = (userId, podcastId) => getDatabase()
+  .prepare('DELETE FROM dislikes WHERE user_id = ? AND podcast_id = ?')
+  .run(userId, podcastId).changes > 0;
+
+/**
+ * Remove all of a user's dislikes
+ * @param {number} userId User ID
+ * @returns {number} Number of removed dislikes
+ */
+const clearDislikes = (userId) => getDatabase()
+  .prepare('DELETE FROM dislikes WHERE user_id = ?')
+  .run(userId).changes;
+
+module.exports = {
+  normalizeDislikes,
+  listDislikes,
+  addDislikes,
+  removeDislike,
+  clearDislikes
+};
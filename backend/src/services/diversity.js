@@ -0,0 +1,107 @@
+const { calculateCosineSimilarity } = require('../utils/similarity');
+const { httpError } = require('../utils/http-error');
+
+// Listen Notes puts most shows under the catch-all "Podcasts" genre, which says nothing about variety
+const ROOT_GENRE_ID = 67;
+
+const DEFAULT_DIVERSITY_OPTIONS = {
+  diversity: 0.3,       // 0 = pure relevance, 1 = as different from each other as possible
+  limit: 10,
+  maxPerPublisher: 2,   // Per capWindow results
+  maxPerGenre: 4,
+  capWindow: 10
+};
+
+/**
+ * Validate a diversity value from a request
+ * @param {*} value Raw value
+ * @param {string} field Field name used in the error message
+ * @returns {number|undefined} Diversity between 0 and 1, or undefined when not given
+ */
+const parseDiversity = (value, field = 'diversity') => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const diversity = Number(value);
+  if (!Number.isFinite(diversity) || diversity < 0 || diversity > 1) {
+    throw httpError(400, `${field} must be a number between 0 and 1`);
+  }
+  return diversity;
+};
+
+const publisherOf = (podcast) => String(podcast.publisher || podcast.publisher_original || '').trim().toLowerCase();
+
+const primaryGenreOf = (podcast) => (podcast.genre_ids || []).find(id => id !== ROOT_GENRE_ID) ?? null;
+
+/**
+ * Re-rank candidates with maximal marginal relevance: each pick trades its
+ * relevance against its similarity to what was already picked. Publisher and
+ * genre caps apply per window of `capWindow` results, so every page of a long
+ * list stays varied; capped candidates are only picked when nothing else is left
+ * @param {Array<Object>} rankedCandidates Candidates from rankCandidates (similarityScore, embedding, podcast)
+ * @param {Object} options Re-ranking options (see DEFAULT_DIVERSITY_OPTIONS)
+ * @returns {Array<Object>} Selected candidates in display order
+ */
+const rerankForDiversity = (rankedCandidates, options = {}) => {
+  const given = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+  const { diversity, limit, maxPerPublisher, maxPerGenre, capWindow } = { ...DEFAULT_DIVERSITY_OPTIONS, ...given };
+  if (rankedCandidates.length === 0) return [];
+
+  // Min-max normalize relevance so it's on the same scale as cosine similarity
+  const scores = rankedCandidates.map(candidate => candidate.similarityScore);
+  const min = Math.min(...scores);
+  const range = Math.max(...scores) - min;
+  const relevanceOf = (candidate) => (range > 0 ? (candidate.similarityScore - min) / range : 1);
+
+  const remaining = [...rankedCandidates];
+  const selected = [];
+  const publisherCounts = new Map();
+  const genreCounts = new Map();
+
+  // Highest similarity of each remaining candidate to anything selected, updated after every pick
+  const redundancy = new Map(remaining.map(candidate => [candidate, 0]));
+
+  const exceedsCaps = (podcast) => {
+    const windows = Math.floor(selected.length / capWindow) + 1;
+    const publisher = publisherOf(podcast);
+    const genre = primaryGenreOf(podcast);
+    return (publisher && (publisherCounts.get(publisher) || 0) >= maxPerPublisher * windows)
+      || (genre !== null && (genreCounts.get(genre) || 0) >= maxPerGenre * windows);
+  };
+
+  const findBest = (eligible) => remaining.reduce((best, candidate, index) => {
+    if (!eligible(candidate)) return best;
+    const score = (1 - diversity) * relevanceOf(candidate) - diversity * redundancy.get(candidate);
+    return score > best.score ? { index, score } : best;
+  }, { index: -1, score: -Infinity });
+
+  while (selected.length < limit && remaining.length > 0) {
+    let { index } = findBest(candidate => !exceedsCaps(candidate.podcast));
+    if (index === -1) {
+      // Everything left is capped; fill up rather than return a short list
+      ({ index } = findBest(() => true));
+    }
+
+    const [best] = remaining.splice(index, 1);
+    selected.push(best);
+
+    const publisher = publisherOf(best.podcast);
+    const genre = primaryGenreOf(best.podcast);
+    if (publisher) publisherCounts.set(publisher, (publisherCounts.get(publisher) || 0) + 1);
+    if (genre !== null) genreCounts.set(genre, (genreCounts.get(genre) || 0) + 1);
+
+    remaining.forEach(candidate => {
+      const similarity = calculateCosineSimilarity(candidate.embedding, best.embedding);
+      if (similarity > redundancy.get(candidate)) {
+        redundancy.set(candidate, similarity);
+      }
+    });
+  }
+
+  return selected;
+};
+
+module.exports = {
+  rerankForDiversity,
+  parseDiversity,
+  DEFAULT_DIVERSITY_OPTIONS
+};
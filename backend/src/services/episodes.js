@@ -0,0 +1,166 @@
+const { httpError } = require('../utils/http-error');
+
+const SORT_ORDERS = ['recent_first', 'oldest_first'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+// Upper bound on upstream pages fetched for one request
+const MAX_PAGES_PER_REQUEST = 10;
+
+/**
+ * Convert a catalog episode into the normalized episode model
+ * @param {Object} episode Episode as returned by the catalog
+ * @param {Object} podcast Podcast the episode belongs to
+ * @returns {Object} Normalized episode
+ */
+const normalizeEpisode = (episode, podcast = {}) => ({
+  id: episode.id,
+  podcast_id: podcast.id,
+  title: episode.title || episode.title_original || 'Untitled Episode',
+  description: episode.description || episode.description_original || '',
+  audio_url: episode.audio || null,
+  duration_sec: episode.audio_length_sec || 0,
+  pub_date_ms: episode.pub_date_ms || null,
+  pub_date: episode.pub_date_ms ? new Date(episode.pub_date_ms).toISOString() : null,
+  link: episode.link || episode.listennotes_url || null,
+  thumbnail: episode.thumbnail || episode.image || podcast.thumbnail || null,
+  explicit_content: Boolean(episode.explicit_content)
+});
+
+/**
+ * Encode a listing position: the publish date of the last returned episode and
+ * the IDs returned with that same date, since the catalog's date cursor would
+ * skip the rest of a group of episodes published at the same moment
+ * @param {{pubDateMs: number, seenIds: Array<string>}} position Listing position
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = ({ pubDateMs, seenIds }) => Buffer.from(JSON.stringify([pubDateMs, seenIds])).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor
+ * @param {string} cursor Opaque cursor
+ * @returns {{pubDateMs: number, seenIds: Array<string>}|null} Listing position, or null when malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [pubDateMs, seenIds] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isInteger(pubDateMs) || pubDateMs <= 0 || !Array.isArray(seenIds)) return null;
+    return { pubDateMs, seenIds: seenIds.map(String) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate and default episode listing options from a query string
+ * @param {Object} query Request query ({ cursor, sort, limit })
+ * @returns {{cursor: Object|null, sort: string, limit: number}} Listing options; cursor is the decoded position (see encodeCursor)
+ */
+const parseEpisodeQuery = ({ cursor, sort, limit } = {}) => {
+  const options = {
+    cursor: null,
+    sort: sort || 'recent_first',
+    limit: DEFAULT_LIMIT
+  };
+
+  if (!SORT_ORDERS.includes(options.sort)) {
+    throw httpError(400, `sort must be one of: ${SORT_ORDERS.join(', ')}`);
+  }
+
+  if (cursor !== undefined && cursor !== '') {
+    options.cursor = decodeCursor(cursor);
+    if (!options.cursor) {
+      throw httpError(400, 'cursor must be a value returned as next_cursor');
+    }
+  }
+
+  if (limit !== undefined && limit !== '') {
+    options.limit = Number(limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1 || options.limit > MAX_LIMIT) {
+      throw httpError(400, `limit must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  return options;
+};
+
+/**
+ * List a podcast's episodes, following the catalog's next_episode_pub_date
+ * cursor until `limit` episodes are collected. Pages resume at the last
+ * returned publish date itself and skip the episodes already returned, so
+ * cutting a page inside a group of same-date episodes loses none of them
+ * @param {Object} catalog Podcast catalog provider
+ * @param {string} podcastId Podcast ID
+ * @param {Object} options Listing options from parseEpisodeQuery
+ * @returns {Promise<Object>} Podcast summary, normalized episodes and pagination info
+ */
+const listEpisodes = async (catalog, podcastId, { cursor = null, sort = 'recent_first', limit = DEFAULT_LIMIT } = {}) => {
+  const episodes = [];
+  let podcast = null;
+  // The catalog's cursor is exclusive, so step one millisecond back past a date to include it
+  const including = (pubDateMs) => pubDateMs + (sort === 'recent_first' ? 1 : -1);
+  let nextPubDate = cursor ? including(cursor.pubDateMs) : null;
+  const seenIds = new Set(cursor ? cursor.seenIds : []);
+  let upstreamHasMore = true;
+
+  for (let page = 0; page < MAX_PAGES_PER_REQUEST && episodes.length < limit && upstreamHasMore; page++) {
+    const params = { sort };
+    if (nextPubDate) {
+      params.next_episode_pub_date = nextPubDate;
+    }
+
+    const data = await catalog.getPodcast(podcastId, params);
+    podcast = podcast || data;
+
+    const pageEpisodes = data.episodes || [];
+    const fresh = pageEpisodes.filter(episode => !seenIds.has(String(episode.id)));
+    fresh.forEach(episode => seenIds.add(String(episode.id)));
+    episodes.push(...fresh);
+
+    // Catalog pages may end inside a same-date group too, so resume at the page's last date;
+    // a page that brought nothing new is one date throughout, and only the catalog's cursor gets past it
+    const lastOnPage = pageEpisodes[pageEpisodes.length - 1];
+    upstreamHasMore = Boolean(data.next_episode_pub_date) && pageEpisodes.length > 0;
+    nextPubDate = fresh.length > 0 && lastOnPage.pub_date_ms
+      ? including(lastOnPage.pub_date_ms)
+      : data.next_episode_pub_date || null;
+  }
+
+  const returned = episodes.slice(0, limit);
+  const hasMore = episodes.length > limit || upstreamHasMore;
+  const last = returned[returned.length - 1];
+  const nextCursor = hasMore && last?.pub_date_ms
+    ? encodeCursor({
+      pubDateMs: last.pub_date_ms,
+      // A group of same-date episodes may span several pages
+      seenIds: [
+        ...(cursor?.pubDateMs === last.pub_date_ms ? cursor.seenIds : []),
+        ...returned.filter(episode => episode.pub_date_ms === last.pub_date_ms).map(episode => String(episode.id))
+      ]
+    })
+    : null;
+
+  return {
+    podcast: {
+      id: podcast.id,
+      title: podcast.title || podcast.title_original,
+      publisher: podcast.publisher || podcast.publisher_original,
+      thumbnail: podcast.thumbnail || podcast.image || null,
+      total_episodes: podcast.total_episodes || null
+    },
+    episodes: returned.map(episode => normalizeEpisode(episode, podcast)),
+    pagination: {
+      sort,
+      limit,
+      cursor: cursor ? encodeCursor(cursor) : null,
+      next_cursor: nextCursor,
+      has_more: nextCursor !== null
+    }
+  };
+};
+
+module.exports = {
+  normalizeEpisode,
+  parseEpisodeQuery,
+  listEpisodes,
+  SORT_ORDERS
+};
@@ -0,0 +1,105 @@
+const { explainTopicSimilarity } = require('../utils/similarity');
+const { SIGNALS, normalizeWeights } = require('./ranking-weights');
+
+const MAX_MATCHED_FAVORITES = 3;
+const MAX_SHARED_TOPICS = 8;
+const MAX_SHARED_ENTITIES = 6;
+
+/**
+ * Entities the candidate shares with any of the matched favorites, people first
+ * @param {Array<Object>} matches Matched favorites (see rankCandidates)
+ * @returns {Array<Object>} Shared entities with the favorites that mention them
+ */
+const collectSharedEntities = (matches) => {
+  const shared = new Map();
+  matches.forEach(match => (match.sharedEntities || []).forEach(({ key, name, type }) => {
+    const entry = shared.get(key) || { name, type, favorite_ids: [] };
+    entry.favorite_ids.push(match.favoritePodcast.id);
+    shared.set(key, entry);
+  }));
+
+  const order = ['person', 'organization', 'place'];
+  return [...shared.values()]
+    .sort((a, b) => order.indexOf(a.type) - order.indexOf(b.type) || b.favorite_ids.length - a.favorite_ids.length)
+    .slice(0, MAX_SHARED_ENTITIES);
+};
+
+/**
+ * Candidate genres that aren't shared but sit near a favorite's genre in the tree (e.g. siblings)
+ * @param {Array<number>} candidateGenreIds Candidate's genres, shared ones excluded
+ * @param {Array<number>} favoriteGenreIds Genres of the matched favorites
+ * @param {Object} genreTaxonomy Genre tree (see services/genres)
+ * @returns {Array<Object>} Related genres with the favorite genre they're closest to, closest first
+ */
+const findRelatedGenres = (candidateGenreIds, favoriteGenreIds, genreTaxonomy) => candidateGenreIds
+  .map(id => {
+    const closest = favoriteGenreIds.reduce((best, favoriteId) => {
+      const similarity = genreTaxonomy.similarity(id, favoriteId);
+      return similarity > best.similarity ? { id: favoriteId, similarity } : best;
+    }, { id: null, similarity: 0 });
+    return closest.id === null ? null : {
+      id,
+      name: genreTaxonomy.nameOf(id),
+      related_to: { id: closest.id, name: genreTaxonomy.nameOf(closest.id) },
+      similarity: closest.similarity
+    };
+  })
+  .filter(Boolean)
+  .sort((a, b) => b.similarity - a.similarity);
+
+/**
+ * Structured explanation of a ranked candidate, for clients that want more than the reason sentence
+ * @param {Object} candidate Ranked candidate (see rankCandidates)
+ * @param {Object} context Ranking context
+ * @param {Object} context.weights Signal weights the candidate was scored with
+ * @param {Object} context.genreTaxonomy Genre tree for names and related genres (see services/genres)
+ * @param {Object} context.topicModel Topic model for shared themes (see services/topic-model)
+ * @returns {Object} matched_favorites, shared_genres, related_genres, shared_topics, shared_entities, shared_themes and per-signal components
+ */
+const buildExplanation = (candidate, { weights = {}, genreTaxonomy = null, topicModel = null } = {}) => {
+  const matches = [...(candidate.matches || [])]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_MATCHED_FAVORITES);
+
+  const candidateGenreIds = candidate.podcast.genre_ids || [];
+  const favoriteGenreIds = [...new Set(matches.flatMap(match => match.favoritePodcast.genre_ids || []))];
+  const sharedGenreIds = favoriteGenreIds.filter(id => candidateGenreIds.includes(id));
+  const relatedGenres = genreTaxonomy
+    ? findRelatedGenres(candidateGenreIds.filter(id => !sharedGenreIds.includes(id)), favoriteGenreIds, genreTaxonomy)
+    : [];
+
+  const scoreWeights = normalizeWeights(weights);
+
+  // Topic contributions are relative to the closest favorite, like topic_score
+  const closest = matches[0];
+  const sharedTopics = closest
+    ? explainTopicSimilarity(closest.favoriteTopics, candidate.topics).slice(0, MAX_SHARED_TOPICS)
+    : [];
+
+  return {
+    matched_favorites: matches.map(match => ({
+      id: match.favoritePodcast.id,
+      title: match.favoritePodcast.title || match.favoritePodcast.title_original || null,
+      score: match.score,
+      semantic: match.signals.semantic,
+      topic: match.signals.topic,
+      entity: match.signals.entity
+    })),
+    shared_genres: sharedGenreIds.map(id => ({ id, name: genreTaxonomy?.nameOf(id) || null })),
+    related_genres: relatedGenres,
+    shared_topics: sharedTopics,
+    shared_entities: collectSharedEntities(matches),
+    // Themes are relative to the closest favorite too
+    shared_themes: closest && topicModel ? topicModel.sharedTopics(closest.favoriteThemes, candidate.themes) : [],
+    // Each signal's score times its share of the total weight; contributions add up to the score before any dislike penalty
+    components: SIGNALS.reduce((components, signal) => {
+      const score = candidate.signals?.[signal] ?? 0;
+      const weight = weights[signal] || 0;
+      return { ...components, [signal]: { score, weight, contribution: score * scoreWeights[signal] } };
+    }, {})
+  };
+};
+
+module.exports = {
+  buildExplanation
+};
@@ -0,0 +1,173 @@
+const { getDatabase } = require('../utils/database');
+const { httpError } = require('../utils/http-error');
+const { standardizeFavorites } = require('./recommendations');
+
+const MAX_FAVORITES = 500;
+
+// Favorites only keep podcast metadata; episodes are fetched on demand
+const toStoredPodcast = (podcast) => {
+  const { episodes, ...summary } = standardizeFavorites([podcast])[0];
+  return summary;
+};
+
+const validatePodcast = (podcast) => {
+  if (!podcast || typeof podcast !== 'object' || !podcast.id) {
+    throw httpError(400, 'A podcast object with an id is required');
+  }
+};
+
+/**
+ * List a user's favorites in their saved order
+ * @param {number} userId User ID
+ * @returns {Array<Object>} Favorite podcasts
+ */
+const listFavorites = (userId) => getDatabase()
+  .prepare('SELECT podcast FROM favorites WHERE user_id = ? ORDER BY position, added_at')
+  .all(userId)
+  .map(row => JSON.parse(row.podcast));
+
+/**
+ * Add podcasts to the end of a user's favorites, skipping ones already saved
+ * @param {number} userId User ID
+ * @param {Array<Object>} podcasts Podcasts to add
+ * @returns {{added: number, skipped: number}} Import counts
+ */
+const addFavorites = (userId, podcasts) => {
+  podcasts.forEach(validatePodcast);
+  const db = getDatabase();
+
+  return db.transaction(() => {
+    const { count, maxPosition } = db
+      .prepare('SELECT COUNT(*) AS count, COALESCE(MAX(position), -1) AS maxPosition FROM favorites WHERE user_id = ?')
+      .get(userId);
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO favorites (user_id, podcast_id, podcast, position, added_at)
+      VALUES (?, ?, ?, ?, ?)
+    `);
+
+    let added = 0;
+    for (const podcast of podcasts) {
+      if (count + added >= MAX_FAVORITES) {
+        throw httpError(400, `You can save at most ${MAX_FAVORITES} favorites`);
+      }
+
+      const result = insert.run(userId, String(podcast.id), JSON.stringify(toStoredPodcast(podcast)), maxPosition + added + 1, Date.now());
+      added += result.changes;
+    }
+
+    return { added, skipped: podcasts.length - added };
+  })();
+};
+
+/**
+ * Add a single podcast to a user's favorites
+ * @param {number} userId User ID
+ * @param {Object} podcast Podcast to add
+ * @returns {boolean} Whether the podcast was added (false when already saved)
+ */
+const addFavorite = (userId, podcast) => addFavorites(userId, [podcast]).added === 1;
+
+/**
+ * Remove a podcast from a user's favorites
+ * @param {number} userId User ID
+ * @param {string} podcastId Podcast ID
+ * @returns {boolean} Whether a favorite was removed
+ */
+const removeFavorite = (userId, podcastId) => getDatabase()
+  .prepare('DELETE FROM favorites WHERE user_id = ? AND podcast_id = ?')
+  .run(userId, podcastId).changes > 0;
+
+/**
+ * Remove all of a user's favorites
+ * @param {number} userId User ID
+ * @returns {number} Number of removed favorites
+ */
+const clearFavorites = (userId) => getDatabase()
+  .prepare('DELETE FROM favorites WHERE user_id = ?')
+  .run(userId).changes;
+
+/**
+ * Replace a user's favorites with a new list in one transaction, so a
+ * rejected list (invalid podcast, too many favorites) leaves the old one intact.
+ * Podcasts in both lists are updated in place rather than deleted and
+ * re-added, so they stay in the user's collections
+ * @param {number} userId User ID
+ * @param {Array<Object>} podcasts Podcasts in their new order
+ * @returns {Array<Object>} Favorites after the replace
+ */
+const replaceFavorites = (userId, podcasts) => {
+  if (!Array.isArray(podcasts)) {
+    throw httpError(400, 'favorites must be an array of podcasts');
+  }
+  podcasts.forEach(validatePodcast);
+
+  // The first copy of a podcast listed twice wins
+  const unique = [...new Map([...podcasts].reverse().map(podcast => [String(podcast.id), podcast])).values()].reverse();
+  if (unique.length > MAX_FAVORITES) {
+    throw httpError(400, `You can save at most ${MAX_FAVORITES} favorites`);
+  }
+
+  const db = getDatabase();
+  db.transaction(() => {
+    const keep = new Set(unique.map(podcast => String(podcast.id)));
+    const remove = db.prepare('DELETE FROM favorites WHERE user_id = ? AND podcast_id = ?');
+    db.prepare('SELECT podcast_id FROM favorites WHERE user_id = ?')
+      .all(userId)
+      .filter(row => !keep.has(row.podcast_id))
+      .forEach(row => remove.run(userId, row.podcast_id));
+
+    const upsert = db.prepare(`
+      INSERT INTO favorites (user_id, podcast_id, podcast, position, added_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (user_id, podcast_id) DO UPDATE SET podcast = excluded.podcast, position = excluded.position
+    `);
+    unique.forEach((podcast, position) => {
+      upsert.run(userId, String(podcast.id), JSON.stringify(toStoredPodcast(podcast)), position, Date.now());
+    });
+  })();
+
+  return listFavorites(userId);
+};
+
+/**
+ * Reorder a user's favorites. IDs left out keep their relative order after the listed ones
+ * @param {number} userId User ID
+ * @param {Array<string>} podcastIds Podcast IDs in the new order
+ * @returns {Array<Object>} Favorites in the new order
+ */
+const reorderFavorites = (userId, podcastIds) => {
+  if (!Array.isArray(podcastIds)) {
+    throw httpError(400, 'ids must be an array of podcast IDs');
+  }
+
+  const db = getDatabase();
+  db.transaction(() => {
+    const current = db
+      .prepare('SELECT podcast_id FROM favorites WHERE user_id = ? ORDER BY position, added_at')
+      .all(userId)
+      .map(row => row.podcast_id);
+
+    const known = new Set(current);
+    const unknown = podcastIds.filter(id => !known.has(String(id)));
+    if (unknown.length > 0) {
+      throw httpError(400, 'Some podcasts are not in your favorites', { ids: unknown });
+    }
+
+    const listed = [...new Set(podcastIds.map(String))];
+    const order = [...listed, ...current.filter(id => !listed.includes(id))];
+    const update = db.prepare('UPDATE favorites SET position = ? WHERE user_id = ? AND podcast_id = ?');
+    order.forEach((id, position) => update.run(position, userId, id));
+  })();
+
+  return listFavorites(userId);
+};
+
+module.exports = {
+  listFavorites,
+  addFavorite,
+  addFavorites,
+  removeFavorite,
+  clearFavorites,
+  replaceFavorites,
+  reorderFavorites,
+  MAX_FAVORITES
+};
@@ -0,0 +1,303 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const { XMLParser } = require('fast-xml-parser');
+const { createJsonStore } = require('../utils/json-store');
+const { httpError } = require('../utils/http-error');
+const { standardizeFavorites } = require('./recommendations');
+
+// IDs of imported feeds are prefixed so they never collide with catalog IDs
+const FEED_ID_PREFIX = 'rss-';
+const FEED_FETCH_TIMEOUT_MS = 10000;
+const MAX_FEED_BYTES = 5 * 1024 * 1024;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  textNodeName: '#text',
+  parseTagValue: false,
+  trimValues: true
+});
+
+// Imported podcasts persisted under the data directory, keyed by feed ID
+const feedStore = createJsonStore('imported-feeds.json', { podcasts: {} });
+
+// Normalize values that may be single nodes or arrays into arrays
+const asArray = (value) => value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]);
+
+// Read text content from a node that may carry attributes
+const text = (node) => {
+  if (node === undefined || node === null) return '';
+  if (Array.isArray(node)) return text(node[0]);
+  if (typeof node === 'object') return String(node['#text'] || '').trim();
+  return String(node).trim();
+};
+
+const stripHtml = (value) => value
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/\s+/g, ' ')
+  .replace(/\s+([,.;:!?])/g, '$1')
+  .trim();
+
+/**
+ * Parse an itunes:duration value (seconds, MM:SS or HH:MM:SS)
+ * @param {string} value Duration value
+ * @returns {number} Duration in seconds
+ */
+const parseDuration = (value) => {
+  const raw = text(value);
+  if (!raw) return 0;
+
+  return raw.split(':').reduce((total, part) => total * 60 + (Number(part) || 0), 0);
+};
+
+const parseDate = (value) => {
+  const time = Date.parse(text(value));
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Build a stable podcast ID from the feed's identity
+ * @param {string} identity Feed URL, or channel link/title for uploaded feeds
+ * @returns {string} Stable feed ID
+ */
+const createFeedId = (identity) => FEED_ID_PREFIX + crypto
+  .createHash('sha1')
+  .update(identity.trim().toLowerCase())
+  .digest('hex')
+  .slice(0, 24);
+
+const isImportedFeedId = (id) => typeof id === 'string' && id.startsWith(FEED_ID_PREFIX);
+
+/**
+ * Collect iTunes category names, including nested sub-categories
+ * @param {Object|Array} categories itunes:category nodes
+ * @returns {Array<string>} Category names
+ */
+const collectCategories = (categories) => asArray(categories).flatMap(category => [
+  category['@_text'],
+  ...collectCategories(category['itunes:category'])
+]).filter(Boolean);
+
+const parseRssChannel = (channel) => {
+  const items = asArray(channel.item);
+
+  return {
+    title: text(channel.title),
+    description: stripHtml(text(channel.description) || text(channel['itunes:summary'])),
+    publisher: text(channel['itunes:author']) || text(channel.managingEditor) || text(channel['dc:creator']),
+    image: (channel['itunes:image'] && channel['itunes:image']['@_href']) || text(channel.image && channel.image.url),
+    website: text(channel.link),
+    language: text(channel.language),
+    explicit: ['yes', 'true', 'explicit'].includes(text(channel['itunes:explicit']).toLowerCase()),
+    categories: collectCategories(channel['itunes:category']),
+    episodes: items.map(item => ({
+      guid: text(item.guid) || text(item.link) || text(item.title),
+      title: text(item.title),
+      description: stripHtml(text(item['content:encoded']) || text(item.description) || text(item['itunes:summary'])),
+      audio: (asArray(item.enclosure)[0] || {})['@_url'] || '',
+      audio_length_sec: parseDuration(item['itunes:duration']),
+      pub_date_ms: parseDate(item.pubDate),
+      link: text(item.link),
+      image: item['itunes:image'] ? item['itunes:image']['@_href'] : '',
+      explicit: ['yes', 'true', 'explicit'].includes(text(item['itunes:explicit']).toLowerCase())
+    }))
+  };
+};
+
+// Atom links are attribute-only nodes; pick one by rel
+const atomLink = (links, rel) => {
+  const link = asArray(links).find(l => (l['@_rel'] || 'alternate') === rel);
+  return link ? link['@_href'] : '';
+};
+
+const parseAtomFeed = (feed) => ({
+  title: text(feed.title),
+  description: stripHtml(text(feed.subtitle)),
+  publisher: text(feed.author && asArray(feed.author)[0].name),
+  image: text(feed.logo) || text(feed.icon),
+  website: atomLink(feed.link, 'alternate'),
+  language: feed['@_xml:lang'] || '',
+  explicit: false,
+  categories: asArray(feed.category).map(c => c['@_term']).filter(Boolean),
+  episodes: asArray(feed.entry).map(entry => ({
+    guid: text(entry.id) || atomLink(entry.link, 'alternate'),
+    title: text(entry.title),
+    description: stripHtml(text(entry.summary) || text(entry.content)),
+    audio: atomLink(entry.link, 'enclosure'),
+    audio_length_sec: 0,
+    pub_date_ms: parseDate(entry.published || entry.updated),
+    link: atomLink(entry.link, 'alternate'),
+    image: '',
+    explicit: false
+  }))
+});
+
+/**
+ * Parse an RSS or Atom document into a podcast in the standardized favorite shape
+ * @param {string} xml Feed document
+ * @param {Object} options Parse options
+ * @param {string} options.feedUrl URL the feed was fetched from, if any
+ * @param {Array<Object>} options.genres Catalog genres used to map feed categories
+ * @returns {Object} Podcast with episodes
+ */
+const parseFeed = (xml, { feedUrl = '', genres = [] } = {}) => {
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    throw httpError(400, `Could not parse feed: ${error.message}`);
+  }
+
+  let channel;
+  if (document.rss && document.rss.channel) {
+    channel = parseRssChannel(asArray(document.rss.channel)[0]);
+  } else if (document.feed) {
+    channel = parseAtomFeed(document.feed);
+  } else {
+    throw httpError(400, 'Document is not an RSS or Atom feed');
+  }
+
+  if (!channel.title) {
+    throw httpError(400, 'Feed is missing a title');
+  }
+
+  const id = createFeedId(feedUrl || channel.website || channel.title);
+  const genreIdsByName = new Map(genres.map(g => [g.name.toLowerCase(), g.id]));
+  const genreIds = [...new Set(channel.categories
+    .map(name => genreIdsByName.get(name.toLowerCase()))
+    .filter(Boolean))];
+
+  const episodes = channel.episodes
+    .filter(episode => episode.title || episode.audio)
+    .map(episode => ({
+      id: `${id}-${crypto.createHash('sha1').update(episode.guid).digest('hex').slice(0, 12)}`,
+      title: episode.title,
+      description: episode.description,
+      audio: episode.audio,
+      audio_length_sec: episode.audio_length_sec,
+      pub_date_ms: episode.pub_date_ms,
+      link: episode.link,
+      thumbnail: episode.image || channel.image,
+      explicit_content: episode.explicit || channel.explicit
+    }))
+    .sort((a, b) => (b.pub_date_ms || 0) - (a.pub_date_ms || 0));
+
+  const pubDates = episodes.map(e => e.pub_date_ms).filter(Boolean);
+  const durations = episodes.map(e => e.audio_length_sec).filter(Boolean);
+
+  const [podcast] = standardizeFavorites([{
+    id,
+    title: channel.title,
+    description: channel.description,
+    publisher: channel.publisher,
+    title_original: channel.title,
+    description_original: channel.description,
+    publisher_original: channel.publisher,
+    thumbnail: channel.image,
+    image: channel.image,
+    website: channel.website || feedUrl,
+    listennotes_url: '',
+    rss: feedUrl,
+    language: channel.language,
+    genre_ids: genreIds,
+    explicit_content: channel.explicit,
+    latest_pub_date_ms: pubDates.length ? Math.max(...pubDates) : null,
+    earliest_pub_date_ms: pubDates.length ? Math.min(...pubDates) : null,
+    audio_length_sec: durations.length
+      ? Math.round(durations.reduce((sum, d) => sum + d, 0) / durations.length)
+      : 0,
+    total_episodes: episodes.length,
+    source: 'rss'
+  }]);
+
+  return { ...podcast, episodes };
+};
+
+/**
+ * Download a feed document
+ * @param {string} url Feed URL
+ * @returns {Promise<string>} Feed XML
+ */
+const fetchFeed = async (url) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    throw httpError(400, `Invalid feed URL: ${url}`);
+  }
+
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    throw httpError(400, 'Feed URL must use http or https');
+  }
+
+  try {
+    const response = await axios.get(parsedUrl.toString(), {
+      responseType: 'text',
+      timeout: FEED_FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_FEED_BYTES,
+      headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml' }
+    });
+    return response.data;
+  } catch (error) {
+    throw httpError(502, `Could not fetch feed from ${url}: ${error.message}`);
+  }
+};
+
+/**
+ * Import a podcast from an RSS/Atom feed, fetched from a URL or uploaded as XML
+ * @param {Object} source Feed source
+ * @param {string} source.url Feed URL to fetch
+ * @param {string} source.xml Uploaded feed document
+ * @param {Object} catalog Podcast catalog provider, used to map categories to genres
+ * @returns {Promise<Object>} Imported podcast with episodes
+ */
+const importFeed = async ({ url, xml }, catalog) => {
+  if (!url && !xml) {
+    throw httpError(400, 'Either a feed URL or a feed document is required');
+  }
+
+  const document = xml || await fetchFeed(url);
+
+  let genres = [];
+  try {
+    genres = (await catalog.genres()).genres || [];
+  } catch (error) {
+    console.error('Could not load genres for feed import:', error.message);
+  }
+
+  const podcast = parseFeed(document, { feedUrl: url || '', genres });
+
+  feedStore.data.podcasts[podcast.id] = { ...podcast, imported_at: Date.now() };
+  feedStore.save();
+
+  console.log(`Imported feed "${podcast.title}" as ${podcast.id} with ${podcast.episodes.length} episodes`);
+  return podcast;
+};
+
+/**
+ * Look up a previously imported podcast
+ * @param {string} id Feed ID
+ * @returns {Object|null} Imported podcast with episodes
+ */
+const getImportedPodcast = (id) => feedStore.data.podcasts[id] || null;
+
+/**
+ * Look up a previously imported podcast by the URL its feed was fetched from
+ * @param {string} feedUrl Feed URL
+ * @returns {Object|null} Imported podcast with episodes
+ */
+const findImportedPodcastByFeedUrl = (feedUrl) => {
+  const wanted = String(feedUrl || '').trim().toLowerCase();
+  if (!wanted) return null;
+
+  return Object.values(feedStore.data.podcasts)
+    .find(podcast => (podcast.rss || '').toLowerCase() === wanted) || null;
+};
+
+module.exports = {
+  importFeed,
+  parseFeed,
+  getImportedPodcast,
+  findImportedPodcastByFeedUrl,
+  isImportedFeedId
+};
@@ -0,0 +1,138 @@
+const GENRE_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// One taxonomy per catalog provider
+const taxonomies = new WeakMap();
+
+/**
+ * Build lookups over a flat genre list
+ * @param {Array<{id: number, name: string, parent_id: number|null}>} genres Genres
+ * @returns {Object} Snapshot: genres, nameOf, ancestorsOf, similarity, setSimilarity
+ */
+const createGenreSnapshot = (genres) => {
+  const byId = new Map(genres.map(genre => [genre.id, genre]));
+
+  // Path from a genre up to the root, the genre itself first
+  const ancestorsOf = (id) => {
+    const path = [];
+    let genre = byId.get(Number(id));
+    while (genre && !path.includes(genre.id)) {
+      path.push(genre.id);
+      genre = byId.get(genre.parent_id);
+    }
+    return path;
+  };
+
+  // The root (e.g. Listen Notes' catch-all "Podcasts") has depth 0 and so matches nothing
+  const depthOf = (id) => ancestorsOf(id).length - 1;
+
+  /**
+   * Wu-Palmer similarity of two genres: 1 for the same genre, 2/3 for parent
+   * and child, 1/2 for siblings, 0 when they only share the root
+   * @param {number} a Genre ID
+   * @param {number} b Genre ID
+   * @returns {number} Similarity 0-1
+   */
+  const similarity = (a, b) => {
+    if (Number(a) === Number(b)) return byId.has(Number(a)) && depthOf(a) > 0 ? 1 : 0;
+
+    const ancestorsOfB = new Set(ancestorsOf(b));
+    const common = ancestorsOf(a).find(id => ancestorsOfB.has(id));
+    if (common === undefined) return 0;
+
+    const depthSum = depthOf(a) + depthOf(b);
+    return depthSum > 0 ? (2 * depthOf(common)) / depthSum : 0;
+  };
+
+  /**
+   * Similarity of two podcasts' genre lists: each genre's best match on the
+   * other side, averaged in both directions
+   * @param {Array<number>} idsA Genre IDs
+   * @param {Array<number>} idsB Genre IDs
+   * @returns {number} Similarity 0-1
+   */
+  const setSimilarity = (idsA = [], idsB = []) => {
+    const a = idsA.filter(id => depthOf(id) > 0);
+    const b = idsB.filter(id => depthOf(id) > 0);
+    if (a.length === 0 || b.length === 0) return 0;
+
+    const bestMatches = (from, to) => from.reduce((sum, id) => sum + Math.max(...to.map(other => similarity(id, other))), 0) / from.length;
+    return (bestMatches(a, b) + bestMatches(b, a)) / 2;
+  };
+
+  return {
+    genres,
+    isEmpty: genres.length === 0,
+    nameOf: (id) => byId.get(Number(id))?.name || null,
+    ancestorsOf,
+    similarity,
+    setSimilarity
+  };
+};
+
+/**
+ * Cached genre tree for a catalog provider, refreshed once a day
+ * @param {Object} catalog Podcast catalog provider
+ * @returns {{load: Function}} Taxonomy; load() resolves to a snapshot (see createGenreSnapshot)
+ */
+const getGenreTaxonomy = (catalog) => {
+  if (taxonomies.has(catalog)) {
+    return taxonomies.get(catalog);
+  }
+
+  let snapshot = null;
+  let loadedAt = 0;
+  let pending = null;
+
+  const refresh = async () => {
+    try {
+      const { genres = [] } = await catalog.genres({ top_level_only: 0 });
+      snapshot = createGenreSnapshot(genres.map(({ id, name, parent_id }) => ({ id, name, parent_id: parent_id ?? null })));
+      loadedAt = Date.now();
+      console.log(`Loaded ${genres.length} genres`);
+      return snapshot;
+    } catch (error) {
+      // Keep serving a stale tree rather than none
+      if (snapshot) {
+        console.error('Error refreshing genres:', error.message);
+        return snapshot;
+      }
+      throw error;
+    } finally {
+      pending = null;
+    }
+  };
+
+  const taxonomy = {
+    load: async () => {
+      if (snapshot && Date.now() - loadedAt < GENRE_CACHE_TTL_MS) {
+        return snapshot;
+      }
+      pending = pending || refresh();
+      return pending;
+    }
+  };
+
+  taxonomies.set(catalog, taxonomy);
+  return taxonomy;
+};
+
+/**
+ * Load the genre tree for ranking and explanations, where a missing tree
+ * only means genre names fall back to IDs and similarity to exact matches
+ * @param {Object} catalog Podcast catalog provider
+ * @returns {Promise<Object>} Genre snapshot, empty when the catalog can't list genres
+ */
+const loadGenreSnapshot = async (catalog) => {
+  try {
+    return await getGenreTaxonomy(catalog).load();
+  } catch (error) {
+    console.error('Could not load genres:', error.message);
+    return createGenreSnapshot([]);
+  }
+};
+
+module.exports = {
+  getGenreTaxonomy,
+  loadGenreSnapshot,
+  createGenreSnapshot
+};
@@ -0,0 +1,208 @@
+const natural = require('natural');
+const { XMLParser } = require('fast-xml-parser');
+const { httpError } = require('../utils/http-error');
+const { standardizeFavorites } = require('./recommendations');
+const { importFeed, findImportedPodcastByFeedUrl } = require('./feed-import');
+
+// Minimum Dice coefficient for accepting a title search result as a match
+const TITLE_MATCH_THRESHOLD = 0.75;
+const MAX_OUTLINES = 500;
+
+const parser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '@_',
+  parseTagValue: false,
+  parseAttributeValue: false
+});
+
+const asArray = (value) => value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value]);
+
+const escapeXml = (value) => String(value || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Feed URLs are compared without protocol, trailing slash or case
+const normalizeFeedUrl = (url) => String(url || '')
+  .trim()
+  .toLowerCase()
+  .replace(/^https?:\/\//, '')
+  .replace(/\/+$/, '');
+
+const normalizeTitle = (title) => String(title || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+/**
+ * Build an OPML subscription list from podcasts
+ * @param {Array<Object>} podcasts Podcasts to export
+ * @param {Object} options Export options
+ * @param {string} options.title Document title
+ * @returns {string} OPML document
+ */
+const buildOpml = (podcasts, { title = 'Podcast Matchmaker favorites' } = {}) => {
+  const outlines = standardizeFavorites(podcasts).map(podcast => {
+    const attributes = [
+      `type="rss"`,
+      `text="${escapeXml(podcast.title)}"`,
+      `title="${escapeXml(podcast.title)}"`,
+      podcast.rss ? `xmlUrl="${escapeXml(podcast.rss)}"` : null,
+      podcast.website ? `htmlUrl="${escapeXml(podcast.website)}"` : null
+    ].filter(Boolean);
+
+    return `    <outline ${attributes.join(' ')}/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="2.0">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    ...outlines,
+    '  </body>',
+    '</opml>'
+  ].join('\n');
+};
+
+/**
+ * Parse an OPML document into a flat list of podcast outlines
+ * @param {string} xml OPML document
+ * @returns {Array<{title: string, xmlUrl: string, htmlUrl: string}>} Outlines with a title or feed URL
+ */
+const parseOpml = (xml) => {
+  let document;
+  try {
+    document = parser.parse(xml);
+  } catch (error) {
+    throw httpError(400, `Could not parse OPML: ${error.message}`);
+  }
+
+  if (!document.opml || !document.opml.body) {
+    throw httpError(400, 'Document is not an OPML file');
+  }
+
+  // Folders are outlines containing outlines; flatten them
+  const flatten = (outlines) => asArray(outlines).flatMap(outline => {
+    if (outline.outline && !outline['@_xmlUrl']) {
+      return flatten(outline.outline);
+    }
+
+    return [{
+      title: outline['@_title'] || outline['@_text'] || '',
+      xmlUrl: outline['@_xmlUrl'] || outline['@_xmlurl'] || '',
+      htmlUrl: outline['@_htmlUrl'] || outline['@_htmlurl'] || ''
+    }];
+  });
+
+  const outlines = flatten(document.opml.body.outline)
+    .filter(outline => outline.xmlUrl || outline.title);
+
+  if (outlines.length > MAX_OUTLINES) {
+    throw httpError(400, `OPML file has ${outlines.length} entries; at most ${MAX_OUTLINES} can be imported at once`);
+  }
+
+  return outlines;
+};
+
+/**
+ * Find the catalog podcast whose title best matches an outline title
+ * @param {string} title Outline title
+ * @param {Object} catalog Podcast catalog provider
+ * @returns {Promise<Object|null>} Matching podcast
+ */
+const findByTitle = async (title, catalog) => {
+  const data = await catalog.search({ q: title, type: 'podcast', only_in: 'title', page_size: 5 });
+  const wanted = normalizeTitle(title);
+
+  const scored = (data.results || [])
+    .map(podcast => {
+      const candidate = normalizeTitle(podcast.title_original || podcast.title);
+      return {
+        podcast,
+        score: candidate === wanted ? 1 : natural.DiceCoefficient(candidate, wanted)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  return scored.length && scored[0].score >= TITLE_MATCH_THRESHOLD ? scored[0].podcast : null;
+};
+
+/**
+ * Resolve OPML outlines against the catalog, by feed URL first and title second
+ * @param {Array<Object>} outlines Outlines from parseOpml
+ * @param {Object} catalog Podcast catalog provider
+ * @param {Object} options Resolution options
+ * @param {boolean} options.importFeeds Import feeds the catalog doesn't know as RSS podcasts
+ * @returns {Promise<{matched: Array<Object>, unmatched: Array<Object>}>} Resolution report
+ */
+const resolveOutlines = async (outlines, catalog, { importFeeds = false } = {}) => {
+  const matched = [];
+  const unmatched = [];
+
+  // Batch the feed URL lookup for every outline that has one
+  const byFeedUrl = new Map();
+  const feedUrls = [...new Set(outlines.map(o => o.xmlUrl).filter(Boolean))];
+  if (feedUrls.length > 0 && catalog.lookupByFeedUrls) {
+    try {
+      const { podcasts } = await catalog.lookupByFeedUrls(feedUrls);
+      (podcasts || []).forEach(podcast => byFeedUrl.set(normalizeFeedUrl(podcast.rss), podcast));
+    } catch (error) {
+      console.error('Error looking up OPML feed URLs:', error.message);
+    }
+  }
+
+  for (const outline of outlines) {
+    const entry = { title: outline.title, xmlUrl: outline.xmlUrl };
+
+    try {
+      let podcast = null;
+      let matchedBy = null;
+
+      if (outline.xmlUrl) {
+        podcast = byFeedUrl.get(normalizeFeedUrl(outline.xmlUrl)) || null;
+        matchedBy = podcast ? 'feed_url' : null;
+
+        if (!podcast) {
+          podcast = findImportedPodcastByFeedUrl(outline.xmlUrl);
+          matchedBy = podcast ? 'imported_feed' : null;
+        }
+      }
+
+      if (!podcast && outline.title) {
+        podcast = await findByTitle(outline.title, catalog);
+        matchedBy = podcast ? 'title' : null;
+      }
+
+      if (!podcast && outline.xmlUrl && importFeeds) {
+        podcast = await importFeed({ url: outline.xmlUrl }, catalog);
+        matchedBy = 'feed_import';
+      }
+
+      if (podcast) {
+        const { episodes, ...summary } = podcast;
+        matched.push({ ...entry, matched_by: matchedBy, podcast: standardizeFavorites([summary])[0] });
+      } else {
+        unmatched.push({
+          ...entry,
+          reason: outline.xmlUrl
+            ? 'Feed URL and title were not found in the catalog'
+            : 'Title was not found in the catalog'
+        });
+      }
+    } catch (error) {
+      console.error(`Error resolving OPML entry "${outline.title || outline.xmlUrl}":`, error.message);
+      unmatched.push({ ...entry, reason: error.message });
+    }
+  }
+
+  return { matched, unmatched };
+};
+
+module.exports = {
+  buildOpml,
+  parseOpml,
+  resolveOutlines
+};
@@ -0,0 +1,102 @@
+const { httpError } = require('../utils/http-error');
+const { SIGNALS } = require('./ranking-weights');
+const { parseDiversity, DEFAULT_DIVERSITY_OPTIONS } = require('./diversity');
+
+const AGGREGATIONS = ['mean', 'max'];
+const MAX_LIMIT = 50;
+const MAX_WEIGHT = 5;
+
+// Named starting points; explicit fields in the request override them
+const RANKING_PRESETS = {
+  'close-match': {
+    weights: { semantic: 0.8, topic: 0.4, genre: 0.2, popularity: 0, recency: 0, entity: 0.3, theme: 0.15 },
+    aggregation: 'max',
+    diversity: 0.1
+  },
+  explore: {
+    weights: { semantic: 0.5, topic: 0.2, genre: 0, popularity: 0.15, recency: 0.15, entity: 0, theme: 0.1 },
+    aggregation: 'mean',
+    diversity: 0.6
+  }
+};
+
+const RANKING_FIELDS = ['preset', 'weights', 'aggregation', 'limit', 'diversity'];
+
+const parseWeights = (weights) => {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw httpError(400, `ranking.weights must be an object with any of ${SIGNALS.join(', ')}`);
+  }
+
+  const unknown = Object.keys(weights).filter(signal => !SIGNALS.includes(signal));
+  if (unknown.length > 0) {
+    throw httpError(400, 'Unknown ranking signals', { signals: unknown, allowed: SIGNALS });
+  }
+
+  return Object.entries(weights).reduce((parsed, [signal, value]) => {
+    const weight = Number(value);
+    if (value === null || value === '' || !Number.isFinite(weight) || Math.abs(weight) > MAX_WEIGHT) {
+      throw httpError(400, `ranking.weights.${signal} must be a number between -${MAX_WEIGHT} and ${MAX_WEIGHT}`);
+    }
+    return { ...parsed, [signal]: weight };
+  }, {});
+};
+
+/**
+ * Validate a request's ranking settings and resolve them against the user's
+ * weights and the chosen preset
+ * @param {Object} ranking Ranking settings from the request body
+ * @param {string} ranking.preset "close-match" or "explore"
+ * @param {Object} ranking.weights Per-signal weights; signals left out keep the preset's or user's weight
+ * @param {string} ranking.aggregation How per-favorite scores combine: "mean" or "max"
+ * @param {number} ranking.limit Recommendations per page (1-50)
+ * @param {number} ranking.diversity Relevance/diversity trade-off, 0-1
+ * @param {{weights: Object, source: string}} userWeights The user's ranking weights (see getUserWeights)
+ * @returns {Object} Effective settings: preset, weights, weights_source, aggregation, limit, diversity
+ */
+const resolveRankingOptions = (ranking = {}, userWeights) => {
+  if (ranking === null || typeof ranking !== 'object' || Array.isArray(ranking)) {
+    throw httpError(400, 'ranking must be an object');
+  }
+
+  const unknown = Object.keys(ranking).filter(field => !RANKING_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw httpError(400, 'Unknown ranking options', { options: unknown, allowed: RANKING_FIELDS });
+  }
+
+  const presetName = ranking.preset ?? null;
+  if (presetName !== null && !RANKING_PRESETS[presetName]) {
+    throw httpError(400, `ranking.preset must be one of ${Object.keys(RANKING_PRESETS).join(', ')}`);
+  }
+  const preset = presetName ? RANKING_PRESETS[presetName] : {};
+
+  if (ranking.aggregation !== undefined && !AGGREGATIONS.includes(ranking.aggregation)) {
+    throw httpError(400, `ranking.aggregation must be one of ${AGGREGATIONS.join(', ')}`);
+  }
+
+  const limit = ranking.limit === undefined ? DEFAULT_DIVERSITY_OPTIONS.limit : Number(ranking.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw httpError(400, `ranking.limit must be a whole number between 1 and ${MAX_LIMIT}`);
+  }
+
+  const weightOverrides = ranking.weights === undefined ? {} : parseWeights(ranking.weights);
+  const baseWeights = preset.weights || userWeights.weights;
+  const weightsSource = Object.keys(weightOverrides).length > 0
+    ? 'request'
+    : presetName ? 'preset' : userWeights.source;
+
+  return {
+    preset: presetName,
+    weights: { ...baseWeights, ...weightOverrides },
+    weights_source: weightsSource,
+    aggregation: ranking.aggregation || preset.aggregation || 'mean',
+    limit,
+    diversity: parseDiversity(ranking.diversity, 'ranking.diversity') ?? preset.diversity ?? DEFAULT_DIVERSITY_OPTIONS.diversity
+  };
+};
+
+module.exports = {
+  resolveRankingOptions,
+  RANKING_PRESETS,
+  AGGREGATIONS,
+  MAX_LIMIT
+};
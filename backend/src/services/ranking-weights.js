@@ -0,0 +1,193 @@
+const { getDatabase } = require('../utils/database');
+const { httpError } = require('../utils/http-error');
+const { WEIGHTS } = require('../utils/similarity');
+
+// Ranking signals, each scored 0-1 (semantic is a cosine similarity and may dip below 0).
+// "topic" compares description terms, "theme" the trained topic model's distributions
+const SIGNALS = ['semantic', 'topic', 'genre', 'popularity', 'recency', 'entity', 'theme'];
+
+// Global blend used for new users: the original semantic/topic mix plus a
+// little genre closeness, shared people/organizations and themes, other signals off
+const DEFAULT_SIGNAL_WEIGHTS = {
+  semantic: 0.7,
+  topic: WEIGHTS.TOPIC_MATCH * 0.3,
+  genre: 0.15,
+  popularity: 0,
+  recency: 0,
+  entity: 0.2,
+  theme: 0.15
+};
+
+// Personal weights need enough thumbs up and down to say something
+const MIN_FEEDBACK = 8;
+const MIN_PER_RATING = 2;
+const MAX_FEEDBACK_USED = 1000;
+
+const FIT = {
+  iterations: 400,
+  learningRate: 0.5,
+  priorScale: 5,     // Defaults scaled into logit space act as the prior
+  regularization: 0.05
+};
+
+const sumAbs = (weights) => SIGNALS.reduce((sum, signal) => sum + Math.abs(weights[signal] || 0), 0);
+
+/**
+ * Scale weights so their absolute values add up to 1, which keeps a blend of
+ * 0-1 signals within 0-1 however large the weights are
+ * @param {Object} weights Signal weights keyed by name
+ * @returns {Object} Scaled weights (all 0 when every weight is 0)
+ */
+const normalizeWeights = (weights) => {
+  const total = sumAbs(weights);
+  return SIGNALS.reduce((normalized, signal) => ({
+    ...normalized,
+    [signal]: total > 0 ? (weights[signal] || 0) / total : 0
+  }), {});
+};
+
+/**
+ * Validate a score breakdown sent back with feedback. Signals missing from it
+ * (breakdowns returned before the signal existed) count as 0
+ * @param {Object} signals Signal values keyed by name
+ * @returns {Object} Signals clamped to [-1, 1]
+ */
+const normalizeSignals = (signals) => {
+  if (!signals || typeof signals !== 'object') {
+    throw httpError(400, `signals must be an object with ${SIGNALS.join(', ')}`);
+  }
+
+  return SIGNALS.reduce((normalized, signal) => {
+    const value = Number(signals[signal] ?? 0);
+    if (!Number.isFinite(value)) {
+      throw httpError(400, `signals.${signal} must be a number`);
+    }
+    normalized[signal] = Math.min(1, Math.max(-1, value));
+    return normalized;
+  }, {});
+};
+
+/**
+ * Fit signal weights to rated recommendations with L2-regularized logistic
+ * regression pulled towards the default blend, then rescale them to the
+ * default weights' magnitude so scores stay comparable
+ * @param {Array<{signals: Object, rating: number}>} samples Rated score breakdowns (rating 1 = up, 0 = down)
+ * @returns {Object} Weights keyed by signal
+ */
+const fitWeights = (samples) => {
+  const prior = SIGNALS.map(signal => DEFAULT_SIGNAL_WEIGHTS[signal] * FIT.priorScale);
+  const weights = [...prior];
+  let bias = 0;
+
+  const rows = samples.map(sample => SIGNALS.map(signal => sample.signals[signal] ?? 0));
+  const labels = samples.map(sample => sample.rating);
+
+  for (let iteration = 0; iteration < FIT.iterations; iteration++) {
+    const gradient = new Array(SIGNALS.length).fill(0);
+    let biasGradient = 0;
+
+    rows.forEach((row, i) => {
+      const logit = bias + row.reduce((sum, value, k) => sum + value * weights[k], 0);
+      const error = 1 / (1 + Math.exp(-logit)) - labels[i];
+      row.forEach((value, k) => {
+        gradient[k] += error * value;
+      });
+      biasGradient += error;
+    });
+
+    weights.forEach((weight, k) => {
+      const penalty = 2 * FIT.regularization * (weight - prior[k]);
+      weights[k] -= FIT.learningRate * (gradient[k] / rows.length + penalty);
+    });
+    bias -= FIT.learningRate * biasGradient / rows.length;
+  }
+
+  const fitted = SIGNALS.reduce((result, signal, k) => ({ ...result, [signal]: weights[k] }), {});
+  const total = sumAbs(fitted);
+  if (total < 1e-6) {
+    return { ...DEFAULT_SIGNAL_WEIGHTS };
+  }
+
+  const scale = sumAbs(DEFAULT_SIGNAL_WEIGHTS) / total;
+  return SIGNALS.reduce((result, signal) => ({ ...result, [signal]: fitted[signal] * scale }), {});
+};
+
+/**
+ * Refit and store a user's weights from their feedback log
+ * @param {number} userId User ID
+ * @returns {Object|null} Stored weights, or null when there isn't enough feedback yet
+ */
+const refitUserWeights = (userId) => {
+  const db = getDatabase();
+  const samples = db
+    .prepare('SELECT rating, signals FROM recommendation_feedback WHERE user_id = ? ORDER BY created_at DESC LIMIT ?')
+    .all(userId, MAX_FEEDBACK_USED)
+    .map(row => ({ rating: row.rating, signals: JSON.parse(row.signals) }));
+
+  const ups = samples.filter(sample => sample.rating === 1).length;
+  const downs = samples.length - ups;
+  if (samples.length < MIN_FEEDBACK || ups < MIN_PER_RATING || downs < MIN_PER_RATING) {
+    db.prepare('DELETE FROM user_ranking_weights WHERE user_id = ?').run(userId);
+    return null;
+  }
+
+  const weights = fitWeights(samples);
+  db.prepare(`
+    INSERT INTO user_ranking_weights (user_id, weights, samples, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (user_id) DO UPDATE SET weights = excluded.weights, samples = excluded.samples, updated_at = excluded.updated_at
+  `).run(userId, JSON.stringify(weights), samples.length, Date.now());
+
+  return weights;
+};
+
+/**
+ * Record thumbs up/down on a recommendation with its score breakdown, then refit the user's weights
+ * @param {number} userId User ID
+ * @param {Object} feedback Feedback
+ * @param {string} feedback.podcastId Recommended podcast ID
+ * @param {string} feedback.rating "up" or "down"
+ * @param {Object} feedback.signals Score breakdown returned with the recommendation
+ * @returns {Object} The user's ranking weights after the update
+ */
+const recordFeedback = (userId, { podcastId, rating, signals } = {}) => {
+  if (!podcastId) {
+    throw httpError(400, 'podcastId is required');
+  }
+  if (rating !== 'up' && rating !== 'down') {
+    throw httpError(400, 'rating must be "up" or "down"');
+  }
+
+  // Rating the same podcast again replaces the earlier rating
+  getDatabase().prepare(`
+    INSERT INTO recommendation_feedback (user_id, podcast_id, rating, signals, created_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (user_id, podcast_id) DO UPDATE SET rating = excluded.rating, signals = excluded.signals, created_at = excluded.created_at
+  `).run(userId, String(podcastId), rating === 'up' ? 1 : 0, JSON.stringify(normalizeSignals(signals)), Date.now());
+
+  refitUserWeights(userId);
+  return getUserWeights(userId);
+};
+
+/**
+ * Ranking weights for a user: fitted from their feedback, or the global defaults.
+ * Signals added after the weights were fitted keep their default weight
+ * @param {number|null} userId User ID (null for guests)
+ * @returns {{weights: Object, source: string, samples: number}} Weights and where they came from
+ */
+const getUserWeights = (userId) => {
+  const row = userId
+    ? getDatabase().prepare('SELECT weights, samples FROM user_ranking_weights WHERE user_id = ?').get(userId)
+    : null;
+
+  return row
+    ? { weights: { ...DEFAULT_SIGNAL_WEIGHTS, ...JSON.parse(row.weights) }, source: 'learned', samples: row.samples }
+    : { weights: { ...DEFAULT_SIGNAL_WEIGHTS }, source: 'default', samples: 0 };
+};
+
+module.exports = {
+  SIGNALS,
+  DEFAULT_SIGNAL_WEIGHTS,
+  normalizeWeights,
+  fitWeights,
+  recordFeedback,
+  getUserWeights
+};
@@ -0,0 +1,176 @@
+const { httpError } = require('../utils/http-error');
+const { isSameLanguage } = require('../utils/languages');
+
+const FILTER_FIELDS = [
+  'language',
+  'exclude_explicit',
+  'min_episode_minutes',
+  'max_episode_minutes',
+  'active_since',
+  'exclude_genre_ids',
+  'exclude_publishers'
+];
+
+const MAX_EXCLUSIONS = 100;
+
+const parseMinutes = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes) || minutes < 0) {
+    throw httpError(400, `filters.${field} must be a number of minutes`);
+  }
+  return minutes;
+};
+
+// Accepts epoch milliseconds or anything Date can parse (e.g. "2025-01-31")
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw httpError(400, 'filters.active_since must be a date (YYYY-MM-DD) or a timestamp in milliseconds');
+  }
+  return time;
+};
+
+const parseList = (value, field, parseItem) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.length > MAX_EXCLUSIONS) {
+    throw httpError(400, `filters.${field} must be an array of at most ${MAX_EXCLUSIONS} items`);
+  }
+  return value.map(parseItem);
+};
+
+/**
+ * Validate a request's recommendation filters
+ * @param {Object} filters Filters from the request body
+ * @param {string} filters.language Only podcasts in this language (e.g. "English")
+ * @param {boolean} filters.exclude_explicit Leave out podcasts marked explicit
+ * @param {number} filters.min_episode_minutes Minimum average episode length
+ * @param {number} filters.max_episode_minutes Maximum average episode length
+ * @param {string|number} filters.active_since Only podcasts with an episode published on or after this date
+ * @param {Array<number>} filters.exclude_genre_ids Leave out podcasts in any of these genres
+ * @param {Array<string>} filters.exclude_publishers Leave out podcasts from these publishers (case-insensitive)
+ * @returns {Object} Normalized filters with every field present
+ */
+const parseFilters = (filters = {}) => {
+  if (filters === null || typeof filters !== 'object' || Array.isArray(filters)) {
+    throw httpError(400, 'filters must be an object');
+  }
+
+  const unknown = Object.keys(filters).filter(field => !FILTER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw httpError(400, 'Unknown filters', { filters: unknown, allowed: FILTER_FIELDS });
+  }
+
+  if (filters.language !== undefined && filters.language !== null && typeof filters.language !== 'string') {
+    throw httpError(400, 'filters.language must be a string');
+  }
+  if (filters.exclude_explicit !== undefined && typeof filters.exclude_explicit !== 'boolean') {
+    throw httpError(400, 'filters.exclude_explicit must be true or false');
+  }
+
+  const minMinutes = parseMinutes(filters.min_episode_minutes, 'min_episode_minutes');
+  const maxMinutes = parseMinutes(filters.max_episode_minutes, 'max_episode_minutes');
+  if (minMinutes !== null && maxMinutes !== null && minMinutes > maxMinutes) {
+    throw httpError(400, 'filters.min_episode_minutes must not be greater than filters.max_episode_minutes');
+  }
+
+  return {
+    language: filters.language?.trim() || null,
+    exclude_explicit: filters.exclude_explicit === true,
+    min_episode_minutes: minMinutes,
+    max_episode_minutes: maxMinutes,
+    active_since: parseDate(filters.active_since),
+    exclude_genre_ids: parseList(filters.exclude_genre_ids, 'exclude_genre_ids', (id) => {
+      const genreId = Number(id);
+      if (!Number.isInteger(genreId)) {
+        throw httpError(400, 'filters.exclude_genre_ids must contain genre IDs');
+      }
+      return genreId;
+    }),
+    exclude_publishers: parseList(filters.exclude_publishers, 'exclude_publishers', (publisher) => {
+      if (typeof publisher !== 'string' || !publisher.trim()) {
+        throw httpError(400, 'filters.exclude_publishers must contain publisher names');
+      }
+      return publisher.trim();
+    })
+  };
+};
+
+/**
+ * Whether any filter is set
+ * @param {Object} filters Normalized filters (see parseFilters)
+ * @returns {boolean} True when at least one filter narrows the results
+ */
+const hasActiveFilters = (filters) => Boolean(filters) && (
+  Boolean(filters.language)
+  || filters.exclude_explicit
+  || filters.min_episode_minutes !== null
+  || filters.max_episode_minutes !== null
+  || filters.active_since !== null
+  || filters.exclude_genre_ids.length > 0
+  || filters.exclude_publishers.length > 0
+);
+
+/**
+ * Catalog query parameters for the filters the catalog can apply itself
+ * @param {Object} filters Normalized filters (see parseFilters)
+ * @param {string} kind "search" or "best" (best podcasts has no length filter)
+ * @returns {Object} Extra query parameters
+ */
+const toCatalogParams = (filters, kind = 'search') => {
+  if (!filters) return {};
+
+  const params = {};
+  if (filters.language) params.language = filters.language;
+  if (filters.exclude_explicit) params.safe_mode = 1;
+  if (kind === 'search') {
+    if (filters.min_episode_minutes !== null) params.len_min = filters.min_episode_minutes;
+    if (filters.max_episode_minutes !== null) params.len_max = filters.max_episode_minutes;
+  }
+  return params;
+};
+
+/**
+ * Whether a podcast passes the filters. Podcasts missing a filtered field
+ * (e.g. no episode length) are kept, since they can't be shown to violate it
+ * @param {Object} podcast Podcast
+ * @param {Object} filters Normalized filters (see parseFilters)
+ * @returns {boolean} Whether the podcast may be recommended
+ */
+const matchesFilters = (podcast, filters) => {
+  if (!filters) return true;
+
+  // Catalog podcasts name their language ("English"), imported feeds use RSS codes ("en-us")
+  if (filters.language && podcast.language && !isSameLanguage(podcast.language, filters.language)) {
+    return false;
+  }
+  if (filters.exclude_explicit && podcast.explicit_content) {
+    return false;
+  }
+
+  const minutes = podcast.audio_length_sec ? podcast.audio_length_sec / 60 : null;
+  if (minutes !== null) {
+    if (filters.min_episode_minutes !== null && minutes < filters.min_episode_minutes) return false;
+    if (filters.max_episode_minutes !== null && minutes > filters.max_episode_minutes) return false;
+  }
+
+  if (filters.active_since !== null && podcast.latest_pub_date_ms && podcast.latest_pub_date_ms < filters.active_since) {
+    return false;
+  }
+  if ((podcast.genre_ids || []).some(id => filters.exclude_genre_ids.includes(id))) {
+    return false;
+  }
+
+  const publisher = String(podcast.publisher || podcast.publisher_original || '').toLowerCase();
+  return !filters.exclude_publishers.some(excluded => excluded.toLowerCase() === publisher);
+};
+
+module.exports = {
+  parseFilters,
+  hasActiveFilters,
+  toCatalogParams,
+  matchesFilters
+};
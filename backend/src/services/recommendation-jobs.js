@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { getDatabase } = require('../utils/database');
+const { httpError } = require('../utils/http-error');
+const { runRecommendationPipeline } = require('./recommendation-pipeline');
+
+const DEFAULT_JOB_TTL_MINUTES = 60;
+const DEFAULT_MAX_RUNNING_JOBS = 4;
+const MAX_RUNNING_JOBS_PER_USER = 2;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+// Jobs still running in this process; finished jobs only live in the database
+const runningJobs = new Map();
+let initialized = false;
+
+/**
+ * How long finished job results are kept (RECOMMENDATION_JOB_TTL_MINUTES, default 60)
+ * @returns {number} TTL in milliseconds
+ */
+const getJobTtlMs = () => {
+  const minutes = Number(process.env.RECOMMENDATION_JOB_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_JOB_TTL_MINUTES) * 60 * 1000;
+};
+
+/**
+ * How many jobs may run at once across all users (RECOMMENDATION_MAX_RUNNING_JOBS, default 4)
+ * @returns {number} Maximum number of running jobs
+ */
+const getMaxRunningJobs = () => {
+  const limit = Number(process.env.RECOMMENDATION_MAX_RUNNING_JOBS);
+  return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_MAX_RUNNING_JOBS;
+};
+
+// Each run embeds dozens of podcasts, so refuse new ones rather than queue them up
+const checkJobCapacity = (userId) => {
+  const running = [...runningJobs.values()];
+  if (userId && running.filter(job => job.userId === userId).length >= MAX_RUNNING_JOBS_PER_USER) {
+    throw httpError(429, `You already have ${MAX_RUNNING_JOBS_PER_USER} recommendation runs in progress. Wait for one to finish or cancel it.`);
+  }
+  if (running.length >= getMaxRunningJobs()) {
+    const error = httpError(503, 'Too many recommendation runs in progress. Please try again shortly.');
+    error.retryAfter = 30;
+    throw error;
+  }
+};
+
+const deleteExpiredJobs = () => {
+  const { changes } = getDatabase()
+    .prepare('DELETE FROM recommendation_jobs WHERE expires_at IS NOT NULL AND expires_at <= ?')
+    .run(Date.now());
+  if (changes > 0) {
+    console.log(`Removed ${changes} expired recommendation jobs`);
+  }
+};
+
+// Jobs that were running when the process stopped can't be resumed
+const init = () => {
+  if (initialized) return;
+  initialized = true;
+
+  const now = Date.now();
+  getDatabase()
+    .prepare("UPDATE recommendation_jobs SET status = 'failed', error = ?, finished_at = ?, expires_at = ? WHERE status = 'running'")
+    .run('The server restarted before this job finished', now, now + getJobTtlMs());
+  deleteExpiredJobs();
+  setInterval(deleteExpiredJobs, SWEEP_INTERVAL_MS).unref();
+};
+
+const toSnapshot = (row) => ({
+  id: row.id,
+  status: row.status,
+  progress: null,
+  partial_recommendations: [],
+  result: row.result ? JSON.parse(row.result) : null,
+  error: row.error,
+  created_at: row.created_at,
+  finished_at: row.finished_at,
+  expires_at: row.expires_at
+});
+
+const runningSnapshot = (job) => ({
+  id: job.id,
+  status: 'running',
+  progress: job.progress,
+  partial_recommendations: job.partial,
+  result: null,
+  error: null,
+  created_at: job.createdAt,
+  finished_at: null,
+  expires_at: null
+});
+
+/**
+ * Current state of a job the caller may see. Jobs started while logged in are
+ * private to that user; guest jobs are reachable by anyone holding the ID
+ * @param {string} jobId Job ID
+ * @param {number|null} userId Current user ID (null for guests)
+ * @returns {Object} Job snapshot: id, status, progress, partial_recommendations, result, error and timestamps
+ */
+const getJob = (jobId, userId) => {
+  init();
+  const job = runningJobs.get(jobId);
+  if (job) {
+    if (job.userId && job.userId !== userId) {
+      throw httpError(404, 'Recommendation job not found');
+    }
+    return runningSnapshot(job);
+  }
+
+  const row = getDatabase().prepare('SELECT * FROM recommendation_jobs WHERE id = ?').get(String(jobId));
+  if (!row || (row.user_id && row.user_id !== userId) || (row.expires_at && row.expires_at <= Date.now())) {
+    throw httpError(404, 'Recommendation job not found');
+  }
+  return toSnapshot(row);
+};
+
+const finishJob = (job, status, { result = null, error = null } = {}) => {
+  runningJobs.delete(job.id);
+
+  const finishedAt = Date.now();
+  getDatabase()
+    .prepare('UPDATE recommendation_jobs SET status = ?, result = ?, error = ?, finished_at = ?, expires_at = ? WHERE id = ?')
+    .run(status, result && JSON.stringify(result), error, finishedAt, finishedAt + getJobTtlMs(), job.id);
+
+  job.events.emit('finished', getJob(job.id, job.userId));
+  job.events.removeAllListeners();
+};
+
+/**
+ * Start a recommendation run in the background. Refused with 429 when the user
+ * already has MAX_RUNNING_JOBS_PER_USER runs going, and 503 when the server is at its limit
+ * @param {Object} input Pipeline input (see resolveRequest in routes/recommendation.routes)
+ * @param {Object} catalog Podcast catalog provider
+ * @param {number|null} userId Owner (null for guests)
+ * @returns {Object} Snapshot of the new job
+ */
+const startJob = (input, catalog, userId) => {
+  init();
+  checkJobCapacity(userId || null);
+  const job = {
+    id: crypto.randomUUID(),
+    userId: userId || null,
+    createdAt: Date.now(),
+    progress: null,
+    partial: [],
+    controller: new AbortController(),
+    events: new EventEmitter()
+  };
+
+  getDatabase()
+    .prepare("INSERT INTO recommendation_jobs (id, user_id, status, created_at) VALUES (?, ?, 'running', ?)")
+    .run(job.id, job.userId, job.createdAt);
+  runningJobs.set(job.id, job);
+  console.log(`Started recommendation job ${job.id}`);
+
+  runRecommendationPipeline(input, catalog, {
+    signal: job.controller.signal,
+    onProgress: ({ stage, ...progress }) => {
+      if (stage === 'partial') {
+        job.partial = progress.recommendations;
+      } else {
+        job.progress = { stage, ...progress };
+      }
+      job.events.emit('progress', stage, progress);
+    }
+  })
+    .then(result => {
+      if (runningJobs.has(job.id)) {
+        finishJob(job, 'completed', { result });
+      }
+    })
+    .catch(error => {
+      if (runningJobs.has(job.id)) {
+        console.error(`Recommendation job ${job.id} failed:`, error);
+        finishJob(job, 'failed', {
+          error: error.statusCode ? error.message : 'Failed to generate recommendations'
+        });
+      }
+    });
+
+  return runningSnapshot(job);
+};
+
+/**
+ * Cancel a running job, or delete a finished one
+ * @param {string} jobId Job ID
+ * @param {number|null} userId Current user ID (null for guests)
+ * @returns {Object|null} Snapshot of the cancelled job, or null when a finished job was deleted
+ */
+const cancelJob = (jobId, userId) => {
+  const snapshot = getJob(jobId, userId);
+
+  const job = runningJobs.get(snapshot.id);
+  if (job) {
+    // The pipeline stops at its next step or embedding batch; whatever it returns after this is dropped
+    job.controller.abort();
+    finishJob(job, 'cancelled');
+    console.log(`Cancelled recommendation job ${job.id}`);
+    return getJob(job.id, userId);
+  }
+
+  getDatabase().prepare('DELETE FROM recommendation_jobs WHERE id = ?').run(snapshot.id);
+  return null;
+};
+
+/**
+ * Follow a job's progress
+ * @param {string} jobId Job ID
+ * @param {number|null} userId Current user ID (null for guests)
+ * @param {Object} handlers Callbacks
+ * @param {Function} handlers.onProgress Called with (stage, progress) for each pipeline step ("partial" carries recommendations)
+ * @param {Function} handlers.onFinished Called once with the final job snapshot
+ * @returns {Function} Unsubscribe
+ */
+const subscribeToJob = (jobId, userId, { onProgress, onFinished }) => {
+  const snapshot = getJob(jobId, userId);
+
+  const job = runningJobs.get(snapshot.id);
+  if (!job) {
+    onFinished(snapshot);
+    return () => {};
+  }
+
+  job.events.on('progress', onProgress);
+  job.events.once('finished', onFinished);
+  return () => {
+    job.events.off('progress', onProgress);
+    job.events.off('finished', onFinished);
+  };
+};
+
+module.exports = {
+  startJob,
+  getJob,
+  cancelJob,
+  subscribeToJob,
+  getJobTtlMs
+};
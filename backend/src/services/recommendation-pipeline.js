@@ -0,0 +1,87 @@
+const {
+  getCandidatePodcasts,
+  generateRecommendations,
+  standardizeFavorites
+} = require('./recommendations');
+const { loadGenreSnapshot } = require('./genres');
+const { getTopicModel } = require('./topic-model');
+const { hasActiveFilters } = require('./recommendation-filters');
+const { storeResults, MAX_STORED_RESULTS } = require('./recommendation-results');
+const { httpError } = require('../utils/http-error');
+
+/**
+ * Run the whole recommendation pipeline: fetch candidates from the catalog,
+ * then embed, score and re-rank them. The full ranked list is stored under a
+ * result token and the first page is returned
+ * @param {Object} input Pipeline input
+ * @param {Array<Object>} input.favorites Favorite podcasts to recommend for
+ * @param {Set<string>} input.excludeIds Podcast IDs that must not be recommended
+ * @param {Array<Object>} input.dislikes Podcasts marked "not interested"
+ * @param {Object} input.filters Hard filters (see services/recommendation-filters)
+ * @param {Object} input.ranking Effective ranking settings (see services/ranking-options); ranking.limit is the page size
+ * @param {Object} input.rankingWeights The user's ranking weights, echoed in the response
+ * @param {number|null} input.userId Owner of the stored results (null for guests)
+ * @param {Object} catalog Podcast catalog provider (see services/catalog)
+ * @param {Object} options Options
+ * @param {Function} options.onProgress Called with { stage, ... } for each pipeline step:
+ *   "genre" and "query" catalog calls, "candidates", "embedding" (completed/total), "partial", "ranking"
+ * @param {AbortSignal} options.signal Stops the run at its next step (or embedding batch) when aborted
+ * @returns {Promise<Object>} First page (recommendations, result_token, next_cursor, total) plus ranking_weights, ranking and filters
+ */
+const runRecommendationPipeline = async ({ favorites, excludeIds, dislikes, filters, ranking, rankingWeights, userId }, catalog, { onProgress = () => {}, signal } = {}) => {
+  const report = (event) => {
+    signal?.throwIfAborted();
+    onProgress(event);
+  };
+
+  // Standardize favorite podcasts to ensure all required fields are present
+  const standardizedFavorites = standardizeFavorites(favorites);
+  console.log(`Processing ${standardizedFavorites.length} favorite podcasts`);
+
+  // Step 1: Get candidate podcasts based on user's favorites
+  const candidates = await getCandidatePodcasts(standardizedFavorites, catalog, { onProgress: report, filters });
+
+  if ((!candidates || candidates.length === 0) && hasActiveFilters(filters)) {
+    throw httpError(404, 'No podcasts match your filters. Try loosening them.');
+  }
+  if (!candidates || candidates.length === 0) {
+    throw httpError(404, 'No potential recommendations found. Try adding more diverse podcasts to your favorites.');
+  }
+
+  console.log(`Found ${candidates.length} candidate podcasts for recommendation`);
+  report({ stage: 'candidates', total: candidates.length });
+
+  // Step 2: Generate recommendations with NLP processing
+  console.log('Generating recommendations with NLP...');
+  const genreTaxonomy = await loadGenreSnapshot(catalog);
+  const recommendations = await generateRecommendations(standardizedFavorites, candidates, {
+    excludeIds,
+    dislikes,
+    filters,
+    weights: ranking.weights,
+    aggregation: ranking.aggregation,
+    diversity: ranking.diversity,
+    limit: MAX_STORED_RESULTS,
+    partialLimit: ranking.limit,
+    genreTaxonomy,
+    topicModel: getTopicModel(),
+    onProgress: report,
+    signal
+  });
+
+  if (!recommendations || recommendations.length === 0) {
+    throw httpError(404, 'Could not generate meaningful recommendations. Try adding different podcasts to your favorites.');
+  }
+
+  console.log(`Successfully generated ${recommendations.length} recommendations`);
+  
+  // Echo the effective settings so a result can be reproduced
+  return {
+    ...storeResults(recommendations, userId, ranking.limit),
+    ranking_weights: rankingWeights,
+    ranking,
+    filters
+  };
+};
+
+module.exports = { runRecommendationPipeline };
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../utils/database');
+const { httpError } = require('../utils/http-error');
+
+// Ranked lists are kept this deep; pages are cut from them without re-running the pipeline
+const MAX_STORED_RESULTS = 200;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const DEFAULT_RESULT_TTL_MINUTES = 60;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+let sweeping = false;
+
+/**
+ * How long ranked result sets are kept (RECOMMENDATION_RESULT_TTL_MINUTES, default 60)
+ * @returns {number} TTL in milliseconds
+ */
+const getResultTtlMs = () => {
+  const minutes = Number(process.env.RECOMMENDATION_RESULT_TTL_MINUTES);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_RESULT_TTL_MINUTES) * 60 * 1000;
+};
+
+const deleteExpiredResults = () => {
+  getDatabase().prepare('DELETE FROM recommendation_results WHERE expires_at <= ?').run(Date.now());
+};
+
+const startSweeping = () => {
+  if (sweeping) return;
+  sweeping = true;
+  setInterval(deleteExpiredResults, SWEEP_INTERVAL_MS).unref();
+};
+
+/**
+ * Validate pagination parameters
+ * @param {Object} params Raw parameters
+ * @param {*} params.cursor Opaque cursor from a previous page (defaults to the start)
+ * @param {*} params.limit Page size (1-50, default 10)
+ * @returns {{offset: number, limit: number}} Parsed parameters
+ */
+const parsePage = ({ cursor, limit } = {}) => {
+  const pageSize = limit === undefined || limit === '' ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw httpError(400, `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const offset = cursor === undefined || cursor === '' ? 0 : Number(cursor);
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw httpError(400, 'cursor is not valid');
+  }
+
+  return { offset, limit: pageSize };
+};
+
+const toPage = (token, recommendations, { offset, limit }) => {
+  const end = offset + limit;
+  return {
+    recommendations: recommendations.slice(offset, end),
+    result_token: token,
+    next_cursor: end < recommendations.length ? String(end) : null,
+    total: recommendations.length
+  };
+};
+
+/**
+ * Keep a ranked result set and return its first page
+ * @param {Array<Object>} recommendations All recommendations in ranked order
+ * @param {number|null} userId Owner (null for guests; anyone with the token can page through it)
+ * @param {number} limit Page size
+ * @returns {Object} First page: recommendations, result_token, next_cursor, total
+ */
+const storeResults = (recommendations, userId, limit = DEFAULT_PAGE_SIZE) => {
+  startSweeping();
+  const token = crypto.randomBytes(16).toString('base64url');
+  const stored = recommendations.slice(0, MAX_STORED_RESULTS);
+  const now = Date.now();
+
+  getDatabase()
+    .prepare('INSERT INTO recommendation_results (token, user_id, recommendations, created_at, expires_at) VALUES (?, ?, ?, ?, ?)')
+    .run(token, userId || null, JSON.stringify(stored), now, now + getResultTtlMs());
+
+  return toPage(token, stored, { offset: 0, limit });
+};
+
+/**
+ * A page of a stored result set
+ * @param {string} token Result token
+ * @param {number|null} userId Current user ID (null for guests)
+ * @param {Object} params Pagination parameters (see parsePage)
+ * @returns {Object} Page: recommendations, result_token, next_cursor, total
+ */
+const getResultsPage = (token, userId, params) => {
+  const page = parsePage(params);
+  const row = getDatabase().prepare('SELECT * FROM recommendation_results WHERE token = ?').get(String(token));
+
+  if (!row || (row.user_id && row.user_id !== userId) || row.expires_at <= Date.now()) {
+    throw httpError(404, 'These recommendations have expired. Please run the recommendations again.');
+  }
+
+  return toPage(row.token, JSON.parse(row.recommendations), page);
+};
+
+module.exports = {
+  storeResults,
+  getResultsPage,
+  MAX_STORED_RESULTS,
+  MAX_PAGE_SIZE
+};
@@ -1,26 +1,87 @@
 const { 
   extractTopics, 
   extractMeaningfulKeywords, 
-  generateMatchReason 
+  generateMatchReason,
+  addToCorpus
 } = require('../utils/text-processing');
 
 const {
   generateEmbedding,
   calculateCosineSimilarity,
   calculateTopicSimilarity,
+  calculateGenreSimilarity,
+  calculatePopularityScore,
+  calculateRecencyScore,
   createWeightedText,
-  WEIGHTS
+  indexPodcastEmbedding,
+  findNearestPodcasts,
 } = require('../utils/similarity');
 
+const {
+  extractPodcastEntities,
+  findSharedEntities,
+  calculateEntitySimilarity,
+  indexPodcastEntities
+} = require('../utils/entities');
+
+const { SIGNALS, DEFAULT_SIGNAL_WEIGHTS, normalizeWeights } = require('./ranking-weights');
+const { rerankForDiversity } = require('./diversity');
+const { buildExplanation } = require('./explanations');
+const { toCatalogParams, matchesFilters } = require('./recommendation-filters');
+
 const { generateDiverseQueries } = require('../utils/search-util');
 
+// Candidates pulled from the local vector index in addition to catalog results
+const INDEX_NEIGHBOURS_PER_FAVORITE = 10;
+const MIN_INDEX_SIMILARITY = 0.35;
+
+// Candidates closer than this to a disliked podcast are pushed down, up to DISLIKE_PENALTY
+const DISLIKE_SIMILARITY_THRESHOLD = 0.5;
+const DISLIKE_PENALTY = 0.5;
+
+// Topics compared per podcast; with IDF weighting, rare names outrank shared subject words, so keep enough of both
+const TOPICS_PER_PODCAST = 25;
+
+// How often (in ranked candidates) generateRecommendations reports the best matches so far
+const PARTIAL_RESULTS_EVERY = 10;
+
+// Candidates embedded at once; a cancelled run stops after the current batch
+const EMBEDDING_BATCH_SIZE = 8;
+
+/**
+ * Find previously embedded podcasts close to the favorites
+ * @param {Array<Object>} favoriteEmbeddings Favorites with their embeddings
+ * @param {Set<string>} knownIds Podcast IDs that are already favorites or candidates
+ * @returns {Array<Object>} Additional candidate podcasts
+ */
+const getIndexedCandidates = (favoriteEmbeddings, knownIds) => {
+  const found = new Map();
+  
+  for (const { embedding } of favoriteEmbeddings) {
+    const neighbours = findNearestPodcasts(embedding, {
+      limit: INDEX_NEIGHBOURS_PER_FAVORITE,
+      minScore: MIN_INDEX_SIMILARITY,
+      excludeIds: knownIds
+    });
+    neighbours.forEach(({ podcast }) => found.set(podcast.id, podcast));
+  }
+  
+  if (found.size > 0) {
+    console.log(`Found ${found.size} additional candidates in the vector index`);
+  }
+  return [...found.values()];
+};
+
 /**
  * Get candidate podcasts for recommendations with optimized API usage
  * @param {Array<Object>} favoritePodcasts User's favorite podcasts
- * @param {Object} apiClient Axios instance configured for Listen Notes API
+ * @param {Object} catalog Podcast catalog provider (see services/catalog)
+ * @param {Object} options Options
+ * @param {Function} options.onProgress Called after each catalog call with { stage: "genre"|"query", completed, total, found, ... }
+ * @param {Object} options.filters Hard filters (see services/recommendation-filters); passed to the catalog where it supports them
  * @returns {Promise<Array<Object>>} Array of candidate podcasts
  */
-const getCandidatePodcasts = async (favoritePodcasts, apiClient) => {
+const getCandidatePodcasts = async (favoritePodcasts, catalog, { onProgress = () => {}, filters = null } = {}) => {
   if (!favoritePodcasts || favoritePodcasts.length === 0) {
     return [];
   }
@@ -42,25 +103,28 @@ const getCandidatePodcasts = async (favoritePodcasts, apiClient) => {
   // Store all candidates
   const candidates = [];
   
-  // Helper function to execute API calls safely
-  const fetchSafely = async (endpoint, params, logMsg) => {
+  // Helper function to execute catalog calls safely
+  const fetchSafely = async (request, pickResults, logMsg) => {
     try {
-      const response = await apiClient.get(endpoint, { params });
-      if (response.data) {
-        const results = endpoint === 'search' ? response.data.results : 
-                      endpoint === 'best_podcasts' ? response.data.podcasts :
-                      response.data.similar_podcasts;
-                      
+      const data = await request();
+      if (data) {
+        const results = pickResults(data);
+        
         if (results && results.length) {
           console.log(`Found ${results.length} podcasts for ${logMsg}`);
           candidates.push(...results);
-          return true;
+          return results.length;
         }
       }
-      return false;
+      return 0;
     } catch (error) {
+      // Running out of quota affects every remaining call, so fail the whole request
+      if (error.statusCode === 503) {
+        throw error;
+      }
+      
       console.error(`Error in ${logMsg}:`, error.message);
-      return false;
+      return 0;
     }
   };
 
@@ -68,36 +132,42 @@ const getCandidatePodcasts = async (favoritePodcasts, apiClient) => {
   // Process only top 2 genres to reduce API calls
   const genresToProcess = genres.slice(0, 2);
   
-  for (const genreId of genresToProcess) {
-    await fetchSafely('best_podcasts', { 
+  for (const [index, genreId] of genresToProcess.entries()) {
+    const found = await fetchSafely(() => catalog.bestPodcasts({ 
       genre_id: genreId, 
       page_size: 20,
-      sort: 'listen_score' 
-    }, `curated podcasts for genre ${genreId}`);
+      sort: 'listen_score',
+      ...toCatalogParams(filters, 'best')
+    }), data => data.podcasts, `curated podcasts for genre ${genreId}`);
+    onProgress({ stage: 'genre', genre_id: genreId, completed: index + 1, total: genresToProcess.length, found });
   }
   
   // STRATEGY 2: Always use content-based search regardless of candidate count
-  // Get diverse queries with higher priority on content matching
+  // Get diverse queries with higher priority on content matching; keyphrase
+  // scoring needs the favorites and the curated podcasts in the corpus
+  addToCorpus([...favoritePodcasts, ...candidates]);
   const diverseQueries = generateDiverseQueries(favoritePodcasts);
   console.log(`Generated ${diverseQueries.length} content-based search queries`);
   
   // Run all available content queries (max 2-3 as limited by search-util.js)
-  for (const queryParams of diverseQueries) {
+  for (const [index, queryParams] of diverseQueries.entries()) {
     // Modify query to only search in descriptions
     const modifiedParams = {
       ...queryParams,
-      only_in: 'description'
+      only_in: 'description',
+      ...toCatalogParams(filters, 'search')
     };
     
-    await fetchSafely('search', modifiedParams, `content query: ${queryParams.q}`);
+    const found = await fetchSafely(() => catalog.search(modifiedParams), data => data.results, `content query: ${queryParams.q}`);
+    onProgress({ stage: 'query', query: queryParams.q, completed: index + 1, total: diverseQueries.length, found });
   }
   
-  // Remove duplicates by podcast ID
+  // Remove duplicates by podcast ID, and anything the catalog couldn't filter out itself
   const uniqueCandidates = [];
   const seenIds = new Set();
   
   for (const podcast of candidates) {
-    if (!seenIds.has(podcast.id) && !favoriteIds.includes(podcast.id)) {
+    if (!seenIds.has(podcast.id) && !favoriteIds.includes(podcast.id) && matchesFilters(podcast, filters)) {
       seenIds.add(podcast.id);
       uniqueCandidates.push(podcast);
     }
@@ -111,16 +181,41 @@ const getCandidatePodcasts = async (favoritePodcasts, apiClient) => {
  * Rank candidates based on similarity to favorites
  * @param {Array<Object>} favoritePodcasts User's favorite podcasts
  * @param {Array<Object>} candidatePodcasts Potential recommendation candidates
+ * @param {Object} options Ranking options
+ * @param {Set<string>} options.excludeIds Podcast IDs that must not be recommended (e.g. favorites outside the ranked collection)
+ * @param {Array<Object>} options.dislikes Podcasts marked "not interested"; excluded, and their close neighbours penalized
+ * @param {Object} options.weights Signal weights (semantic, topic, genre, popularity, recency, entity, theme), see services/ranking-weights
+ * @param {string} options.aggregation How scores against each favorite combine: "mean" (default) or "max" (closest favorite only)
+ * @param {Object} options.filters Hard filters applied to every candidate, including ones from the vector index
+ * @param {Object} options.genreTaxonomy Genre tree (see services/genres); related genres then count as partial genre matches
+ * @param {Object} options.topicModel Trained topic model (see services/topic-model); without one the theme signal is 0
+ * @param {Function} options.onCandidateRanked Called with (rankedCandidate, completed, total) as each candidate is scored
+ * @param {AbortSignal} options.signal Stops embedding between batches when aborted
  * @returns {Promise<Array<Object>>} Ranked recommendations with explanations
  */
-const rankCandidates = async (favoritePodcasts, candidatePodcasts) => {
+const rankCandidates = async (favoritePodcasts, candidatePodcasts, {
+  excludeIds = new Set(),
+  dislikes = [],
+  weights = DEFAULT_SIGNAL_WEIGHTS,
+  aggregation = 'mean',
+  filters = null,
+  genreTaxonomy = null,
+  topicModel = null,
+  onCandidateRanked = () => {},
+  signal
+} = {}) => {
   // Validate inputs
   if (!favoritePodcasts?.length || !candidatePodcasts?.length) {
     console.error('Invalid inputs to rankCandidates');
     return [];
   }
   
+  // Count these descriptions in the corpus before weighing their topics against it
+  addToCorpus([...favoritePodcasts, ...candidatePodcasts]);
+  indexPodcastEntities([...favoritePodcasts, ...candidatePodcasts]);
+  
   // Generate embeddings for favorite podcasts with weighted text
+  signal?.throwIfAborted();
   const favoriteEmbeddings = await Promise.all(
     favoritePodcasts.map(async podcast => {
       const weightedText = createWeightedText(podcast);
@@ -129,101 +224,226 @@ const rankCandidates = async (favoritePodcasts, candidatePodcasts) => {
       return {
         podcast,
         embedding: await generateEmbedding(weightedText || 'podcast content'),
-        topics: extractTopics(description, 15)
+        topics: extractTopics(description, TOPICS_PER_PODCAST, podcast.language),
+        entities: extractPodcastEntities(podcast),
+        themes: topicModel?.distributionOf(podcast) || null
       };
     })
   );
+  favoriteEmbeddings.forEach(fav => indexPodcastEmbedding(fav.podcast, fav.embedding));
+  
+  // Dislikes sent as bare IDs can only be excluded; full podcasts also penalize their neighbours
+  const dislikedIds = new Set(dislikes.map(podcast => podcast.id));
+  const dislikeEmbeddings = await Promise.all(
+    dislikes
+      .filter(podcast => podcast.title || podcast.title_original || podcast.description || podcast.description_original)
+      .map(podcast => generateEmbedding(createWeightedText(podcast)))
+  );
+  
+  // Podcasts embedded in earlier requests may match even when the catalog didn't return them
+  const hiddenIds = new Set([...excludeIds, ...dislikedIds]);
+  const knownIds = new Set([...hiddenIds, ...[...favoritePodcasts, ...candidatePodcasts].map(p => p.id)]);
+  const allCandidates = [
+    ...candidatePodcasts.filter(candidate => !hiddenIds.has(candidate.id)),
+    ...getIndexedCandidates(favoriteEmbeddings, knownIds)
+  ].filter(candidate => matchesFilters(candidate, filters));
+  
+  // Without a genre tree, only exact genre overlap counts
+  const genreSimilarity = genreTaxonomy && !genreTaxonomy.isEmpty
+    ? (favorite, candidate) => genreTaxonomy.setSimilarity(favorite.genre_ids, candidate.genre_ids)
+    : calculateGenreSimilarity;
+  
+  // Scores are a weighted average of the signals, so a match never tops 100%
+  const scoreWeights = normalizeWeights(weights);
   
   // Process each candidate and calculate similarity
-  const rankedCandidates = await Promise.all(
-    candidatePodcasts.map(async candidate => {
-      // Generate embedding and topics for candidate
-      const weightedText = createWeightedText(candidate);
-      const description = candidate.description || candidate.description_original || '';
-      const candidateEmbedding = await generateEmbedding(weightedText || 'podcast content');
-      const candidateTopics = extractTopics(description, 15);
-      
-      // Calculate similarity with each favorite podcast
-      const similarities = favoriteEmbeddings.map(fav => {
-        // Calculate similarity scores
-        const semanticScore = calculateCosineSimilarity(fav.embedding, candidateEmbedding);
-        const topicScore = calculateTopicSimilarity(fav.topics, candidateTopics);
-        const combinedScore = (semanticScore * 0.7) + (topicScore * WEIGHTS.TOPIC_MATCH * 0.3);
-        
-        return {
-          favoriteId: fav.podcast.id,
-          favoritePodcast: fav.podcast,
-          semanticScore,
-          topicScore,
-          score: combinedScore
-        };
-      });
-      
-      // Calculate average similarity and find most similar podcast
-      const avgSimilarity = similarities.reduce((sum, item) => sum + item.score, 0) / similarities.length;
-      const mostSimilar = similarities.reduce((max, item) => item.score > max.score ? item : max, similarities[0]);
+  let completed = 0;
+  const rankCandidate = async candidate => {
+    // Generate embedding and topics for candidate
+    const weightedText = createWeightedText(candidate);
+    const description = candidate.description || candidate.description_original || '';
+    const candidateEmbedding = await generateEmbedding(weightedText || 'podcast content');
+    indexPodcastEmbedding(candidate, candidateEmbedding);
+    const candidateTopics = extractTopics(description, TOPICS_PER_PODCAST, candidate.language);
+    const candidateEntities = extractPodcastEntities(candidate);
+    const candidateThemes = topicModel?.distributionOf(candidate) || null;
+    
+    // Signals that only depend on the candidate
+    const popularityScore = calculatePopularityScore(candidate);
+    const recencyScore = calculateRecencyScore(candidate);
+    
+    // Calculate similarity with each favorite podcast
+    const similarities = favoriteEmbeddings.map(fav => {
+      // Calculate similarity scores
+      const signals = {
+        semantic: calculateCosineSimilarity(fav.embedding, candidateEmbedding),
+        topic: calculateTopicSimilarity(fav.topics, candidateTopics),
+        genre: genreSimilarity(fav.podcast, candidate),
+        popularity: popularityScore,
+        recency: recencyScore,
+        entity: calculateEntitySimilarity(fav.entities, candidateEntities),
+        theme: topicModel ? topicModel.similarity(fav.themes, candidateThemes) : 0
+      };
+      const combinedScore = SIGNALS.reduce((sum, signal) => sum + signals[signal] * scoreWeights[signal], 0);
       
       return {
-        podcast: candidate,
-        similarityScore: avgSimilarity,
-        mostSimilarPodcastId: mostSimilar.favoriteId,
-        mostSimilarPodcast: mostSimilar.favoritePodcast,
-        semanticScore: mostSimilar.semanticScore,
-        topicScore: mostSimilar.topicScore,
-        matchScore: mostSimilar.score
+        favoriteId: fav.podcast.id,
+        favoritePodcast: fav.podcast,
+        favoriteTopics: fav.topics,
+        sharedEntities: findSharedEntities(candidateEntities, fav.entities),
+        favoriteThemes: fav.themes,
+        semanticScore: signals.semantic,
+        topicScore: signals.topic,
+        signals,
+        score: combinedScore
       };
-    })
-  );
+    });
+    
+    // Combine per-favorite scores and find most similar podcast
+    const mostSimilar = similarities.reduce((max, item) => item.score > max.score ? item : max, similarities[0]);
+    const avgSimilarity = similarities.reduce((sum, item) => sum + item.score, 0) / similarities.length;
+    const aggregateScore = aggregation === 'max' ? mostSimilar.score : avgSimilarity;
+    
+    // The score is linear in the signals, so averaged signals explain the average score
+    // (and the closest favorite's signals explain the max)
+    const signalBreakdown = aggregation === 'max'
+      ? { ...mostSimilar.signals }
+      : SIGNALS.reduce((breakdown, signal) => ({
+        ...breakdown,
+        [signal]: similarities.reduce((sum, item) => sum + item.signals[signal], 0) / similarities.length
+      }), {});
+    
+    // Penalize candidates that resemble something the user rejected
+    const dislikeSimilarity = Math.max(0, ...dislikeEmbeddings.map(embedding => calculateCosineSimilarity(embedding, candidateEmbedding)));
+    const dislikePenalty = dislikeSimilarity > DISLIKE_SIMILARITY_THRESHOLD
+      ? DISLIKE_PENALTY * (dislikeSimilarity - DISLIKE_SIMILARITY_THRESHOLD) / (1 - DISLIKE_SIMILARITY_THRESHOLD)
+      : 0;
+    
+    const rankedCandidate = {
+      podcast: candidate,
+      embedding: candidateEmbedding,
+      topics: candidateTopics,
+      entities: candidateEntities,
+      themes: candidateThemes,
+      matches: similarities,
+      similarityScore: aggregateScore - dislikePenalty,
+      dislikePenalty,
+      signals: signalBreakdown,
+      mostSimilarPodcastId: mostSimilar.favoriteId,
+      mostSimilarPodcast: mostSimilar.favoritePodcast,
+      sharedEntities: mostSimilar.sharedEntities,
+      semanticScore: mostSimilar.semanticScore,
+      topicScore: mostSimilar.topicScore,
+      matchScore: mostSimilar.score
+    };
+    
+    completed += 1;
+    onCandidateRanked(rankedCandidate, completed, allCandidates.length);
+    return rankedCandidate;
+  };
+  
+  // Embed in bounded batches so cancelling doesn't leave every candidate's embedding in flight
+  const rankedCandidates = [];
+  for (let start = 0; start < allCandidates.length; start += EMBEDDING_BATCH_SIZE) {
+    signal?.throwIfAborted();
+    const batch = allCandidates.slice(start, start + EMBEDDING_BATCH_SIZE);
+    rankedCandidates.push(...await Promise.all(batch.map(rankCandidate)));
+  }
   
   // Sort by similarity score (highest first)
   return rankedCandidates.sort((a, b) => b.similarityScore - a.similarityScore);
 };
 
+/**
+ * Turn a ranked candidate into a recommendation with its explanation
+ * @param {Object} candidate Ranked candidate (see rankCandidates)
+ * @param {Object} context Ranking context for the structured explanation (see buildExplanation)
+ * @returns {Object} Recommendation
+ */
+const toRecommendation = (candidate, context) => ({
+  podcast: candidate.podcast,
+  similarity_score: candidate.matchScore,
+  semantic_score: candidate.semanticScore,
+  topic_score: candidate.topicScore,
+  dislike_penalty: candidate.dislikePenalty,
+  signals: candidate.signals,
+  reason: generateMatchReason(
+    candidate.podcast, 
+    candidate.mostSimilarPodcast, 
+    candidate.semanticScore,
+    candidate.topicScore,
+    context.genreTaxonomy,
+    candidate.sharedEntities
+  ),
+  explanation: buildExplanation(candidate, context),
+  most_similar_to: candidate.mostSimilarPodcastId
+});
+
 /**
  * Main function to generate recommendations
  * @param {Array<Object>} favorites User's favorite podcasts
  * @param {Array<Object>} candidates Candidate podcasts to rank
+ * @param {Object} options Ranking options (see rankCandidates)
+ * @param {number} options.diversity Relevance/diversity trade-off for the final list, 0-1 (see services/diversity)
+ * @param {number} options.limit Number of recommendations to return (default 10)
+ * @param {number} options.partialLimit Number of best matches reported in "partial" progress events (default: limit)
+ * @param {Object} options.genreTaxonomy Genre tree for genre similarity and explanations (see services/genres)
+ * @param {Object} options.topicModel Topic model for the theme signal and explanations (see services/topic-model)
+ * @param {Function} options.onProgress Called with { stage: "embedding", completed, total }, { stage: "partial", recommendations } and { stage: "ranking" }
+ * @param {AbortSignal} options.signal Cancels the run; the abort error is rethrown rather than swallowed
  * @returns {Promise<Array<Object>>} Final recommendations with explanations
  */
-const generateRecommendations = async (favorites, candidates) => {
+const generateRecommendations = async (favorites, candidates, options = {}) => {
   if (!favorites?.length || !candidates?.length) {
     console.error("Missing required inputs for recommendations");
     return [];
   }
   
+  const { onProgress = () => {}, limit = 10, partialLimit = limit } = options;
+  const explanationContext = {
+    weights: options.weights || DEFAULT_SIGNAL_WEIGHTS,
+    genreTaxonomy: options.genreTaxonomy,
+    topicModel: options.topicModel
+  };
+  
   try {
-    // Rank candidates by similarity
-    const rankedCandidates = await rankCandidates(favorites, candidates);
+    // Rank candidates by similarity, reporting progress and the best matches so far along the way
+    const scored = [];
+    const rankedCandidates = await rankCandidates(favorites, candidates, {
+      ...options,
+      onCandidateRanked: (candidate, completed, total) => {
+        scored.push(candidate);
+        onProgress({ stage: 'embedding', completed, total });
+        
+        if (completed % PARTIAL_RESULTS_EVERY === 0 && completed < total) {
+          const best = scored
+            .filter(item => item.mostSimilarPodcast)
+            .sort((a, b) => b.similarityScore - a.similarityScore)
+            .slice(0, partialLimit);
+          onProgress({ stage: 'partial', recommendations: best.map(candidate => toRecommendation(candidate, explanationContext)) });
+        }
+      }
+    });
     
     if (!rankedCandidates?.length) {
       return [];
     }
     
-    // Generate final recommendations with explanations
-    const recommendations = rankedCandidates
-      .map(candidate => {
-        if (!candidate.podcast || !candidate.mostSimilarPodcast) {
-          return null;
-        }
-        
-        return {
-          podcast: candidate.podcast,
-          similarity_score: candidate.matchScore,
-          semantic_score: candidate.semanticScore,
-          topic_score: candidate.topicScore,
-          reason: generateMatchReason(
-            candidate.podcast, 
-            candidate.mostSimilarPodcast, 
-            candidate.semanticScore,
-            candidate.topicScore
-          ),
-          most_similar_to: candidate.mostSimilarPodcastId
-        };
-      })
-      .filter(Boolean);
+    onProgress({ stage: 'ranking' });
     
-    return recommendations.slice(0, 10); // Return top 10 recommendations
+    // Re-rank so the top of the list isn't ten variations of the same show
+    const diverseCandidates = rerankForDiversity(
+      rankedCandidates.filter(candidate => candidate.podcast && candidate.mostSimilarPodcast),
+      { diversity: options.diversity, limit: options.limit }
+    );
+    
+    // Generate final recommendations with explanations
+    return diverseCandidates.map(candidate => toRecommendation(candidate, explanationContext));
   } catch (error) {
+    // A cancelled run must stop the caller too, not look like an empty result
+    if (options.signal?.aborted) {
+      throw error;
+    }
     console.error("Error in generateRecommendations:", error);
     return [];
   }
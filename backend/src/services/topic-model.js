@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const { analyzeText } = require('../utils/text-processing');
+const { calculateCosineSimilarity } = require('../utils/similarity');
+const { factorize, inferWeights, gram } = require('../utils/nmf');
+const { createJsonStore, getDataDir } = require('../utils/json-store');
+const { getDatabase } = require('../utils/database');
+const { DEFAULT_FIXTURE_PATH } = require('./catalog/fixture');
+
+const MODEL_FILE = 'topic-model.json';
+
+// Bump when training or the stored format changes; the server ignores models of other versions
+const MODEL_VERSION = 1;
+
+const DEFAULT_TRAINING_OPTIONS = {
+  topics: 12,
+  iterations: 200,
+  minDocumentFrequency: 2,   // Terms in fewer podcasts can't tie podcasts together
+  maxDocumentRatio: 0.5,     // Terms in more than half of the podcasts say nothing about themes
+  maxTerms: 5000,
+  termsPerTopic: 10
+};
+
+// A podcast is listed under a topic when the topic makes up at least this share of its distribution
+const MIN_TOPIC_SHARE = 0.2;
+
+// Shared themes in explanations: topics both podcasts give at least this share to
+const MIN_SHARED_SHARE = 0.15;
+
+/**
+ * Podcasts in a cached catalog response: lists from search, best_podcasts
+ * and recommendations, or a single podcast. Episode search results are skipped
+ * @param {*} value Cached response
+ * @returns {Array<Object>} Podcasts
+ */
+const podcastsInResponse = (value) => {
+  if (!value || typeof value !== 'object') return [];
+
+  const lists = ['podcasts', 'results', 'recommendations']
+    .flatMap(field => (Array.isArray(value[field]) ? value[field] : []));
+  return (value.id ? [value, ...lists] : lists).filter(podcast => podcast?.id && !podcast.audio);
+};
+
+/**
+ * A source reading podcasts from a JSON file
+ * @param {string} filePath Absolute file path
+ * @param {Function} pick Podcasts in the parsed file
+ * @returns {Object} Source with name and read()
+ */
+const fileSource = (filePath, pick) => ({
+  name: filePath,
+  read: () => (fs.existsSync(filePath) ? pick(JSON.parse(fs.readFileSync(filePath, 'utf8'))) : [])
+});
+
+// Stores under the data directory that keep podcasts the backend has seen
+const cachedPodcastSources = () => [
+  fileSource(path.join(getDataDir(), 'listen-notes-cache.json'), data => Object.values(data.entries || {}).flatMap(entry => podcastsInResponse(entry.value))),
+  {
+    name: 'vector index',
+    read: () => getDatabase().prepare('SELECT podcast FROM vector_index_items').all().map(row => JSON.parse(row.podcast))
+  },
+  {
+    name: 'entity index',
+    read: () => getDatabase().prepare('SELECT podcast FROM entity_index_podcasts').all().map(row => JSON.parse(row.podcast))
+  }
+];
+
+const descriptionOf = (podcast) => podcast.description || podcast.description_original || '';
+
+const textOf = (podcast) => `${podcast.title || podcast.title_original || ''}. ${descriptionOf(podcast)}`;
+
+/**
+ * Collect the podcasts cached under the data directory (catalog responses,
+ * vector index, entity index) and, with the fixture catalog, the fixture's podcasts
+ * @param {Object} options Options
+ * @param {boolean} options.includeFixture Add the fixture catalog (defaults to CATALOG_PROVIDER=fixture)
+ * @returns {Array<Object>} Podcast summaries without episodes, one per ID
+ */
+const collectCachedPodcasts = ({ includeFixture = process.env.CATALOG_PROVIDER === 'fixture' } = {}) => {
+  const sources = cachedPodcastSources();
+  if (includeFixture) {
+    sources.push(fileSource(
+      process.env.CATALOG_FIXTURE_PATH ? path.resolve(process.env.CATALOG_FIXTURE_PATH) : DEFAULT_FIXTURE_PATH,
+      data => data.podcasts || []
+    ));
+  }
+
+  const podcasts = new Map();
+  sources.forEach(({ name, read }) => {
+    try {
+      const found = read();
+      found.forEach(({ episodes, ...podcast }) => {
+        // The same podcast may be cached with a truncated description (search results); keep the longest
+        const known = podcasts.get(podcast.id);
+        if (!known || descriptionOf(podcast).length > descriptionOf(known).length) {
+          podcasts.set(podcast.id, podcast);
+        }
+      });
+      if (found.length > 0) {
+        console.log(`Read ${found.length} podcasts from ${name}`);
+      }
+    } catch (error) {
+      console.error(`Error reading podcasts from ${name}:`, error.message);
+    }
+  });
+
+  return [...podcasts.values()];
+};
+
+/**
+ * Sparse TF-IDF vector of a podcast's words over the model vocabulary, L2-normalized
+ * @param {Array<{stem: string}>} words Analyzed words (see analyzeText)
+ * @param {Map<string, number>} vocabularyIndex Column of each stem
+ * @param {Array<number>} idf IDF of each column
+ * @returns {Array<[number, number]>} [column, value] pairs
+ */
+const vectorize = (words, vocabularyIndex, idf) => {
+  const counts = new Map();
+  words.forEach(({ stem }) => {
+    const column = vocabularyIndex.get(stem);
+    if (column !== undefined) counts.set(column, (counts.get(column) || 0) + 1);
+  });
+
+  // Sublinear term frequency, so one word repeated in a description doesn't make a theme
+  const row = [...counts].map(([column, count]) => [column, (1 + Math.log(count)) * idf[column]]);
+  const norm = Math.sqrt(row.reduce((sum, [, value]) => sum + value * value, 0));
+  return row.map(([column, value]) => [column, value / norm]).sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * Scale topic weights to a distribution summing to 1
+ * @param {ArrayLike<number>} weights Non-negative weights
+ * @returns {Array<number>|null} Distribution, or null when every weight is 0
+ */
+const toDistribution = (weights) => {
+  const total = Array.prototype.reduce.call(weights, (sum, weight) => sum + weight, 0);
+  return total > 0 ? Array.from(weights, weight => Number((weight / total).toFixed(4))) : null;
+};
+
+/**
+ * Label a topic by its three strongest terms, e.g. "Space, astronomy & telescopes"
+ * @param {Array<string>} terms Terms, strongest first
+ * @returns {string} Label
+ */
+const labelTopic = (terms) => {
+  const top = terms.slice(0, 3);
+  const label = top.length > 1 ? `${top.slice(0, -1).join(', ')} & ${top[top.length - 1]}` : (top[0] || '');
+  return label.charAt(0).toUpperCase() + label.slice(1);
+};
+
+/**
+ * Train a topic model with non-negative matrix factorization of the
+ * podcasts' TF-IDF matrix. Each topic is a weighted set of terms, labelled by
+ * its strongest ones, and each podcast gets a distribution over the topics
+ * @param {Array<Object>} podcasts Podcasts to train on (see collectCachedPodcasts)
+ * @param {Object} options Training options (see DEFAULT_TRAINING_OPTIONS)
+ * @returns {Object} Model document, as stored by saveTopicModel
+ */
+const trainTopicModel = (podcasts, options = {}) => {
+  const settings = { ...DEFAULT_TRAINING_OPTIONS, ...options };
+
+  const documents = podcasts
+    .map(podcast => ({ podcast, words: analyzeText(textOf(podcast), podcast.language).words }))
+    .filter(document => document.words.length > 0);
+
+  // Document frequency and most frequent spelling of every stem
+  const documentFrequency = new Map();
+  const spellings = new Map();
+  documents.forEach(({ words }) => {
+    new Set(words.map(word => word.stem)).forEach(stem => documentFrequency.set(stem, (documentFrequency.get(stem) || 0) + 1));
+    words.forEach(({ word, stem }) => {
+      const counts = spellings.get(stem) || new Map();
+      counts.set(word, (counts.get(word) || 0) + 1);
+      spellings.set(stem, counts);
+    });
+  });
+  const spell = (stem) => [...spellings.get(stem)].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+
+  const maxFrequency = Math.max(settings.minDocumentFrequency, Math.floor(settings.maxDocumentRatio * documents.length));
+  const vocabulary = [...documentFrequency]
+    .filter(([, frequency]) => frequency >= settings.minDocumentFrequency && frequency <= maxFrequency)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, settings.maxTerms)
+    .map(([stem]) => stem);
+  const vocabularyIndex = new Map(vocabulary.map((stem, column) => [stem, column]));
+  const idf = vocabulary.map(stem => Number((Math.log(documents.length / documentFrequency.get(stem)) + 1).toFixed(6)));
+
+  const rows = documents.map(({ words }) => vectorize(words, vocabularyIndex, idf));
+  const trained = documents.filter((document, i) => rows[i].length > 0);
+  const trainedRows = rows.filter(row => row.length > 0);
+  if (trainedRows.length < 2 || vocabulary.length === 0) {
+    throw new Error(`Not enough podcast descriptions to train a topic model (${trainedRows.length} usable)`);
+  }
+
+  console.log(`Factorizing ${trainedRows.length} podcasts x ${vocabulary.length} terms into ${settings.topics} topics`);
+  const { weights, components } = factorize(trainedRows, vocabulary.length, {
+    components: settings.topics,
+    iterations: settings.iterations
+  });
+
+  const distributions = weights.map(toDistribution);
+  const topics = components.map((component, id) => {
+    const terms = Array.from(component, (weight, column) => ({ stem: vocabulary[column], weight }))
+      .sort((a, b) => b.weight - a.weight)
+      .slice(0, settings.termsPerTopic)
+      .filter(term => term.weight > 0)
+      .map(({ stem, weight }) => ({ term: spell(stem), weight: Number(weight.toFixed(4)) }));
+
+    return {
+      id,
+      label: labelTopic(terms.map(term => term.term)),
+      terms,
+      podcast_count: distributions.filter(distribution => distribution && distribution[id] >= MIN_TOPIC_SHARE).length
+    };
+  });
+
+  return {
+    version: MODEL_VERSION,
+    trained_at: new Date().toISOString(),
+    documents: trainedRows.length,
+    options: { topics: components.length, iterations: settings.iterations },
+    vocabulary,
+    idf,
+    topics,
+    components: components.map(component => Array.from(component, weight => Number(weight.toFixed(6)))),
+    podcasts: Object.fromEntries(trained
+      .map(({ podcast }, i) => [podcast.id, { podcast, distribution: distributions[i] }])
+      .filter(([, entry]) => entry.distribution))
+  };
+};
+
+/**
+ * Write a trained model where the server picks it up (topic-model.json under the data directory)
+ * @param {Object} model Model document from trainTopicModel
+ * @returns {string} File path
+ */
+const saveTopicModel = (model) => {
+  const store = createJsonStore(MODEL_FILE);
+  store.data = model;
+  store.save();
+  return store.filePath;
+};
+
+/**
+ * Wrap a stored model document with lookups and inference
+ * @param {Object} data Model document (see trainTopicModel)
+ * @returns {Object} Topic model
+ */
+const createTopicModel = (data) => {
+  const vocabularyIndex = new Map(data.vocabulary.map((stem, column) => [stem, column]));
+  const components = data.components.map(component => Float64Array.from(component));
+  const componentGram = gram(components);
+  const topicsById = new Map(data.topics.map(topic => [topic.id, topic]));
+
+  return {
+    trainedAt: data.trained_at,
+    documents: data.documents,
+    topics: data.topics,
+
+    /**
+     * Look up a topic
+     * @param {number} id Topic ID
+     * @returns {Object|undefined} Topic with its label and terms
+     */
+    getTopic: (id) => topicsById.get(id),
+
+    /**
+     * Topic distribution of a podcast: stored for podcasts the model was
+     * trained on, inferred from the description for any other
+     * @param {Object} podcast Podcast
+     * @returns {Array<number>|null} Share of each topic, or null when the description has no known terms
+     */
+    distributionOf: (podcast) => {
+      const known = data.podcasts[podcast.id];
+      if (known) return known.distribution;
+
+      const row = vectorize(analyzeText(textOf(podcast), podcast.language).words, vocabularyIndex, data.idf);
+      return row.length > 0 ? toDistribution(inferWeights(row, components, componentGram)) : null;
+    },
+
+    /**
+     * How alike two podcasts' themes are
+     * @param {Array<number>|null} distributionA Topic distribution of the first podcast
+     * @param {Array<number>|null} distributionB Topic distribution of the second podcast
+     * @returns {number} Cosine similarity of the distributions (0-1), 0 when either is unknown
+     */
+    similarity: (distributionA, distributionB) => (distributionA && distributionB
+      ? calculateCosineSimilarity(distributionA, distributionB)
+      : 0),
+
+    /**
+     * Topics two podcasts both give a large share to
+     * @param {Array<number>|null} distributionA Topic distribution of the first podcast
+     * @param {Array<number>|null} distributionB Topic distribution of the second podcast
+     * @returns {Array<{id: number, label: string, share: number}>} Shared topics, largest common share first
+     */
+    sharedTopics: (distributionA, distributionB) => (distributionA && distributionB
+      ? data.topics
+        .map(topic => ({ id: topic.id, label: topic.label, share: Math.min(distributionA[topic.id], distributionB[topic.id]) }))
+        .filter(topic => topic.share >= MIN_SHARED_SHARE)
+        .sort((a, b) => b.share - a.share)
+      : []),
+
+    /**
+     * Podcasts the model was trained on that are mostly about a topic
+     * @param {number} id Topic ID
+     * @returns {Array<Object>} Podcast summaries with their `topic_share`, largest share first
+     */
+    podcastsFor: (id) => Object.values(data.podcasts)
+      .filter(entry => entry.distribution[id] >= MIN_TOPIC_SHARE)
+      .sort((a, b) => b.distribution[id] - a.distribution[id])
+      .map(entry => ({ ...entry.podcast, topic_share: entry.distribution[id] }))
+  };
+};
+
+// The trained model, reloaded when the training script writes a new one
+let loaded = { mtimeMs: null, model: null };
+
+/**
+ * The current topic model, if one has been trained (see scripts/train-topic-model.js)
+ * @returns {Object|null} Topic model, or null when none was trained or the stored one is outdated
+ */
+const getTopicModel = () => {
+  const filePath = path.join(getDataDir(), MODEL_FILE);
+  if (!fs.existsSync(filePath)) return null;
+
+  const { mtimeMs } = fs.statSync(filePath);
+  if (loaded.mtimeMs === mtimeMs) return loaded.model;
+
+  let model = null;
+  try {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (data.version === MODEL_VERSION) {
+      model = createTopicModel(data);
+      console.log(`Loaded topic model with ${data.topics.length} topics over ${data.documents} podcasts`);
+    } else {
+      console.log(`Topic model at ${filePath} is from another version, retrain it with "npm run train:topics"`);
+    }
+  } catch (error) {
+    console.error(`Error loading topic model from ${filePath}:`, error.message);
+  }
+
+  loaded = { mtimeMs, model };
+  return model;
+};
+
+module.exports = {
+  collectCachedPodcasts,
+  trainTopicModel,
+  saveTopicModel,
+  getTopicModel,
+  DEFAULT_TRAINING_OPTIONS
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { getDatabase } = require('../utils/database');
+const { httpError } = require('../utils/http-error');
+
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// scrypt parameters are stored with the hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLength: 64 };
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password Plain-text password
+ * @returns {string} Encoded hash (scrypt$N$r$p$salt$hash)
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT.keyLength, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), hash.toString('base64')].join('$');
+};
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password Plain-text password
+ * @param {string} encoded Stored hash
+ * @returns {boolean} Whether the password matches
+ */
+const verifyPassword = (password, encoded) => {
+  const [scheme, N, r, p, salt, hash] = String(encoded).split('$');
+  if (scheme !== 'scrypt') return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = crypto.scryptSync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Only a hash of the session token is stored, so a leaked database can't be used to log in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const toPublicUser = (row) => ({
+  id: row.id,
+  username: row.username,
+  created_at: new Date(row.created_at).toISOString()
+});
+
+/**
+ * Create a session for a user
+ * @param {number} userId User ID
+ * @returns {{token: string, expires_at: string}} Session token and expiry
+ */
+const createSession = (userId) => {
+  const db = getDatabase();
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = Date.now();
+
+  // Opportunistically drop expired sessions
+  db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(now);
+  db.prepare('INSERT INTO sessions (token_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+    .run(hashToken(token), userId, now, now + SESSION_TTL_MS);
+
+  return { token, expires_at: new Date(now + SESSION_TTL_MS).toISOString() };
+};
+
+/**
+ * Register a new user and start a session
+ * @param {Object} credentials Credentials
+ * @param {string} credentials.username Username (3-32 letters, digits, "_", "." or "-")
+ * @param {string} credentials.password Password (at least 8 characters)
+ * @returns {{user: Object, token: string, expires_at: string}} New user and session
+ */
+const registerUser = ({ username, password } = {}) => {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw httpError(400, 'Username must be 3-32 characters of letters, digits, "_", "." or "-"');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw httpError(400, `Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+
+  const db = getDatabase();
+  if (db.prepare('SELECT id FROM users WHERE username = ?').get(username)) {
+    throw httpError(409, 'That username is already taken');
+  }
+
+  const { lastInsertRowid } = db.prepare('INSERT INTO users (username, password_hash, created_at) VALUES (?, ?, ?)')
+    .run(username, hashPassword(password), Date.now());
+
+  const user = db.prepare('SELECT * FROM users WHERE id = ?').get(lastInsertRowid);
+  return { user: toPublicUser(user), ...createSession(user.id) };
+};
+
+/**
+ * Log a user in with username and password
+ * @param {Object} credentials Credentials
+ * @param {string} credentials.username Username
+ * @param {string} credentials.password Password
+ * @returns {{user: Object, token: string, expires_at: string}} User and new session
+ */
+const loginUser = ({ username, password } = {}) => {
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    throw httpError(400, 'Username and password are required');
+  }
+
+  const user = getDatabase().prepare('SELECT * FROM users WHERE username = ?').get(username);
+  if (!user || !verifyPassword(password, user.password_hash)) {
+    throw httpError(401, 'Invalid username or password');
+  }
+
+  return { user: toPublicUser(user), ...createSession(user.id) };
+};
+
+/**
+ * Find the user owning a valid session token
+ * @param {string} token Session token
+ * @returns {Object|null} Public user, or null when the token is unknown or expired
+ */
+const findUserBySession = (token) => {
+  if (!token) return null;
+
+  const row = getDatabase().prepare(`
+    SELECT users.* FROM sessions
+    JOIN users ON users.id = sessions.user_id
+    WHERE sessions.token_hash = ? AND sessions.expires_at > ?
+  `).get(hashToken(token), Date.now());
+
+  return row ? toPublicUser(row) : null;
+};
+
+/**
+ * End a session
+ * @param {string} token Session token
+ */
+const deleteSession = (token) => {
+  if (!token) return;
+  getDatabase().prepare('DELETE FROM sessions WHERE token_hash = ?').run(hashToken(token));
+};
+
+module.exports = {
+  registerUser,
+  loginUser,
+  findUserBySession,
+  deleteSession,
+  SESSION_TTL_MS
+};
@@ -0,0 +1,107 @@
+const crypto = require('crypto');
+const { createJsonStore } = require('./json-store');
+
+const DEFAULT_MAX_DOCUMENTS = 20000;
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+/**
+ * Create a persistent document-frequency model over podcast descriptions.
+ * Each podcast counts once (re-seeing it with a changed description replaces
+ * its old terms), and the oldest documents are dropped once over capacity
+ * @param {Object} options Model options
+ * @param {string} options.fileName Store file name under the data directory
+ * @param {number} options.maxDocuments Maximum number of documents counted
+ * @param {number} options.version Version of the term extraction; counts from another version are discarded
+ * @returns {Object} Corpus model
+ */
+const createCorpusModel = ({
+  fileName = 'corpus-idf.json',
+  maxDocuments = DEFAULT_MAX_DOCUMENTS,
+  version = 1
+} = {}) => {
+  const store = createJsonStore(fileName, { version, documents: {}, documentFrequency: {} });
+
+  // Terms extracted differently can't be mixed with the stored counts
+  if (store.data.version !== version) {
+    console.log(`Corpus term extraction changed to version ${version}, clearing corpus model`);
+    store.data = { version, documents: {}, documentFrequency: {} };
+    store.save();
+  }
+
+  const { documents, documentFrequency } = store.data;
+  let documentCount = Object.keys(documents).length;
+
+  const count = (terms, delta) => {
+    terms.forEach(term => {
+      const frequency = (documentFrequency[term] || 0) + delta;
+      if (frequency > 0) {
+        documentFrequency[term] = frequency;
+      } else {
+        delete documentFrequency[term];
+      }
+    });
+  };
+
+  const remove = (id) => {
+    count(documents[id].terms, -1);
+    delete documents[id];
+    documentCount--;
+  };
+
+  return {
+    /**
+     * Count a document's terms, unless the same text was already counted for it
+     * @param {string} id Document ID (podcast ID)
+     * @param {string} text Text the terms were extracted from, used to notice changes
+     * @param {Function} getTerms Returns the document's terms; only called for new or changed text
+     * @returns {boolean} Whether the model changed
+     */
+    addDocument: (id, text, getTerms) => {
+      const hash = hashText(text);
+      if (documents[id]?.hash === hash) return false;
+
+      if (documents[id]) remove(id);
+      const terms = [...new Set(getTerms())];
+      documents[id] = { hash, terms };
+      documentCount++;
+      count(terms, 1);
+
+      // Drop the oldest documents (insertion order) once over capacity
+      if (documentCount > maxDocuments) {
+        Object.keys(documents).slice(0, documentCount - maxDocuments).forEach(remove);
+      }
+
+      store.scheduleSave();
+      return true;
+    },
+
+    /**
+     * Smoothed inverse document frequency; terms the corpus hasn't seen get the highest weight
+     * @param {string} term Term
+     * @returns {number} IDF, 1 for a term in every document (and for an empty corpus)
+     */
+    idf: (term) => Math.log((1 + documentCount) / (1 + (documentFrequency[term] || 0))) + 1,
+
+    /**
+     * Number of documents containing a term
+     * @param {string} term Term
+     * @returns {number} Document frequency
+     */
+    frequency: (term) => documentFrequency[term] || 0,
+
+    size: () => documentCount,
+
+    stats: () => ({
+      version,
+      documents: documentCount,
+      terms: Object.keys(documentFrequency).length,
+      maxDocuments,
+      file: store.filePath
+    })
+  };
+};
+
+module.exports = {
+  createCorpusModel
+};
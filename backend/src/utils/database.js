@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getDataDir } = require('./json-store');
+
+// Schema migrations, applied in order and tracked through PRAGMA user_version.
+// Append new migrations; never edit one that has shipped.
+const MIGRATIONS = [
+  `
+  CREATE TABLE users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    created_at INTEGER NOT NULL
+  );
+
+  CREATE TABLE sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX sessions_user_id ON sessions(user_id);
+
+  CREATE TABLE favorites (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    podcast_id TEXT NOT NULL,
+    podcast TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    added_at INTEGER NOT NULL,
+    PRIMARY KEY (user_id, podcast_id)
+  );
+  `,
+  `
+  CREATE TABLE collections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL COLLATE NOCASE,
+    created_at INTEGER NOT NULL,
+    UNIQUE (user_id, name)
+  );
+
+  CREATE TABLE collection_podcasts (
+    collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL,
+    podcast_id TEXT NOT NULL,
+    added_at INTEGER NOT NULL,
+    PRIMARY KEY (collection_id, podcast_id),
+    FOREIGN KEY (user_id, podcast_id) REFERENCES favorites(user_id, podcast_id) ON DELETE CASCADE
+  );
+  `,
+  `
+  CREATE TABLE dislikes (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    podcast_id TEXT NOT NULL,
+    podcast TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (user_id, podcast_id)
+  );
+  `,
+  `
+  CREATE TABLE recommendation_feedback (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    podcast_id TEXT NOT NULL,
+    rating INTEGER NOT NULL,
+    signals TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (user_id, podcast_id)
+  );
+
+  CREATE TABLE user_ranking_weights (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    weights TEXT NOT NULL,
+    samples INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE recommendation_jobs (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    status TEXT NOT NULL,
+    result TEXT,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    finished_at INTEGER,
+    expires_at INTEGER
+  );
+  CREATE INDEX recommendation_jobs_expires_at ON recommendation_jobs(expires_at);
+  `,
+  `
+  CREATE TABLE recommendation_results (
+    token TEXT PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    recommendations TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX recommendation_results_expires_at ON recommendation_results(expires_at);
+  `,
+  `
+  CREATE TABLE embeddings (
+    key TEXT PRIMARY KEY,
+    vector BLOB NOT NULL
+  );
+
+  CREATE TABLE vector_index_items (
+    podcast_id TEXT PRIMARY KEY,
+    model_id TEXT NOT NULL,
+    vector BLOB NOT NULL,
+    podcast TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE INDEX vector_index_items_updated_at ON vector_index_items(updated_at);
+  `,
+  `
+  CREATE TABLE entity_index_podcasts (
+    podcast_id TEXT PRIMARY KEY,
+    version INTEGER NOT NULL,
+    description_hash TEXT NOT NULL,
+    episodes_hash TEXT,
+    podcast TEXT NOT NULL
+  );
+
+  CREATE TABLE entity_index_mentions (
+    entity_key TEXT NOT NULL,
+    podcast_id TEXT NOT NULL REFERENCES entity_index_podcasts(podcast_id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    PRIMARY KEY (entity_key, podcast_id)
+  );
+  CREATE INDEX entity_index_mentions_podcast_id ON entity_index_mentions(podcast_id);
+  `
+];
+
+let database = null;
+
+/**
+ * Path of the SQLite database (DATABASE_PATH, defaults to podcast-matchmaker.db in the data directory)
+ * @returns {string} Absolute database path
+ */
+const getDatabasePath = () => process.env.DATABASE_PATH
+  ? path.resolve(process.env.DATABASE_PATH)
+  : path.join(getDataDir(), 'podcast-matchmaker.db');
+
+const migrate = (db) => {
+  const version = db.pragma('user_version', { simple: true });
+
+  MIGRATIONS.slice(version).forEach((sql, index) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${version + index + 1}`);
+    })();
+    console.log(`Applied database migration ${version + index + 1}`);
+  });
+};
+
+/**
+ * Open (once) and migrate the application database
+ * @returns {Object} better-sqlite3 database
+ */
+const getDatabase = () => {
+  if (!database) {
+    const filePath = getDatabasePath();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    database = new Database(filePath);
+    database.pragma('journal_mode = WAL');
+    database.pragma('foreign_keys = ON');
+    migrate(database);
+
+    process.on('exit', () => database.close());
+  }
+  return database;
+};
+
+module.exports = {
+  getDatabase,
+  getDatabasePath
+};
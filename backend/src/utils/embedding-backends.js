@@ -0,0 +1,137 @@
+const path = require('path');
+const { HfInference } = require('@huggingface/inference');
+const { getDataDir } = require('./json-store');
+
+const BACKENDS = ['local', 'remote'];
+
+const DEFAULT_LOCAL_MODEL_ID = 'Xenova/all-MiniLM-L6-v2';
+const DEFAULT_REMOTE_MODEL_ID = 'sentence-transformers/all-mpnet-base-v2';
+
+// Output sizes of the default models, used for zero vectors before the first embedding
+const KNOWN_DIMENSIONS = {
+  [DEFAULT_LOCAL_MODEL_ID]: 384,
+  [DEFAULT_REMOTE_MODEL_ID]: 768
+};
+
+/**
+ * Embedding backend that runs a sentence-transformer on CPU inside Node
+ * (ONNX via @huggingface/transformers). Models are downloaded once into the
+ * data directory, or read from EMBEDDING_MODEL_DIR for fully offline setups.
+ * @param {Object} options Backend options
+ * @param {string} options.modelId Model to load
+ * @param {string} options.modelDir Directory with pre-downloaded models (disables downloads)
+ * @returns {Object} Embedding backend
+ */
+const createLocalEmbeddingBackend = ({
+  modelId = process.env.LOCAL_EMBEDDING_MODEL || DEFAULT_LOCAL_MODEL_ID,
+  modelDir = process.env.EMBEDDING_MODEL_DIR
+} = {}) => {
+  let extractorPromise = null;
+
+  // Load the model lazily so the server starts fast and remote-only setups never load ONNX
+  const loadExtractor = () => {
+    if (!extractorPromise) {
+      extractorPromise = (async () => {
+        const { pipeline, env } = require('@huggingface/transformers');
+        env.cacheDir = path.join(getDataDir(), 'models');
+        if (modelDir) {
+          env.localModelPath = path.resolve(modelDir);
+          env.allowRemoteModels = false;
+        }
+
+        console.log(`Loading local embedding model ${modelId}...`);
+        const extractor = await pipeline('feature-extraction', modelId, { dtype: 'fp32' });
+        console.log(`Local embedding model ${modelId} ready`);
+        return extractor;
+      })();
+
+      // Allow another attempt if loading failed (e.g. model not downloaded yet)
+      extractorPromise.catch(() => {
+        extractorPromise = null;
+      });
+    }
+    return extractorPromise;
+  };
+
+  const backend = {
+    name: 'local',
+    modelId,
+    dimensions: KNOWN_DIMENSIONS[modelId] || 384,
+
+    embed: async (text) => {
+      const extractor = await loadExtractor();
+      const output = await extractor(text, { pooling: 'mean', normalize: true });
+      const vector = Array.from(output.data);
+      backend.dimensions = vector.length;
+      return vector;
+    }
+  };
+
+  return backend;
+};
+
+/**
+ * Embedding backend that calls the Hugging Face inference API
+ * @param {Object} options Backend options
+ * @param {string} options.apiKey Hugging Face API key
+ * @param {string} options.modelId Model to query
+ * @returns {Object} Embedding backend
+ */
+const createRemoteEmbeddingBackend = ({
+  apiKey = process.env.HUGGING_FACE_API_KEY,
+  modelId = process.env.REMOTE_EMBEDDING_MODEL || DEFAULT_REMOTE_MODEL_ID
+} = {}) => {
+  const hf = new HfInference(apiKey);
+
+  const backend = {
+    name: 'remote',
+    modelId,
+    dimensions: KNOWN_DIMENSIONS[modelId] || 768,
+
+    embed: async (text) => {
+      const response = await hf.featureExtraction({
+        model: modelId,
+        inputs: text
+      });
+
+      if (!Array.isArray(response) || response.length === 0) {
+        throw new Error('Invalid response from Hugging Face API');
+      }
+
+      backend.dimensions = response.length;
+      return response;
+    }
+  };
+
+  return backend;
+};
+
+/**
+ * Name of the embedding backend selected through EMBEDDING_BACKEND
+ * @returns {string} Backend name
+ */
+const getEmbeddingBackendName = () => (process.env.EMBEDDING_BACKEND || 'local').toLowerCase();
+
+/**
+ * Create the embedding backend selected by configuration
+ * @param {string} name Backend name (defaults to EMBEDDING_BACKEND)
+ * @returns {Object} Embedding backend with name, modelId, dimensions and embed(text)
+ */
+const createEmbeddingBackend = (name = getEmbeddingBackendName()) => {
+  switch (name) {
+    case 'local':
+      return createLocalEmbeddingBackend();
+    case 'remote':
+      return createRemoteEmbeddingBackend();
+    default:
+      throw new Error(`Unknown embedding backend "${name}". Expected one of: ${BACKENDS.join(', ')}`);
+  }
+};
+
+module.exports = {
+  createEmbeddingBackend,
+  createLocalEmbeddingBackend,
+  createRemoteEmbeddingBackend,
+  getEmbeddingBackendName,
+  BACKENDS
+};
@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+
+const DEFAULT_MAX_ENTRIES = 20000;
+
+/**
+ * Encode a vector as float32 bytes, roughly a tenth of its JSON size
+ * @param {Array<number>} vector Vector to encode
+ * @returns {Buffer} Encoded vector
+ */
+const encodeVector = (vector) => Buffer.from(new Float32Array(vector).buffer);
+
+/**
+ * Decode a vector encoded with encodeVector
+ * @param {Buffer} encoded Encoded vector
+ * @returns {Array<number>} Vector
+ */
+const decodeVector = (encoded) => Array.from(new Float32Array(encoded.buffer, encoded.byteOffset, encoded.length / 4));
+
+/**
+ * Content hash identifying an embedding: the same text embedded by another
+ * model gets a different key
+ * @param {string} modelId Embedding model ID
+ * @param {string} text Embedded text
+ * @returns {string} Hex digest
+ */
+const createEmbeddingKey = (modelId, text) => crypto
+  .createHash('sha256')
+  .update(`${modelId}\n${text}`)
+  .digest('hex');
+
+/**
+ * Create a persistent embedding store keyed by content hash and model ID.
+ * Embeddings are rows of the application database, so each write only touches its own row
+ * @param {Object} options Store options
+ * @param {Object} options.database better-sqlite3 database (defaults to the application database)
+ * @param {number} options.maxEntries Maximum number of embeddings kept
+ * @returns {Object} Embedding store
+ */
+const createEmbeddingStore = ({
+  database = getDatabase(),
+  maxEntries = DEFAULT_MAX_ENTRIES
+} = {}) => {
+  const statements = {
+    get: database.prepare('SELECT vector FROM embeddings WHERE key = ?'),
+    // Updating in place keeps the row's position in insertion order
+    upsert: database.prepare('INSERT INTO embeddings (key, vector) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET vector = excluded.vector'),
+    exists: database.prepare('SELECT 1 FROM embeddings WHERE key = ?'),
+    evict: database.prepare('DELETE FROM embeddings WHERE rowid IN (SELECT rowid FROM embeddings ORDER BY rowid LIMIT ?)')
+  };
+  const stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  let entryCount = database.prepare('SELECT COUNT(*) AS count FROM embeddings').get().count;
+
+  return {
+    get: (modelId, text) => {
+      const row = statements.get.get(createEmbeddingKey(modelId, text));
+      if (!row) {
+        stats.misses++;
+        return undefined;
+      }
+
+      stats.hits++;
+      return decodeVector(row.vector);
+    },
+
+    set: (modelId, text, vector) => {
+      const key = createEmbeddingKey(modelId, text);
+      if (!statements.exists.get(key)) {
+        entryCount++;
+      }
+      statements.upsert.run(key, encodeVector(vector));
+      stats.writes++;
+
+      // Evict the oldest embeddings (insertion order) once over capacity
+      if (entryCount > maxEntries) {
+        stats.evictions += statements.evict.run(entryCount - maxEntries).changes;
+        entryCount = maxEntries;
+      }
+    },
+
+    stats: () => ({
+      ...stats,
+      entries: entryCount,
+      maxEntries
+    })
+  };
+};
+
+module.exports = {
+  createEmbeddingStore,
+  createEmbeddingKey,
+  encodeVector,
+  decodeVector
+};
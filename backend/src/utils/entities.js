@@ -0,0 +1,281 @@
+/**
+ * Rule-based named-entity extraction for podcast descriptions: people (hosts,
+ * guests), organizations and places. Entities are capitalized word runs,
+ * classified by keywords, a small gazetteer and their shape; scripts without
+ * capitalization (e.g. Japanese) yield no entities
+ */
+const { createEntityIndex } = require('./entity-index');
+
+// Lower-case words that may join capitalized words inside one name ("University of Chicago", "Vincent van Gogh")
+const CONNECTORS = new Set(['of', 'de', 'del', 'der', 'den', 'da', 'do', 'dos', 'das', 'di', 'du', 'la', 'le', 'van', 'von', 'al', 'bin', 'y', '&']);
+
+// Capitalized words in front of a name that aren't part of it: sentence openers, dates and titles ("Historian Margaret Hale")
+const LEADING_WORDS = new Set([
+  'the', 'a', 'an', 'this', 'that', 'these', 'those', 'our', 'your', 'my', 'his', 'her', 'their', 'its', 'we', 'i',
+  'each', 'every', 'join', 'listen', 'hosted', 'host', 'hosts', 'guest', 'guests', 'episode', 'season', 'part',
+  'dr', 'doctor', 'prof', 'professor', 'mr', 'mrs', 'ms', 'sir', 'dame', 'author', 'writer', 'journalist', 'reporter',
+  'historian', 'astronomer', 'scientist', 'naturalist', 'psychologist', 'economist', 'comedian', 'comedians', 'chef',
+  'coach', 'founder', 'ceo', 'senator', 'president',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'el', 'los', 'las', 'una', 'cada', 'der', 'die', 'das', 'jede', 'jeden', 'le', 'les', 'chaque', 'o', 'os', 'as', 'toda'
+]);
+
+// Runs containing these name events, eras and things rather than people, organizations or places
+const NON_NAME_WORDS = new Set([
+  'war', 'wars', 'revolution', 'era', 'age', 'century', 'prize', 'award', 'awards', 'cup', 'championship',
+  'telescope', 'mission', 'program', 'programme', 'act', 'law'
+]);
+
+// Acronyms that are common nouns, not organizations
+const COMMON_ACRONYMS = new Set(['dna', 'rna', 'ai', 'ml', 'tv', 'ceo', 'cto', 'diy', 'faq', 'gdp', 'mba', 'phd', 'covid', 'ii', 'iii', 'iv']);
+
+// Historical and political units count as places
+const POLITY_WORDS = new Set(['empire', 'republic', 'kingdom', 'dynasty', 'caliphate']);
+
+const ORGANIZATION_WORDS = new Set([
+  'university', 'universidad', 'universität', 'université', 'universidade', 'institute', 'institut', 'instituto',
+  'college', 'school', 'academy', 'foundation', 'fundación', 'stiftung', 'society', 'association', 'agency',
+  'company', 'corporation', 'corp', 'inc', 'ltd', 'llc', 'gmbh', 'media', 'news', 'network', 'radio', 'records',
+  'studios', 'studio', 'labs', 'lab', 'press', 'times', 'post', 'journal', 'magazine', 'group', 'bank', 'museum',
+  'club', 'fc', 'council', 'ministry', 'department', 'party', 'league', 'center', 'centre', 'hospital', 'observatory',
+  'nations', 'union', 'reserve', 'commission', 'committee', 'court', 'parliament', 'congress', 'senate', 'government',
+  'army', 'navy'
+]);
+
+const PLACE_WORDS = new Set([
+  'city', 'county', 'state', 'province', 'river', 'lake', 'mountain', 'mountains', 'island', 'islands', 'valley',
+  'bay', 'coast', 'desert', 'ocean', 'sea', 'forest', 'street', 'avenue', 'park'
+]);
+
+// Places that don't carry a place word; names are matched after normalization (see entityKey)
+const KNOWN_PLACES = new Set([
+  'africa', 'america', 'asia', 'europe', 'europa', 'antarctica', 'australia', 'oceania', 'latin america', 'america latina',
+  'north america', 'south america', 'middle east', 'united states', 'usa', 'united kingdom', 'uk', 'britain', 'england',
+  'scotland', 'ireland', 'wales', 'france', 'frankreich', 'germany', 'deutschland', 'alemania', 'spain', 'espana',
+  'italy', 'portugal', 'brazil', 'brasil', 'mexico', 'canada', 'japan', 'japon', 'china', 'india', 'russia', 'ukraine',
+  'egypt', 'greece', 'rome', 'london', 'paris', 'berlin', 'madrid', 'lisbon', 'lisboa', 'tokyo', 'new york',
+  'los angeles', 'chicago', 'san francisco', 'silicon valley', 'washington', 'moscow', 'beijing', 'mars', 'moon', 'jupiter'
+]);
+
+// How much one shared entity says about two podcasts: a shared host or guest says the most
+const TYPE_WEIGHTS = {
+  person: 0.6,
+  organization: 0.35,
+  place: 0.15
+};
+
+// Podcasts seen by the server, by the entities they mention; bump the version when extraction changes
+const entityIndex = createEntityIndex({ version: 1 });
+
+const TOKEN_PATTERN = /([\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*)|(&)|([^\s\p{L}\p{N}])/gu;
+const SENTENCE_END = /[.!?:;]/;
+
+const isCapitalized = (word) => /^\p{Lu}/u.test(word);
+const isAcronym = (word) => /^\p{Lu}[\p{Lu}\p{N}]+$/u.test(word) && !COMMON_ACRONYMS.has(word.toLowerCase());
+const isCamelCase = (word) => /^\p{Lu}\p{Ll}+\p{Lu}/u.test(word);
+
+/**
+ * Normalize an entity name for matching: lower case, no accents or punctuation
+ * @param {string} name Entity name
+ * @returns {string} Key
+ */
+const entityKey = (name) => String(name || '')
+  .normalize('NFKD')
+  .replace(/\p{M}/gu, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Classify a capitalized word run
+ * @param {Array<string>} words Words of the run
+ * @returns {string|null} "person", "organization", "place" or null when it's probably not a name
+ */
+const classify = (words) => {
+  const lower = words.map(word => word.toLowerCase());
+  const key = entityKey(words.join(' '));
+
+  if (lower.some(word => NON_NAME_WORDS.has(word))) return null;
+  if (lower.some(word => ORGANIZATION_WORDS.has(word))) return 'organization';
+  if (KNOWN_PLACES.has(key) || PLACE_WORDS.has(lower[lower.length - 1]) || lower.some(word => POLITY_WORDS.has(word))) return 'place';
+
+  if (words.length === 1) {
+    return isAcronym(words[0]) || isCamelCase(words[0]) ? 'organization' : null;
+  }
+  if (words.some(isAcronym)) return 'organization';
+
+  // Two to four capitalized words with nothing else to go on: most likely a person's name
+  return words.length <= 4 ? 'person' : null;
+};
+
+/**
+ * Find capitalized word runs in a text
+ * @param {string} text Text
+ * @returns {Array<{words: Array<string>, sentenceStart: boolean}>} Runs with whether they open a sentence
+ */
+const findCapitalizedRuns = (text) => {
+  const runs = [];
+  let run = [];
+  let pendingConnectors = [];
+  let runStartsSentence = false;
+  let atSentenceStart = true;
+
+  const close = () => {
+    if (run.length > 0) runs.push({ words: run, sentenceStart: runStartsSentence });
+    run = [];
+    pendingConnectors = [];
+  };
+
+  for (const [, word, ampersand, punctuation] of String(text).matchAll(TOKEN_PATTERN)) {
+    if (punctuation) {
+      close();
+      if (SENTENCE_END.test(punctuation)) atSentenceStart = true;
+      continue;
+    }
+
+    const token = word || ampersand;
+    if (isCapitalized(token)) {
+      if (run.length === 0) runStartsSentence = atSentenceStart;
+
+      // A possessive ends the name ("NASA's Artemis program")
+      const possessive = /['’]s$/u.test(token);
+      run.push(...pendingConnectors, possessive ? token.slice(0, -2) : token);
+      pendingConnectors = [];
+      if (possessive) close();
+    } else if (run.length > 0 && CONNECTORS.has(token.toLowerCase())) {
+      pendingConnectors.push(token);
+    } else {
+      close();
+    }
+    atSentenceStart = false;
+  }
+  close();
+
+  return runs;
+};
+
+/**
+ * Extract named entities from a text
+ * @param {string} text Text to analyze (HTML is ignored)
+ * @returns {Array<{key: string, name: string, type: string, count: number}>} Entities, most mentioned first
+ */
+const extractEntities = (text) => {
+  if (!text || typeof text !== 'string') return [];
+
+  const entities = new Map();
+  findCapitalizedRuns(text.replace(/<[^>]*>/g, ' ')).forEach(({ words, sentenceStart }) => {
+    // Drop capitalized function words, dates and titles in front of the name ("The", "Monday", "Historian")
+    let start = 0;
+    while (start < words.length && LEADING_WORDS.has(words[start].toLowerCase())) start++;
+    let trimmed = words.slice(start);
+    if (trimmed.length === 0) return;
+
+    // "Victorian London" is about London
+    const last = trimmed[trimmed.length - 1];
+    if (trimmed.length > 1 && KNOWN_PLACES.has(entityKey(last)) && !KNOWN_PLACES.has(entityKey(trimmed.join(' ')))) {
+      trimmed = [last];
+    }
+
+    // A single capitalized word opening a sentence is usually just capitalized grammar
+    if (trimmed.length === 1 && sentenceStart && start === 0 && !isAcronym(trimmed[0]) && !isCamelCase(trimmed[0])) return;
+
+    const type = classify(trimmed);
+    if (!type) return;
+
+    const name = trimmed.join(' ');
+    const key = entityKey(name);
+    const entry = entities.get(key) || { key, name, type, count: 0 };
+    entry.count++;
+    entities.set(key, entry);
+  });
+
+  return [...entities.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Extract the entities a podcast mentions in its own and its episodes'
+ * descriptions. Names that are part of the podcast's title are left out, so
+ * a title-cased show name isn't mistaken for a person
+ * @param {Object} podcast Podcast (episodes are used when present)
+ * @returns {Array<{key: string, name: string, type: string, count: number}>} Entities, most mentioned first
+ */
+const extractPodcastEntities = (podcast) => {
+  if (!podcast) return [];
+
+  const title = ` ${entityKey(podcast.title || podcast.title_original)} `;
+  const texts = [
+    podcast.description || podcast.description_original || '',
+    ...(podcast.episodes || []).map(episode => episode.description || '')
+  ];
+
+  const merged = new Map();
+  texts.flatMap(extractEntities).forEach(entity => {
+    if (title.includes(` ${entity.key} `)) return;
+    const entry = merged.get(entity.key) || { ...entity, count: 0 };
+    entry.count += entity.count;
+    merged.set(entity.key, entry);
+  });
+
+  return [...merged.values()].sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Entities two podcasts have in common
+ * @param {Array<Object>} entitiesA Entities of the first podcast (see extractPodcastEntities)
+ * @param {Array<Object>} entitiesB Entities of the second podcast
+ * @returns {Array<{key: string, name: string, type: string}>} Shared entities, people first, named as in entitiesA
+ */
+const findSharedEntities = (entitiesA = [], entitiesB = []) => {
+  const keysB = new Set(entitiesB.map(entity => entity.key));
+  return entitiesA
+    .filter(entity => keysB.has(entity.key))
+    .map(({ key, name, type }) => ({ key, name, type }))
+    .sort((a, b) => TYPE_WEIGHTS[b.type] - TYPE_WEIGHTS[a.type]);
+};
+
+/**
+ * Entity overlap between two podcasts: each shared entity closes part of the
+ * remaining gap to 1, people more than organizations, organizations more than places
+ * @param {Array<Object>} entitiesA Entities of the first podcast
+ * @param {Array<Object>} entitiesB Entities of the second podcast
+ * @returns {number} Similarity score (0-1)
+ */
+const calculateEntitySimilarity = (entitiesA, entitiesB) => 1 - findSharedEntities(entitiesA, entitiesB)
+  .reduce((remaining, entity) => remaining * (1 - TYPE_WEIGHTS[entity.type]), 1);
+
+/**
+ * Add podcasts to the entity index so they can be looked up by the people,
+ * organizations and places they mention
+ * @param {Array<Object>} podcasts Podcasts (episodes are used when present)
+ */
+const indexPodcastEntities = (podcasts) => {
+  (podcasts || []).forEach(podcast => {
+    if (!podcast?.id) return;
+    const texts = {
+      description: podcast.description || podcast.description_original || '',
+      episodes: (podcast.episodes || []).map(episode => episode.description || '').join('\n')
+    };
+    entityIndex.addPodcast(podcast, texts, () => extractPodcastEntities(podcast));
+  });
+};
+
+/**
+ * Indexed podcasts mentioning an entity
+ * @param {string} name Entity name, matched case- and accent-insensitively
+ * @returns {{entity: Object, podcasts: Array<Object>}|null} The entity and podcast summaries, or null when unknown
+ */
+const findPodcastsByEntity = (name) => entityIndex.find(entityKey(name));
+
+const getEntityIndexStats = () => entityIndex.stats();
+
+module.exports = {
+  extractEntities,
+  extractPodcastEntities,
+  findSharedEntities,
+  calculateEntitySimilarity,
+  indexPodcastEntities,
+  findPodcastsByEntity,
+  getEntityIndexStats,
+  entityKey
+};
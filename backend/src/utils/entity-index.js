@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { getDatabase } = require('./database');
+
+const DEFAULT_MAX_PODCASTS = 20000;
+
+const hashText = (text) => crypto.createHash('sha1').update(text).digest('hex');
+
+/**
+ * Create a persistent index from named entities to the podcasts mentioning
+ * them. Each podcast keeps a summary (without episodes) so lookups can return
+ * it without another catalog call; the oldest podcasts are dropped once over
+ * capacity. Podcasts and mentions are rows of the application database, so
+ * adding a podcast only writes its own rows
+ * @param {Object} options Index options
+ * @param {Object} options.database better-sqlite3 database (defaults to the application database)
+ * @param {number} options.maxPodcasts Maximum number of podcasts indexed
+ * @param {number} options.version Version of the entity extraction; entries from another version are discarded
+ * @returns {Object} Entity index
+ */
+const createEntityIndex = ({
+  database = getDatabase(),
+  maxPodcasts = DEFAULT_MAX_PODCASTS,
+  version = 1
+} = {}) => {
+  // Entities extracted differently can't be mixed with the stored ones
+  const { changes } = database.prepare('DELETE FROM entity_index_podcasts WHERE version != ?').run(version);
+  if (changes > 0) {
+    console.log(`Entity extraction changed to version ${version}, removed ${changes} podcasts from the entity index`);
+  }
+
+  const statements = {
+    hashes: database.prepare('SELECT description_hash, episodes_hash FROM entity_index_podcasts WHERE podcast_id = ?'),
+    // Updating in place keeps the podcast's position in insertion order
+    upsert: database.prepare(`
+      INSERT INTO entity_index_podcasts (podcast_id, version, description_hash, episodes_hash, podcast) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (podcast_id) DO UPDATE SET
+        description_hash = excluded.description_hash, episodes_hash = excluded.episodes_hash, podcast = excluded.podcast
+    `),
+    unlink: database.prepare('DELETE FROM entity_index_mentions WHERE podcast_id = ?'),
+    mention: database.prepare('INSERT OR IGNORE INTO entity_index_mentions (entity_key, podcast_id, name, type) VALUES (?, ?, ?, ?)'),
+    // Mentions go with their podcast (ON DELETE CASCADE)
+    evict: database.prepare('DELETE FROM entity_index_podcasts WHERE rowid IN (SELECT rowid FROM entity_index_podcasts ORDER BY rowid LIMIT ?)'),
+    find: database.prepare(`
+      SELECT m.name, m.type, p.podcast FROM entity_index_mentions m
+      JOIN entity_index_podcasts p ON p.podcast_id = m.podcast_id
+      WHERE m.entity_key = ? ORDER BY m.rowid
+    `)
+  };
+  let podcastCount = database.prepare('SELECT COUNT(*) AS count FROM entity_index_podcasts').get().count;
+
+  const index = database.transaction((id, hashes, summary, found) => {
+    if (hashes.existing) {
+      statements.unlink.run(id);
+    } else {
+      podcastCount++;
+    }
+
+    statements.upsert.run(id, version, hashes.description, hashes.episodes, JSON.stringify(summary));
+    found.forEach(({ key, name, type }) => statements.mention.run(key, id, name, type));
+
+    // Drop the oldest podcasts (insertion order) once over capacity
+    if (podcastCount > maxPodcasts) {
+      statements.evict.run(podcastCount - maxPodcasts);
+      podcastCount = maxPodcasts;
+    }
+  });
+
+  return {
+    /**
+     * Index a podcast's entities, unless the same text was already indexed for it.
+     * A podcast indexed with its episodes isn't downgraded by a later copy
+     * without them (search results) that has the same description
+     * @param {Object} podcast Podcast
+     * @param {Object} texts Texts the entities are extracted from
+     * @param {string} texts.description Podcast description
+     * @param {string} texts.episodes Episode descriptions joined, empty when the podcast came without episodes
+     * @param {Function} getEntities Returns the podcast's entities; only called for new or changed text
+     * @returns {boolean} Whether the index changed
+     */
+    addPodcast: (podcast, texts, getEntities) => {
+      const id = String(podcast.id);
+      const descriptionHash = hashText(texts.description);
+      const episodesHash = texts.episodes ? hashText(texts.episodes) : null;
+      const existing = statements.hashes.get(id);
+      if (existing?.description_hash === descriptionHash
+        && (episodesHash === null || existing.episodes_hash === episodesHash)) {
+        return false;
+      }
+
+      const { episodes, ...summary } = podcast;
+      index(id, { existing: Boolean(existing), description: descriptionHash, episodes: episodesHash }, summary, getEntities());
+      return true;
+    },
+
+    /**
+     * Podcasts mentioning an entity
+     * @param {string} key Entity key (see entityKey)
+     * @returns {{entity: Object, podcasts: Array<Object>}|null} The entity and podcast summaries, or null when unknown
+     */
+    find: (key) => {
+      const rows = statements.find.all(key);
+      if (rows.length === 0) return null;
+
+      return {
+        entity: { key, name: rows[0].name, type: rows[0].type },
+        podcasts: rows.map(row => JSON.parse(row.podcast))
+      };
+    },
+
+    stats: () => ({
+      version,
+      podcasts: podcastCount,
+      entities: database.prepare('SELECT COUNT(DISTINCT entity_key) AS count FROM entity_index_mentions').get().count,
+      maxPodcasts
+    })
+  };
+};
+
+module.exports = {
+  createEntityIndex
+};
@@ -3,7 +3,20 @@
  * @returns {boolean} True if all required variables are present, false otherwise
  */
 const validateEnvironment = () => {
-  const requiredVars = ['PORT', 'LISTEN_NOTES_API_KEY', 'HUGGING_FACE_API_KEY'];
+  const requiredVars = ['PORT'];
+  
+  // The Listen Notes key is only needed when the catalog comes from Listen Notes
+  const catalogProvider = (process.env.CATALOG_PROVIDER || 'listennotes').toLowerCase();
+  if (catalogProvider === 'listennotes') {
+    requiredVars.push('LISTEN_NOTES_API_KEY');
+  }
+  
+  // The Hugging Face key is only needed for the remote embedding backend
+  const embeddingBackend = (process.env.EMBEDDING_BACKEND || 'local').toLowerCase();
+  if (embeddingBackend === 'remote') {
+    requiredVars.push('HUGGING_FACE_API_KEY');
+  }
+  
   const missing = requiredVars.filter(v => !process.env[v]);
   
   if (missing.length > 0) {
@@ -11,8 +24,8 @@ const validateEnvironment = () => {
     return false;
   }
   
-  console.log('Environment variables loaded successfully');
+  console.log(`Environment variables loaded successfully (catalog provider: ${catalogProvider}, embedding backend: ${embeddingBackend})`);
   return true;
 };
 
-module.exports = { validateEnvironment }; 
\ No newline at end of file
+module.exports = { validateEnvironment };
\ No newline at end of file
@@ -0,0 +1,17 @@
+/**
+ * Create an error carrying an HTTP status code, picked up by errorHandler
+ * @param {number} statusCode HTTP status code
+ * @param {string} message Error message
+ * @param {Object} details Optional extra context returned to the client
+ * @returns {Error} Error with statusCode set
+ */
+const httpError = (statusCode, message, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) {
+    error.details = details;
+  }
+  return error;
+};
+
+module.exports = { httpError };
@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Directory where the backend keeps its runtime data (DATA_DIR, defaults to backend/data)
+ * @returns {string} Absolute path of the data directory
+ */
+const getDataDir = () => process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.resolve(__dirname, '../../data');
+
+/**
+ * Create a small JSON document store persisted under the data directory
+ * @param {string} fileName File name relative to the data directory
+ * @param {Object} defaults Initial document when the file doesn't exist yet
+ * @returns {Object} Store with the loaded `data` and save helpers
+ */
+const createJsonStore = (fileName, defaults = {}) => {
+  const filePath = path.join(getDataDir(), fileName);
+  let saveTimer = null;
+
+  const load = () => {
+    try {
+      if (fs.existsSync(filePath)) {
+        return { ...defaults, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+      }
+    } catch (error) {
+      console.error(`Error loading ${filePath}, starting empty:`, error.message);
+    }
+    return JSON.parse(JSON.stringify(defaults));
+  };
+
+  const store = {
+    filePath,
+    data: load(),
+
+    // Write the document atomically (temp file + rename)
+    save: () => {
+      if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
+      }
+
+      try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(store.data));
+        fs.renameSync(tempPath, filePath);
+      } catch (error) {
+        console.error(`Error saving ${filePath}:`, error.message);
+      }
+    },
+
+    // Batch frequent writes into a single save
+    scheduleSave: (delayMs = 2000) => {
+      if (saveTimer) return;
+      saveTimer = setTimeout(store.save, delayMs);
+      saveTimer.unref();
+    }
+  };
+
+  // Flush pending writes when the process exits
+  process.on('exit', () => {
+    if (saveTimer) store.save();
+  });
+
+  return store;
+};
+
+module.exports = {
+  createJsonStore,
+  getDataDir
+};
@@ -0,0 +1,202 @@
+const natural = require('natural');
+const stopword = require('stopword');
+
+const japaneseTokenizer = new natural.TokenizerJa();
+
+// Letters and digits in any script; everything else separates words
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Hiragana, katakana and kanji
+const JAPANESE_CHARACTERS = /[\u3040-\u30ff\u4e00-\u9fff]/g;
+const KANJI_OR_KATAKANA = /[\u30a0-\u30ff\u4e00-\u9fff]/;
+
+const splitWords = (text) => text.match(WORD_PATTERN) || [];
+
+/**
+ * Text processing settings for each supported language:
+ * - names: how catalogs and feeds spell the language (Listen Notes uses English names, RSS uses ISO codes)
+ * - stopwords: function words removed before topic and keyword extraction
+ * - podcastWords: words every podcast description uses, which say nothing about its topic
+ * - functionWords: a few very frequent words used to detect the language of untagged text
+ * - stemmer: folds inflections ("models"/"model") so they count as one topic
+ * - tokenize: splits lower-cased text into words
+ * - isMeaningful: whether a token is long enough to be a topic
+ * - isPhraseWord: whether a (non-stopword) token can be part of a keyphrase; phrases allow shorter words ("world war")
+ * - joinPhrase: spells a keyphrase from its words
+ */
+const LANGUAGES = {
+  en: {
+    names: ['english'],
+    stopwords: stopword.eng,
+    podcastWords: new Set([
+      'the', 'and', 'a', 'an', 'in', 'on', 'at', 'to', 'for', 'of', 'is', 'are', 'was', 'were',
+      'this', 'that', 'these', 'those', 'it', 'they', 'we', 'you', 'he', 'she', 'his', 'her',
+      'them', 'their', 'our', 'your', 'its', 'has', 'have', 'had', 'been', 'would', 'could',
+      'should', 'will', 'can', 'may', 'might', 'with', 'from', 'by', 'about', 'all', 'but', 'not',
+      'what', 'when', 'where', 'who', 'how', 'why', 'which', 'podcast', 'show', 'episode', 'episodes',
+      'season', 'seasons', 'listen', 'listening', 'host', 'hosts', 'guest', 'guests', 'talk', 'talks',
+      'explore', 'explores', 'explain', 'explains', 'covering', 'covers', 'discuss', 'discusses', 'dive', 'dives'
+    ]),
+    functionWords: ['the', 'and', 'of', 'to', 'is', 'with', 'for', 'this', 'that', 'you', 'are', 'from', 'how', 'what'],
+    stemmer: natural.PorterStemmer,
+    tokenize: splitWords,
+    isMeaningful: (token) => token.length > 3,
+    isPhraseWord: (token) => token.length > 2,
+    joinPhrase: (words) => words.join(' ')
+  },
+  es: {
+    names: ['spanish', 'español', 'espanol'],
+    stopwords: stopword.spa,
+    podcastWords: new Set([
+      'podcast', 'pódcast', 'programa', 'programas', 'episodio', 'episodios', 'capítulo', 'capítulos',
+      'temporada', 'temporadas', 'escuchar', 'escucha', 'invitado', 'invitados', 'invitada', 'invitadas',
+      'presentador', 'presentadora', 'cada', 'semana', 'hablamos', 'sobre', 'también', 'todos', 'todas'
+    ]),
+    functionWords: ['el', 'la', 'los', 'las', 'y', 'en', 'es', 'con', 'para', 'por', 'una', 'del', 'como', 'que'],
+    stemmer: natural.PorterStemmerEs,
+    tokenize: splitWords,
+    isMeaningful: (token) => token.length > 3,
+    isPhraseWord: (token) => token.length > 2,
+    joinPhrase: (words) => words.join(' ')
+  },
+  de: {
+    names: ['german', 'deutsch'],
+    stopwords: stopword.deu,
+    podcastWords: new Set([
+      'podcast', 'podcasts', 'folge', 'folgen', 'episode', 'episoden', 'sendung', 'sendungen', 'staffel',
+      'staffeln', 'hören', 'hört', 'gast', 'gäste', 'moderator', 'moderatorin', 'jede', 'jeden', 'woche',
+      'sprechen', 'reden', 'immer', 'geht'
+    ]),
+    functionWords: ['der', 'die', 'das', 'und', 'ist', 'mit', 'für', 'von', 'den', 'nicht', 'ein', 'eine', 'auch', 'wir', 'sich'],
+    stemmer: natural.PorterStemmerDe,
+    tokenize: splitWords,
+    isMeaningful: (token) => token.length > 3,
+    isPhraseWord: (token) => token.length > 2,
+    joinPhrase: (words) => words.join(' ')
+  },
+  fr: {
+    names: ['french', 'français', 'francais'],
+    stopwords: stopword.fra,
+    podcastWords: new Set([
+      'podcast', 'podcasts', 'épisode', 'épisodes', 'émission', 'émissions', 'saison', 'saisons',
+      'écouter', 'écoutez', 'invité', 'invités', 'invitée', 'invitées', 'animateur', 'animatrice',
+      'chaque', 'semaine', 'parlons', 'tous', 'toutes', 'aussi'
+    ]),
+    functionWords: ['le', 'la', 'les', 'et', 'des', 'est', 'dans', 'pour', 'une', 'avec', 'sur', 'qui', 'du', 'pas', 'nous'],
+    stemmer: natural.PorterStemmerFr,
+    tokenize: splitWords,
+    isMeaningful: (token) => token.length > 3,
+    isPhraseWord: (token) => token.length > 2,
+    joinPhrase: (words) => words.join(' ')
+  },
+  pt: {
+    names: ['portuguese', 'português', 'portugues'],
+    stopwords: stopword.por,
+    podcastWords: new Set([
+      'podcast', 'podcasts', 'programa', 'programas', 'episódio', 'episódios', 'temporada', 'temporadas',
+      'ouvir', 'ouça', 'convidado', 'convidados', 'convidada', 'convidadas', 'apresentador', 'apresentadora',
+      'cada', 'semana', 'falamos', 'sobre', 'também', 'todos', 'todas'
+    ]),
+    functionWords: ['o', 'os', 'as', 'e', 'em', 'um', 'uma', 'com', 'para', 'não', 'do', 'da', 'por', 'que', 'no'],
+    stemmer: natural.PorterStemmerPt,
+    tokenize: splitWords,
+    isMeaningful: (token) => token.length > 3,
+    isPhraseWord: (token) => token.length > 2,
+    joinPhrase: (words) => words.join(' ')
+  },
+  ja: {
+    names: ['japanese', '日本語'],
+    stopwords: stopword.jpn,
+    podcastWords: new Set(['ポッドキャスト', 'エピソード', '番組', '配信', '毎週', '今回', 'ゲスト', 'お届け', '話題']),
+    functionWords: [],
+    stemmer: natural.StemmerJa,
+    // Japanese has no spaces between words; latin words inside Japanese text are split as usual
+    tokenize: (text) => japaneseTokenizer.tokenize(text).flatMap(token => (KANJI_OR_KATAKANA.test(token) ? [token] : splitWords(token))),
+    // Hiragana-only tokens are particles and inflections
+    isMeaningful: (token) => (KANJI_OR_KATAKANA.test(token) ? token.length > 1 : /^[a-z]/.test(token) && token.length > 3),
+    isPhraseWord: (token) => KANJI_OR_KATAKANA.test(token) || (/^[a-z]/.test(token) && token.length > 2),
+    joinPhrase: (words) => words.join('')
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Function word lists as sets, for detection
+const functionWordSets = Object.fromEntries(
+  Object.entries(LANGUAGES).map(([code, language]) => [code, new Set(language.functionWords)])
+);
+
+/**
+ * Map a declared language (Listen Notes name such as "Spanish", or an RSS code such as "pt-BR") to a supported language code
+ * @param {string} declared Declared language
+ * @returns {string|null} Language code, or null when missing or unsupported
+ */
+const resolveLanguageCode = (declared) => {
+  const value = String(declared || '').trim().toLowerCase();
+  if (!value) return null;
+
+  const code = value.split(/[-_]/)[0];
+  if (LANGUAGES[code]) return code;
+
+  return Object.keys(LANGUAGES).find(key => LANGUAGES[key].names.includes(value)) || null;
+};
+
+/**
+ * Whether two declared languages are the same, however each is written
+ * ("English", "en" and "en-us" all match). Languages without their own
+ * support compare by name or by base code
+ * @param {string} a Declared language
+ * @param {string} b Declared language
+ * @returns {boolean} Whether they name the same language
+ */
+const isSameLanguage = (a, b) => {
+  const codeA = resolveLanguageCode(a);
+  const codeB = resolveLanguageCode(b);
+  if (codeA || codeB) return codeA === codeB;
+
+  const base = (value) => String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return base(a) === base(b);
+};
+
+/**
+ * Detect the language of a text: Japanese by its script, the others by
+ * counting their most frequent function words
+ * @param {string} text Text to inspect
+ * @param {string} declared Language the podcast declares (e.g. Listen Notes' `language`), trusted when supported
+ * @returns {string} Supported language code, English when unsure
+ */
+const detectLanguage = (text, declared = null) => {
+  const declaredCode = resolveLanguageCode(declared);
+  if (declaredCode) return declaredCode;
+  if (!text) return DEFAULT_LANGUAGE;
+
+  const sample = String(text).slice(0, 2000).toLowerCase();
+  const words = splitWords(sample);
+  const japaneseCharacters = (sample.match(JAPANESE_CHARACTERS) || []).length;
+  if (japaneseCharacters > 0 && japaneseCharacters >= words.join('').length * 0.3) {
+    return 'ja';
+  }
+
+  const best = Object.entries(functionWordSets).reduce((top, [code, set]) => {
+    const hits = words.filter(word => set.has(word)).length;
+    return hits > top.hits ? { code, hits } : top;
+  }, { code: DEFAULT_LANGUAGE, hits: 1 });
+
+  return best.code;
+};
+
+/**
+ * Text processing settings for a language (see LANGUAGES)
+ * @param {string} code Language code
+ * @returns {Object} Language settings, English for unknown codes
+ */
+const getLanguage = (code) => LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+
+module.exports = {
+  detectLanguage,
+  resolveLanguageCode,
+  isSameLanguage,
+  getLanguage,
+  SUPPORTED_LANGUAGES: Object.keys(LANGUAGES),
+  DEFAULT_LANGUAGE
+};
@@ -0,0 +1,133 @@
+// Keeps the multiplicative updates away from division by zero
+const EPSILON = 1e-9;
+
+const DEFAULT_OPTIONS = {
+  components: 10,
+  iterations: 200
+};
+
+/**
+ * Dot product of a sparse row with a dense vector
+ * @param {Array<[number, number]>} row Sparse row as [column, value] pairs
+ * @param {Float64Array} dense Dense vector
+ * @returns {number} Dot product
+ */
+const sparseDot = (row, dense) => row.reduce((sum, [column, value]) => sum + value * dense[column], 0);
+
+/**
+ * Gram matrix (A·Aᵀ) of a list of dense rows
+ * @param {Array<Float64Array>} rows Dense rows
+ * @returns {Array<Float64Array>} Square matrix
+ */
+const gram = (rows) => rows.map(a => Float64Array.from(rows, b => a.reduce((sum, value, i) => sum + value * b[i], 0)));
+
+/**
+ * Initial components: documents picked farthest-first (each the one least
+ * similar to those already picked), so the factorization is deterministic and
+ * starts from distinct themes
+ * @param {Array<Array<[number, number]>>} rows Sparse, L2-normalized rows
+ * @param {number} columns Number of columns
+ * @param {number} components Number of components
+ * @returns {Array<Float64Array>} Initial components
+ */
+const initComponents = (rows, columns, components) => {
+  const toDense = (row) => {
+    const dense = new Float64Array(columns).fill(EPSILON);
+    row.forEach(([column, value]) => { dense[column] += value; });
+    return dense;
+  };
+
+  // Start from the document with the most terms
+  let first = 0;
+  rows.forEach((row, i) => { if (row.length > rows[first].length) first = i; });
+
+  const picked = [toDense(rows[first])];
+  const closeness = rows.map(row => sparseDot(row, picked[0]));
+  while (picked.length < components) {
+    let next = 0;
+    closeness.forEach((value, i) => { if (value < closeness[next]) next = i; });
+
+    const component = toDense(rows[next]);
+    picked.push(component);
+    rows.forEach((row, i) => { closeness[i] = Math.max(closeness[i], sparseDot(row, component)); });
+    closeness[next] = Infinity;
+  }
+  return picked;
+};
+
+/**
+ * Find the non-negative weights of one row over fixed components
+ * (multiplicative updates for W with H held constant)
+ * @param {Array<[number, number]>} row Sparse row as [column, value] pairs
+ * @param {Array<Float64Array>} components Components (H)
+ * @param {Array<Float64Array>} componentGram components·componentsᵀ, see gram
+ * @param {number} iterations Number of updates
+ * @returns {Float64Array} Weights, one per component
+ */
+const inferWeights = (row, components, componentGram = gram(components), iterations = 50) => {
+  const weights = new Float64Array(components.length).fill(1 / components.length);
+  const numerators = components.map(component => sparseDot(row, component));
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const denominators = componentGram.map(gramRow => gramRow.reduce((sum, value, s) => sum + value * weights[s], 0));
+    weights.forEach((weight, t) => {
+      weights[t] = weight * numerators[t] / (denominators[t] + EPSILON);
+    });
+  }
+  return weights;
+};
+
+/**
+ * Non-negative matrix factorization X ≈ W·H of a sparse document-term matrix,
+ * minimizing the Frobenius error with Lee & Seung's multiplicative updates
+ * @param {Array<Array<[number, number]>>} rows Sparse rows of X as [column, value] pairs
+ * @param {number} columns Number of columns of X
+ * @param {Object} options Factorization options (see DEFAULT_OPTIONS)
+ * @param {number} options.components Number of components (topics)
+ * @param {number} options.iterations Number of update rounds
+ * @returns {{weights: Array<Float64Array>, components: Array<Float64Array>}} W (a row per document) and H (a row per component)
+ */
+const factorize = (rows, columns, options = {}) => {
+  const { iterations } = { ...DEFAULT_OPTIONS, ...options };
+  const count = Math.min(options.components || DEFAULT_OPTIONS.components, rows.length);
+
+  const components = initComponents(rows, columns, count);
+  const weights = rows.map(() => new Float64Array(count).fill(1 / count));
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    // H ← H ∘ (Wᵀ·X) / (Wᵀ·W·H)
+    const weightedTerms = components.map(() => new Float64Array(columns));
+    rows.forEach((row, d) => row.forEach(([column, value]) => {
+      weights[d].forEach((weight, t) => { weightedTerms[t][column] += weight * value; });
+    }));
+    const weightGram = Array.from({ length: count }, (_, a) => Float64Array.from({ length: count }, (__, b) => (
+      weights.reduce((sum, row) => sum + row[a] * row[b], 0)
+    )));
+    for (let column = 0; column < columns; column++) {
+      const current = components.map(component => component[column]);
+      components.forEach((component, t) => {
+        const denominator = weightGram[t].reduce((sum, value, s) => sum + value * current[s], 0);
+        component[column] *= weightedTerms[t][column] / (denominator + EPSILON);
+      });
+    }
+
+    // W ← W ∘ (X·Hᵀ) / (W·H·Hᵀ)
+    const componentGram = gram(components);
+    rows.forEach((row, d) => {
+      const numerators = components.map(component => sparseDot(row, component));
+      const current = Float64Array.from(weights[d]);
+      weights[d].forEach((weight, t) => {
+        const denominator = componentGram[t].reduce((sum, value, s) => sum + value * current[s], 0);
+        weights[d][t] = weight * numerators[t] / (denominator + EPSILON);
+      });
+    });
+  }
+
+  return { weights, components };
+};
+
+module.exports = {
+  factorize,
+  inferWeights,
+  gram
+};
@@ -0,0 +1,238 @@
+const { httpError } = require('./http-error');
+
+const DEFAULT_OPTIONS = {
+  maxRetries: 3,            // Retries for transient failures
+  baseDelayMs: 500,         // Backoff base, doubled on every attempt
+  maxDelayMs: 8000,         // Backoff cap
+  throttleThreshold: 50,    // Start spacing requests when this few remain in the quota
+  throttleIntervalMs: 1000, // Minimum spacing between requests while throttled
+  maxQueueDelayMs: 30000,   // Give up instead of queueing longer than this
+  defaultRetryAfterSec: 60  // Used when a 429 carries no Retry-After header
+};
+
+// Network-level errors worth retrying
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return value === undefined || value === null || value === '' || Number.isNaN(number) ? null : number;
+};
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ * @param {string} value Header value
+ * @returns {number|null} Seconds to wait
+ */
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = toNumber(value);
+  if (seconds !== null) return Math.max(0, Math.ceil(seconds));
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+/**
+ * Create a governor that tracks the Listen Notes quota, retries transient
+ * failures with jittered backoff, spaces out requests when the quota runs
+ * low and refuses requests once the API rate-limits us (429) until the
+ * quota resets. Usage past the free quota only throttles, since paid plans
+ * keep serving requests
+ * @param {Object} options Overrides for DEFAULT_OPTIONS
+ * @returns {Object} Governor with attach() and status()
+ */
+const createRequestGovernor = (options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  const state = {
+    quota: null,
+    usage: null,
+    nextBillingDate: null,
+    lastLatencySec: null,
+    lastUpdated: null,
+    exhaustedUntil: null,
+    queued: 0,
+    requests: 0,
+    retries: 0,
+    rateLimited: 0,
+    rejected: 0
+  };
+
+  let nextSlot = 0;
+
+  const remaining = () => (state.quota !== null && state.usage !== null
+    ? Math.max(0, state.quota - state.usage)
+    : null);
+
+  const quotaExhaustedError = (retryAfterSec) => {
+    state.rejected++;
+    const error = httpError(503, 'Listen Notes API quota exhausted. Please try again later.', {
+      quota: state.quota,
+      usage: state.usage,
+      retryAfter: retryAfterSec
+    });
+    error.retryAfter = retryAfterSec;
+    return error;
+  };
+
+  const secondsUntilExhaustionEnds = () => Math.max(1, Math.ceil((state.exhaustedUntil - Date.now()) / 1000));
+
+  // Without a Retry-After, wait for the next billing date (or the default when it's unknown or already past)
+  const markExhausted = (retryAfterSec) => {
+    const billingReset = state.nextBillingDate ? Date.parse(state.nextBillingDate) : NaN;
+    state.exhaustedUntil = retryAfterSec !== null
+      ? Date.now() + retryAfterSec * 1000
+      : (billingReset > Date.now() ? billingReset : Date.now() + config.defaultRetryAfterSec * 1000);
+  };
+
+  const updateFromHeaders = (headers = {}) => {
+    const quota = toNumber(headers['x-listenapi-freequota']);
+    const usage = toNumber(headers['x-listenapi-usage']);
+
+    if (quota !== null) state.quota = quota;
+    if (usage !== null) state.usage = usage;
+    if (headers['x-listenapi-nextbillingdate']) state.nextBillingDate = headers['x-listenapi-nextbillingdate'];
+    if (headers['x-listenapi-latency-seconds']) state.lastLatencySec = toNumber(headers['x-listenapi-latency-seconds']);
+
+    if (quota !== null || usage !== null) {
+      state.lastUpdated = new Date().toISOString();
+    }
+  };
+
+  // Wait for a request slot, or refuse when the quota is gone
+  const acquire = async () => {
+    if (state.exhaustedUntil && state.exhaustedUntil > Date.now()) {
+      throw quotaExhaustedError(secondsUntilExhaustionEnds());
+    }
+    state.exhaustedUntil = null;
+
+    const left = remaining();
+    if (left === null || left > config.throttleThreshold) {
+      return;
+    }
+
+    // Reserve the next slot synchronously so concurrent requests are spaced out
+    const now = Date.now();
+    const slot = Math.max(now, nextSlot);
+    const waitMs = slot - now;
+    if (waitMs > config.maxQueueDelayMs) {
+      throw quotaExhaustedError(Math.ceil(waitMs / 1000));
+    }
+
+    nextSlot = slot + config.throttleIntervalMs;
+    state.queued++;
+    try {
+      await sleep(waitMs);
+    } finally {
+      state.queued--;
+    }
+  };
+
+  const isTransient = (error) => {
+    if (error.response) {
+      return error.response.status >= 500 || error.response.status === 408;
+    }
+    return TRANSIENT_CODES.has(error.code) || error.code === 'ERR_NETWORK';
+  };
+
+  // Full jitter: random delay between 0 and the exponential backoff
+  const backoffDelay = (attempt) => Math.random() * Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** attempt);
+
+  /**
+   * Attach the governor to an axios instance through interceptors
+   * @param {Object} client Axios instance
+   * @returns {Object} The same client
+   */
+  const attach = (client) => {
+    client.interceptors.request.use(async (requestConfig) => {
+      await acquire();
+      state.requests++;
+      return requestConfig;
+    });
+
+    client.interceptors.response.use(
+      (response) => {
+        updateFromHeaders(response.headers);
+        return response;
+      },
+      async (error) => {
+        // Errors raised by the governor itself are final
+        if (error.statusCode === 503) {
+          throw error;
+        }
+
+        const requestConfig = error.config || {};
+        const attempt = requestConfig.governorAttempt || 0;
+        const status = error.response && error.response.status;
+
+        if (error.response) {
+          updateFromHeaders(error.response.headers);
+        }
+
+        if (status === 429) {
+          state.rateLimited++;
+          const retryAfterSec = parseRetryAfter(error.response.headers && error.response.headers['retry-after']);
+
+          // Short waits are retried in place; anything longer means the quota is gone
+          if (retryAfterSec !== null && retryAfterSec * 1000 <= config.maxDelayMs && attempt < config.maxRetries) {
+            state.retries++;
+            await sleep(retryAfterSec * 1000);
+            return client.request({ ...requestConfig, governorAttempt: attempt + 1 });
+          }
+
+          markExhausted(retryAfterSec);
+          throw quotaExhaustedError(secondsUntilExhaustionEnds());
+        }
+
+        if (isTransient(error) && attempt < config.maxRetries) {
+          state.retries++;
+          const delay = backoffDelay(attempt);
+          console.warn(`Retrying Listen Notes request ${requestConfig.url} in ${Math.round(delay)}ms (attempt ${attempt + 1}): ${error.message}`);
+          await sleep(delay);
+          return client.request({ ...requestConfig, governorAttempt: attempt + 1 });
+        }
+
+        throw error;
+      }
+    );
+
+    return client;
+  };
+
+  const status = () => {
+    const exhausted = Boolean(state.exhaustedUntil && state.exhaustedUntil > Date.now());
+    const left = remaining();
+
+    return {
+      quota: state.quota,
+      usage: state.usage,
+      remaining: left,
+      nextBillingDate: state.nextBillingDate,
+      exhausted,
+      retryAfter: exhausted ? secondsUntilExhaustionEnds() : null,
+      throttled: left !== null && left <= config.throttleThreshold,
+      queued: state.queued,
+      lastLatencySec: state.lastLatencySec,
+      lastUpdated: state.lastUpdated,
+      counters: {
+        requests: state.requests,
+        retries: state.retries,
+        rateLimited: state.rateLimited,
+        rejected: state.rejected
+      }
+    };
+  };
+
+  return {
+    attach,
+    status
+  };
+};
+
+module.exports = {
+  createRequestGovernor,
+  parseRetryAfter
+};
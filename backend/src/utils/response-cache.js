@@ -0,0 +1,187 @@
+const { createJsonStore } = require('./json-store');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Per-endpoint TTLs, matched in order against the request path
+const DEFAULT_TTLS = [
+  { name: 'genres', pattern: /^\/?genres/, ttlMs: 3 * DAY },
+  { name: 'best_podcasts', pattern: /^\/?best_podcasts/, ttlMs: 6 * HOUR },
+  { name: 'similar', pattern: /^\/?podcasts\/[^/]+\/recommendations/, ttlMs: DAY },
+  { name: 'podcasts', pattern: /^\/?podcasts\/[^/]+$/, ttlMs: HOUR },
+  { name: 'search', pattern: /^\/?search/, ttlMs: 15 * MINUTE }
+];
+
+const DEFAULT_MAX_ENTRIES = 5000;
+
+/**
+ * Build a deterministic cache key from an endpoint and its params
+ * @param {string} endpoint Request path
+ * @param {Object} params Query params
+ * @returns {string} Cache key
+ */
+const createCacheKey = (endpoint, params = {}) => {
+  const path = `/${String(endpoint).replace(/^\/+/, '')}`;
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined && params[key] !== null)
+    .sort()
+    .map(key => `${key}=${encodeURIComponent(params[key])}`)
+    .join('&');
+  return query ? `${path}?${query}` : path;
+};
+
+/**
+ * Create a TTL cache persisted to disk so cached responses survive restarts
+ * @param {Object} options Cache options
+ * @param {string} options.fileName Store file name under the data directory
+ * @param {Array<Object>} options.ttls Per-endpoint TTL rules ({ name, pattern, ttlMs })
+ * @param {number} options.maxEntries Maximum number of entries kept
+ * @returns {Object} Response cache
+ */
+const createResponseCache = ({
+  fileName = 'response-cache.json',
+  ttls = DEFAULT_TTLS,
+  maxEntries = DEFAULT_MAX_ENTRIES
+} = {}) => {
+  const store = createJsonStore(fileName, { entries: {} });
+  const stats = { hits: 0, misses: 0, writes: 0, evictions: 0, byEndpoint: {} };
+
+  const ruleFor = (endpoint) => ttls.find(rule => rule.pattern.test(endpoint)) || null;
+
+  const count = (endpointName, field) => {
+    const endpointStats = stats.byEndpoint[endpointName] || (stats.byEndpoint[endpointName] = { hits: 0, misses: 0 });
+    endpointStats[field]++;
+    stats[field]++;
+  };
+
+  // Drop expired entries left over from previous runs
+  const now = Date.now();
+  for (const [key, entry] of Object.entries(store.data.entries)) {
+    if (entry.expiresAt <= now) {
+      delete store.data.entries[key];
+    }
+  }
+  let entryCount = Object.keys(store.data.entries).length;
+
+  const cache = {
+    /**
+     * TTL rule for an endpoint, or null when the endpoint isn't cacheable
+     * @param {string} endpoint Request path
+     * @returns {Object|null} Matching TTL rule
+     */
+    ruleFor,
+
+    get: (key, endpointName = 'other') => {
+      const entry = store.data.entries[key];
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) {
+          delete store.data.entries[key];
+          entryCount--;
+        }
+        count(endpointName, 'misses');
+        return undefined;
+      }
+
+      count(endpointName, 'hits');
+      return entry.value;
+    },
+
+    set: (key, value, ttlMs, endpointName = 'other') => {
+      const entries = store.data.entries;
+      if (!(key in entries)) {
+        entryCount++;
+      }
+      entries[key] = { value, endpoint: endpointName, storedAt: Date.now(), expiresAt: Date.now() + ttlMs };
+      stats.writes++;
+
+      // Evict the oldest entries (insertion order) once over capacity
+      if (entryCount > maxEntries) {
+        Object.keys(entries).slice(0, entryCount - maxEntries).forEach(oldest => {
+          delete entries[oldest];
+          stats.evictions++;
+        });
+        entryCount = maxEntries;
+      }
+
+      store.scheduleSave();
+    },
+
+    /**
+     * Invalidate cached entries
+     * @param {Object} filter Optional filter
+     * @param {string} filter.endpoint Endpoint name (e.g. "search") to invalidate
+     * @param {string} filter.prefix Cache key prefix (e.g. "/podcasts/abc") to invalidate
+     * @returns {number} Number of removed entries
+     */
+    invalidate: ({ endpoint, prefix } = {}) => {
+      let removed = 0;
+      for (const [key, entry] of Object.entries(store.data.entries)) {
+        const matches = (!endpoint || entry.endpoint === endpoint) && (!prefix || key.startsWith(prefix));
+        if (matches) {
+          delete store.data.entries[key];
+          removed++;
+        }
+      }
+      entryCount -= removed;
+
+      store.save();
+      return removed;
+    },
+
+    stats: () => {
+      const lookups = stats.hits + stats.misses;
+      const entries = Object.values(store.data.entries);
+      const entriesByEndpoint = entries.reduce((counts, entry) => {
+        counts[entry.endpoint] = (counts[entry.endpoint] || 0) + 1;
+        return counts;
+      }, {});
+
+      return {
+        ...stats,
+        hitRate: lookups > 0 ? stats.hits / lookups : 0,
+        entries: entries.length,
+        entriesByEndpoint,
+        maxEntries,
+        ttls: ttls.map(rule => ({ endpoint: rule.name, ttlMs: rule.ttlMs })),
+        file: store.filePath
+      };
+    }
+  };
+
+  return cache;
+};
+
+/**
+ * Wrap an axios client so GET requests to cacheable endpoints are served from the cache
+ * @param {Object} client Axios instance
+ * @param {Object} cache Response cache from createResponseCache
+ * @returns {Object} Client exposing the same get/post methods
+ */
+const withResponseCache = (client, cache) => ({
+  get: async (endpoint, config = {}) => {
+    const rule = cache.ruleFor(endpoint);
+    if (!rule) {
+      return client.get(endpoint, config);
+    }
+
+    const key = createCacheKey(endpoint, config.params);
+    const cached = cache.get(key, rule.name);
+    if (cached !== undefined) {
+      return { data: cached, status: 200, headers: {}, cached: true };
+    }
+
+    const response = await client.get(endpoint, config);
+    cache.set(key, response.data, rule.ttlMs, rule.name);
+    return response;
+  },
+
+  post: (...args) => client.post(...args)
+});
+
+module.exports = {
+  createResponseCache,
+  withResponseCache,
+  createCacheKey,
+  DEFAULT_TTLS
+};
@@ -1,7 +1,7 @@
 /**
  * Utilities for enhanced podcast search
  */
-const { extractTopics, extractKeywords } = require('./text-processing');
+const { extractTopics, extractKeywords, extractKeyphrases } = require('./text-processing');
 
 /**
  * Generate diverse search queries based on podcast content themes
@@ -38,7 +38,21 @@ const generateDiverseQueries = (podcasts) => {
       });
     }
     
-    // STRATEGY 2: Extract most common meaningful keyword across all podcasts
+    // STRATEGY 2: Search for the strongest multi-word keyphrase as an exact phrase
+    const phrases = extractPhrasesFromPodcasts(podcasts)
+      .filter(phrase => !phrase.split(' ').some(word => publishersToFilter.has(word)));
+    if (phrases.length > 0) {
+      allQueries.push({
+        q: `"${phrases[0]}"`,
+        type: 'podcast',
+        sort_by_date: 0,
+        page_size: 20,
+        only_in: 'description',
+        safe_mode: 0
+      });
+    }
+    
+    // STRATEGY 3: Extract most common meaningful keyword across all podcasts
     const descriptionTexts = podcasts.map(p => p.description || p.description_original || '').join(' ');
     const keywords = extractKeywords(descriptionTexts, 10)
       .filter(kw => kw && kw.length > 3 && !publishersToFilter.has(kw.toLowerCase()));
@@ -54,7 +68,7 @@ const generateDiverseQueries = (podcasts) => {
       });
     }
     
-    // STRATEGY 3 (Fallback): If we have two themes, use the second one too
+    // STRATEGY 4 (Fallback): If we have two themes, use the second one too
     if (themes.length > 1) {
       allQueries.push({
         q: themes[1],
@@ -83,7 +97,7 @@ const extractThemesFromPodcasts = (podcasts) => {
   // Extract topics from podcast descriptions only
   const allTopics = podcasts.flatMap(podcast => {
     const descriptionText = podcast.description || podcast.description_original || '';
-    return extractTopics(descriptionText, 10).map(topic => topic.term);
+    return extractTopics(descriptionText, 10, podcast.language).map(topic => topic.term);
   });
   
   // Count topic frequencies
@@ -100,6 +114,28 @@ const extractThemesFromPodcasts = (podcasts) => {
     .map(([topic]) => topic);
 };
 
+/**
+ * Extract keyphrases from podcasts, preferring phrases several favorites share
+ * @param {Array<Object>} podcasts Array of podcasts
+ * @returns {Array<string>} Keyphrases, most shared and strongest first
+ */
+const extractPhrasesFromPodcasts = (podcasts) => {
+  const phrases = new Map();
+  podcasts.forEach(podcast => {
+    const descriptionText = podcast.description || podcast.description_original || '';
+    extractKeyphrases(descriptionText, 5, podcast.language).forEach(({ phrase, stem, score }) => {
+      const entry = phrases.get(stem) || { phrase, podcasts: 0, score: 0 };
+      entry.podcasts++;
+      entry.score += score;
+      phrases.set(stem, entry);
+    });
+  });
+  
+  return [...phrases.values()]
+    .sort((a, b) => b.podcasts - a.podcasts || b.score - a.score)
+    .map(entry => entry.phrase);
+};
+
 /**
  * Extract pairs of genres that often appear together
  * @param {Array<Object>} podcasts Array of podcasts
@@ -1,16 +1,22 @@
-const { HfInference } = require('@huggingface/inference');
 const path = require('path');
 require('dotenv').config({ path: path.resolve(__dirname, '../../config/.env') });
+const { createEmbeddingBackend } = require('./embedding-backends');
+const { createEmbeddingStore } = require('./embedding-store');
+const { createVectorIndex } = require('./vector-index');
+const { getInverseDocumentFrequency } = require('./text-processing');
 
-// Get API key from environment variables
-const API_KEY = process.env.HUGGING_FACE_API_KEY;
+// Local sentence-transformer or Hugging Face inference API, see EMBEDDING_BACKEND
+const embeddingBackend = createEmbeddingBackend();
+const MODEL_ID = embeddingBackend.modelId;
 
-// Create Hugging Face inference instance
-const hf = new HfInference(API_KEY);
-const MODEL_ID = "sentence-transformers/all-mpnet-base-v2"; // Using a more powerful model
+// Embeddings persisted by content hash and model, so restarts don't recompute them
+const embeddingStore = createEmbeddingStore();
 
-// Cache for embeddings to avoid repeated API calls
-const embeddingCache = new Map();
+// Approximate-nearest-neighbour index over every podcast embedded so far
+const vectorIndex = createVectorIndex({ modelId: MODEL_ID });
+
+// Embeddings being computed, so concurrent requests for the same text share one call
+const pendingEmbeddings = new Map();
 
 // Configuration for recommendation weights
 const WEIGHTS = {
@@ -21,41 +27,80 @@ const WEIGHTS = {
 };
 
 /**
- * Generate text embeddings using Hugging Face model
+ * Generate text embeddings with the configured embedding backend
  * @param {string} text Text to generate embeddings for
  * @returns {Promise<Array<number>>} Vector embedding
  */
 const generateEmbedding = async (text) => {
   if (!text) {
-    return new Array(384).fill(0); // Return zero vector if no text
+    return new Array(embeddingBackend.dimensions).fill(0); // Return zero vector if no text
   }
   
-  try {
-    // Check cache first
-    const cacheKey = text.substring(0, 100); // Use first 100 chars as key
-    if (embeddingCache.has(cacheKey)) {
-      return embeddingCache.get(cacheKey);
-    }
-    
-    const response = await hf.featureExtraction({
-      model: MODEL_ID,
-      inputs: text.slice(0, 8000) // Limit input size to prevent errors
-    });
-    
-    if (Array.isArray(response) && response.length > 0) {
-      // Cache the result
-      embeddingCache.set(cacheKey, response);
-      return response;
-    }
-    
-    console.warn("Invalid response from Hugging Face API");
-    return new Array(384).fill(0);
-  } catch (error) {
-    console.error("Error generating embedding:", error.message);
-    return new Array(384).fill(0); // Return zero vector on error
+  const input = text.slice(0, 8000); // Limit input size to prevent errors
+  
+  // Check the persistent store first
+  const stored = embeddingStore.get(MODEL_ID, input);
+  if (stored) {
+    return stored;
+  }
+  
+  if (pendingEmbeddings.has(input)) {
+    return pendingEmbeddings.get(input);
   }
+  
+  const pending = (async () => {
+    try {
+      const embedding = await embeddingBackend.embed(input);
+      embeddingStore.set(MODEL_ID, input, embedding);
+      return embedding;
+    } catch (error) {
+      console.error(`Error generating embedding (${embeddingBackend.name} backend):`, error.message);
+      return new Array(embeddingBackend.dimensions).fill(0); // Return zero vector on error
+    } finally {
+      pendingEmbeddings.delete(input);
+    }
+  })();
+  
+  pendingEmbeddings.set(input, pending);
+  return pending;
 };
 
+/**
+ * Add a podcast and its embedding to the vector index
+ * @param {Object} podcast Podcast to index
+ * @param {Array<number>} embedding Podcast embedding (zero vectors are skipped)
+ * @returns {boolean} Whether the podcast was indexed
+ */
+const indexPodcastEmbedding = (podcast, embedding) => vectorIndex.upsert(podcast, embedding);
+
+/**
+ * Find indexed podcasts close to an embedding
+ * @param {Array<number>} embedding Query embedding
+ * @param {Object} options Query options (limit, minScore, excludeIds)
+ * @returns {Array<{podcast: Object, score: number}>} Nearest podcasts, most similar first
+ */
+const findNearestPodcasts = (embedding, options) => vectorIndex.query(embedding, options);
+
+/**
+ * Embedding store and vector index statistics
+ * @returns {Object} Statistics
+ */
+const getEmbeddingStats = () => ({
+  model: getEmbeddingModel(),
+  store: embeddingStore.stats(),
+  index: vectorIndex.stats()
+});
+
+/**
+ * Describe the embedding model in use
+ * @returns {{backend: string, modelId: string, dimensions: number}} Embedding model info
+ */
+const getEmbeddingModel = () => ({
+  backend: embeddingBackend.name,
+  modelId: MODEL_ID,
+  dimensions: embeddingBackend.dimensions
+});
+
 /**
  * Calculate cosine similarity between two vectors
  * @param {Array<number>} vec1 First vector
@@ -89,10 +134,18 @@ const calculateCosineSimilarity = (vec1, vec2) => {
   }
 };
 
+// Topics match on their stem when extractTopics provided one, so "model" matches "models"
+const topicKey = (topic) => topic.stem || topic.term;
+
+// Weigh topics with the current corpus IDF, so topics extracted before the corpus grew stay comparable
+const topicWeight = (topic) => (topic.tf !== undefined && topic.stem
+  ? topic.tf * getInverseDocumentFrequency(topic.stem)
+  : topic.score);
+
 /**
  * Calculate topic similarity between two sets of topics
- * @param {Array<{term: string, score: number}>} topicsA First set of topics
- * @param {Array<{term: string, score: number}>} topicsB Second set of topics
+ * @param {Array<{term: string, stem: string, score: number}>} topicsA First set of topics
+ * @param {Array<{term: string, stem: string, score: number}>} topicsB Second set of topics
  * @returns {number} Similarity score (0-1)
  */
 const calculateTopicSimilarity = (topicsA, topicsB) => {
@@ -102,8 +155,8 @@ const calculateTopicSimilarity = (topicsA, topicsB) => {
   
   try {
     // Create maps of terms to scores for efficient lookup
-    const topicMapA = new Map(topicsA.map(t => [t.term, t.score]));
-    const topicMapB = new Map(topicsB.map(t => [t.term, t.score]));
+    const topicMapA = new Map(topicsA.map(t => [topicKey(t), topicWeight(t)]));
+    const topicMapB = new Map(topicsB.map(t => [topicKey(t), topicWeight(t)]));
     
     // Find common terms
     let matchScore = 0;
@@ -126,6 +179,73 @@ const calculateTopicSimilarity = (topicsA, topicsB) => {
   }
 };
 
+/**
+ * Break calculateTopicSimilarity down into each shared term's contribution
+ * @param {Array<{term: string, stem: string, score: number}>} topicsA Topics of the reference podcast (e.g. a favorite)
+ * @param {Array<{term: string, stem: string, score: number}>} topicsB Topics of the compared podcast
+ * @returns {Array<{term: string, contribution: number}>} Shared terms, as spelled in topicsA, largest contribution first; contributions sum to the topic similarity
+ */
+const explainTopicSimilarity = (topicsA, topicsB) => {
+  if (!topicsA?.length || !topicsB?.length) {
+    return [];
+  }
+  
+  const topicMapB = new Map(topicsB.map(t => [topicKey(t), topicWeight(t)]));
+  const totalPossibleScore = topicsA.reduce((sum, t) => sum + topicWeight(t), 0);
+  if (totalPossibleScore <= 0) {
+    return [];
+  }
+  
+  return topicsA
+    .filter(t => topicMapB.has(topicKey(t)))
+    .map(t => ({ term: t.term, contribution: Math.min(topicWeight(t), topicMapB.get(topicKey(t))) / totalPossibleScore }))
+    .sort((a, b) => b.contribution - a.contribution);
+};
+
+/**
+ * Calculate genre overlap between two podcasts (Jaccard index of their genre IDs)
+ * @param {Object} podcastA First podcast
+ * @param {Object} podcastB Second podcast
+ * @returns {number} Similarity score (0-1)
+ */
+const calculateGenreSimilarity = (podcastA, podcastB) => {
+  const genresA = new Set(podcastA?.genre_ids || []);
+  const genresB = new Set(podcastB?.genre_ids || []);
+  if (genresA.size === 0 || genresB.size === 0) return 0;
+  
+  const shared = [...genresA].filter(id => genresB.has(id)).length;
+  return shared / (genresA.size + genresB.size - shared);
+};
+
+/**
+ * Popularity of a podcast from its Listen Notes listen score
+ * @param {Object} podcast Podcast
+ * @returns {number} Score (0-1), 0.5 when unknown
+ */
+const calculatePopularityScore = (podcast) => {
+  const listenScore = Number(podcast?.listen_score);
+  return Number.isFinite(listenScore) && podcast.listen_score !== null
+    ? Math.min(1, Math.max(0, listenScore / 100))
+    : 0.5;
+};
+
+// Half-life of the recency score: a show last updated 90 days ago scores 0.5
+const RECENCY_HALF_LIFE_DAYS = 90;
+
+/**
+ * How recently a podcast published an episode
+ * @param {Object} podcast Podcast
+ * @param {number} now Reference time in ms
+ * @returns {number} Score (0-1), 0.5 when unknown
+ */
+const calculateRecencyScore = (podcast, now = Date.now()) => {
+  const latest = Number(podcast?.latest_pub_date_ms);
+  if (!Number.isFinite(latest) || latest <= 0) return 0.5;
+  
+  const ageDays = Math.max(0, (now - latest) / (24 * 60 * 60 * 1000));
+  return Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
 /**
  * Create weighted text for podcast embedding
  * @param {Object} podcast Podcast to create weighted text for
@@ -145,8 +265,16 @@ const createWeightedText = (podcast) => {
 
 module.exports = {
   generateEmbedding,
+  getEmbeddingModel,
+  getEmbeddingStats,
+  indexPodcastEmbedding,
+  findNearestPodcasts,
   calculateCosineSimilarity,
   calculateTopicSimilarity,
+  explainTopicSimilarity,
+  calculateGenreSimilarity,
+  calculatePopularityScore,
+  calculateRecencyScore,
   createWeightedText,
   WEIGHTS
 }; 
\ No newline at end of file
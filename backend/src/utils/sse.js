@@ -0,0 +1,43 @@
+/**
+ * Switch a response to a Server-Sent Events stream
+ * @param {Object} res - Express response object
+ * @returns {{send: Function, close: Function, isClosed: Function}} Stream controls
+ */
+const openEventStream = (res) => {
+  let closed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Keep reverse proxies from buffering events
+  });
+  res.flushHeaders();
+
+  // The client went away; stop writing but let the work finish
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    /**
+     * Send a named event with a JSON payload
+     * @param {string} event Event name
+     * @param {Object} data Payload
+     */
+    send: (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    close: () => {
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    },
+    isClosed: () => closed
+  };
+};
+
+module.exports = { openEventStream };
@@ -1,19 +1,26 @@
-const natural = require('natural');
 const stopword = require('stopword');
+const { detectLanguage, getLanguage, DEFAULT_LANGUAGE } = require('./languages');
+const { createCorpusModel } = require('./corpus-model');
 
-// Initialize natural language processing tools
-const tokenizer = new natural.WordTokenizer();
-const TfIdf = natural.TfIdf;
+// Document frequencies over every podcast description seen so far, persisted across restarts.
+// Version 2 counts keyphrases as well as single words
+const corpusModel = createCorpusModel({ version: 2 });
 
-// List of common words to be excluded from keyword extraction
-const commonWords = new Set([
-  'the', 'and', 'a', 'an', 'in', 'on', 'at', 'to', 'for', 'of', 'is', 'are', 'was', 'were',
-  'this', 'that', 'these', 'those', 'it', 'they', 'we', 'you', 'he', 'she', 'his', 'her',
-  'them', 'their', 'our', 'your', 'its', 'has', 'have', 'had', 'been', 'would', 'could', 
-  'should', 'will', 'can', 'may', 'might', 'with', 'from', 'by', 'about', 'all', 'but', 'not',
-  'what', 'when', 'where', 'who', 'how', 'why', 'which', 'podcast', 'show', 'episode', 'episodes',
-  'season', 'seasons', 'listen', 'listening', 'host', 'hosts', 'guest', 'guests', 'talk', 'talks'
-]);
+// Keyphrases span two or three words, and never cross punctuation
+const MAX_PHRASE_WORDS = 3;
+const PHRASE_BOUNDARY = /[.,;:!?()[\]{}"“”«»|\/\n。、！？「」]+/;
+
+// Stopword lists as sets, built on first use
+const stopwordSets = new Map();
+const getStopwordSet = (language) => {
+  if (!stopwordSets.has(language)) {
+    stopwordSets.set(language, new Set(getLanguage(language).stopwords));
+  }
+  return stopwordSets.get(language);
+};
+
+// List of common English words to be excluded from keyword extraction (see utils/languages for other languages)
+const commonWords = getLanguage('en').podcastWords;
 
 /**
  * Preprocess text for NLP analysis
@@ -24,58 +31,239 @@ const preprocessText = (text) => {
   if (!text) return '';
   
   // Convert to lowercase and normalize text
-  return text.toLowerCase()
-    .replace(/<[^>]*>/g, ' ')         // Remove HTML tags
-    .replace(/[^\w\s]/g, ' ')         // Remove special characters
-    .replace(/\s+/g, ' ').trim();     // Normalize whitespace
+  return text.normalize('NFC').toLowerCase()
+    .replace(/<[^>]*>/g, ' ')             // Remove HTML tags
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')    // Remove special characters, keeping letters of every script
+    .replace(/\s+/g, ' ').trim();         // Normalize whitespace
 };
 
 /**
  * Filter tokens to get meaningful words
  * @param {Array<string>} tokens Raw tokens
+ * @param {string} language Language code (see utils/languages)
  * @returns {Array<string>} Filtered tokens
  */
-const filterTokens = (tokens) => {
+const filterTokens = (tokens, language = DEFAULT_LANGUAGE) => {
   if (!tokens || !tokens.length) return [];
   
   // Remove stopwords, short tokens, and numbers
-  return stopword.removeStopwords(tokens)
-    .filter(token => token.length > 3 && !commonWords.has(token) && isNaN(token));
+  const { stopwords, podcastWords, isMeaningful } = getLanguage(language);
+  return stopword.removeStopwords(tokens, stopwords)
+    .filter(token => isMeaningful(token) && !podcastWords.has(token) && isNaN(token));
+};
+
+/**
+ * Detect a text's language and split it into meaningful words with their stems
+ * @param {string} text Text to analyze
+ * @param {string} declaredLanguage Language the podcast declares (e.g. Listen Notes' `language`)
+ * @returns {{language: string, words: Array<{word: string, stem: string}>}} Language code and words in order
+ */
+const analyzeText = (text, declaredLanguage = null) => {
+  const language = detectLanguage(text, declaredLanguage);
+  const { tokenize, stemmer } = getLanguage(language);
+  const words = filterTokens(tokenize(preprocessText(text)), language);
+  
+  return {
+    language,
+    words: words.map(word => ({ word, stem: stemmer.stem(word) || word }))
+  };
+};
+
+/**
+ * Group words by stem, remembering the most frequent spelling of each
+ * @param {Array<{word: string, stem: string}>} words Analyzed words
+ * @returns {Map<string, {word: string, count: number}>} Representative word and count per stem
+ */
+const groupByStem = (words) => {
+  const spellings = new Map();
+  words.forEach(({ word, stem }) => {
+    const counts = spellings.get(stem) || new Map();
+    counts.set(word, (counts.get(word) || 0) + 1);
+    spellings.set(stem, counts);
+  });
+  
+  return new Map([...spellings].map(([stem, counts]) => {
+    const [word] = [...counts].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+    const count = [...counts.values()].reduce((sum, n) => sum + n, 0);
+    return [stem, { word, count }];
+  }));
 };
 
 /**
- * Extract topics from text using TF-IDF
+ * Candidate keyphrases: every two- and three-word run of content words,
+ * split at punctuation and stopwords (a rough noun-phrase chunker)
+ * @param {string} text Text to analyze
+ * @param {string} language Language code (see utils/languages)
+ * @returns {Array<{phrase: string, stem: string, stems: Array<string>, start: number}>} Candidates in text order; stem is the space-joined word stems, start the position of the first word among the text's tokens
+ */
+const findPhraseCandidates = (text, language) => {
+  const { tokenize, stemmer, podcastWords, isPhraseWord, joinPhrase } = getLanguage(language);
+  const stopwords = getStopwordSet(language);
+  const isContentWord = (token) => isPhraseWord(token) && !stopwords.has(token) && !podcastWords.has(token) && isNaN(token);
+  
+  const candidates = [];
+  const addRun = (run, runStart) => {
+    for (let size = 2; size <= MAX_PHRASE_WORDS; size++) {
+      for (let start = 0; start + size <= run.length; start++) {
+        const words = run.slice(start, start + size);
+        const stems = words.map(word => stemmer.stem(word) || word);
+        candidates.push({ phrase: joinPhrase(words), stem: stems.join(' '), stems, start: runStart + start });
+      }
+    }
+  };
+  
+  let position = 0;
+  String(text).replace(/<[^>]*>/g, ' ').split(PHRASE_BOUNDARY).forEach(segment => {
+    let run = [];
+    tokenize(preprocessText(segment)).forEach(token => {
+      if (isContentWord(token)) {
+        run.push(token);
+      } else {
+        addRun(run, position - run.length);
+        run = [];
+      }
+      position++;
+    });
+    addRun(run, position - run.length);
+  });
+  
+  return candidates;
+};
+
+/**
+ * Extract multi-word keyphrases ("machine learning", "true crime") scored as
+ * collocations: how much more often their words appear together across the
+ * corpus than they would by chance (pointwise mutual information over
+ * document frequencies). A phrase qualifies when the text repeats it, or when
+ * other podcasts use it and its words are positively associated
+ * @param {string} text Text to extract keyphrases from
+ * @param {number} limit Maximum number of keyphrases to return
+ * @param {string} language Language the text is declared in; detected when missing
+ * @returns {Array<{phrase: string, stem: string, count: number, score: number, starts: Array<number>}>} Keyphrases, strongest first; starts are the token positions of each occurrence
+ */
+const extractKeyphrases = (text, limit = 10, language = null) => {
+  if (!text || typeof text !== 'string') return [];
+  
+  try {
+    const candidates = findPhraseCandidates(text, detectLanguage(text, language));
+    
+    // Count each phrase by stem, spelled the way the text spells it most often
+    const grouped = new Map();
+    candidates.forEach(({ phrase, stem, stems, start }) => {
+      const entry = grouped.get(stem) || { stem, stems, count: 0, starts: [], spellings: new Map() };
+      entry.count++;
+      entry.starts.push(start);
+      entry.spellings.set(phrase, (entry.spellings.get(phrase) || 0) + 1);
+      grouped.set(stem, entry);
+    });
+    
+    // Smoothed document probabilities, so unseen words and phrases don't divide by zero
+    const documents = corpusModel.size();
+    const probability = (term) => (corpusModel.frequency(term) + 1) / (documents + 1);
+    
+    const phrases = [...grouped.values()]
+      .map(({ stem, stems, count, starts, spellings }) => {
+        const association = Math.log(probability(stem)) - stems.reduce((sum, word) => sum + Math.log(probability(word)), 0);
+        const seenElsewhere = corpusModel.frequency(stem) >= 2 && association > 0;
+        const [phrase] = [...spellings].reduce((best, entry) => (entry[1] > best[1] ? entry : best));
+        return { phrase, stem, count, starts, score: count * (1 + Math.max(0, association)), qualifies: count >= 2 || seenElsewhere };
+      })
+      .filter(phrase => phrase.qualifies);
+    
+    // A two-word phrase that only ever occurs inside a longer kept phrase adds nothing
+    const kept = phrases.filter(phrase => !phrases.some(other => other !== phrase
+      && other.count === phrase.count
+      && ` ${other.stem} `.includes(` ${phrase.stem} `)));
+    
+    return kept
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ qualifies, ...phrase }) => phrase);
+  } catch (error) {
+    console.error('Error extracting keyphrases:', error);
+    return [];
+  }
+};
+
+/**
+ * Add podcast descriptions to the corpus IDF model; podcasts already counted with the same description are skipped
+ * @param {Array<Object>} podcasts Podcasts seen by the backend (favorites, candidates, trending)
+ * @returns {number} Number of podcasts added or updated
+ */
+const addToCorpus = (podcasts = []) => podcasts.reduce((added, podcast) => {
+  const description = podcast?.description || podcast?.description_original || '';
+  if (!podcast?.id || !description.trim()) return added;
+  
+  const changed = corpusModel.addDocument(podcast.id, description, () => {
+    const { language, words } = analyzeText(description, podcast.language);
+    return [
+      ...words.map(({ stem }) => stem),
+      ...findPhraseCandidates(description, language).map(({ stem }) => stem)
+    ];
+  });
+  return changed ? added + 1 : added;
+}, 0);
+
+/**
+ * Inverse document frequency of a stem in the corpus
+ * @param {string} stem Stemmed term (see analyzeText)
+ * @returns {number} IDF (1 for terms every podcast uses, higher for rarer terms)
+ */
+const getInverseDocumentFrequency = (stem) => corpusModel.idf(stem);
+
+/**
+ * Corpus IDF model statistics
+ * @returns {Object} Statistics
+ */
+const getCorpusStats = () => corpusModel.stats();
+
+/**
+ * Extract topics from text using TF-IDF against the corpus model. Topics are
+ * single words and keyphrases; a phrase only matches the same phrase elsewhere,
+ * and its words only count as topics of their own where they occur outside it
  * @param {string} text Text to analyze for topics
  * @param {number} numTopics Number of topics to extract
- * @returns {Array<{term: string, score: number}>} Array of top topics with scores
+ * @param {string} language Language the podcast declares; detected from the text when missing
+ * @returns {Array<{term: string, stem: string, tf: number, score: number}>} Array of top topics with scores; topics match on stem
  */
-const extractTopics = (text, numTopics = 10) => {
+const extractTopics = (text, numTopics = 10, language = null) => {
   if (!text || typeof text !== 'string' || text.trim().length === 0) {
     return [];
   }
   
   try {
-    // Preprocess text and extract tokens
-    const processed = preprocessText(text);
-    const tokens = tokenizer.tokenize(processed);
-    const significantTokens = filterTokens(tokens);
+    // Preprocess text and extract stemmed tokens
+    const { language: detected, words } = analyzeText(text, language);
+    if (words.length === 0) return [];
     
-    // Create TF-IDF document
-    const tfidf = new TfIdf();
-    tfidf.addDocument(significantTokens.join(' '));
+    // Term frequency relative to the text's length, weighted by how rare the term is across podcasts
+    const toTopic = (term, stem, count) => {
+      const tf = count / words.length;
+      return { term, stem, tf, score: tf * getInverseDocumentFrequency(stem) };
+    };
     
-    // Extract top terms
-    const topics = [];
-    tfidf.listTerms(0).forEach(item => {
-      if (item.term.length > 2) { // Ensure terms are meaningful
-        topics.push({
-          term: item.term,
-          score: item.tfidf
-        });
-      }
-    });
+    // A word only counts where it appears outside the keyphrases, so "machine
+    // learning" doesn't also match as "machine" and "learning". Covered token
+    // positions are collected per stem, so overlapping phrases count each occurrence once
+    const phrases = extractKeyphrases(text, numTopics, detected);
+    const covered = new Map();
+    phrases.forEach(({ stem, starts }) => stem.split(' ').forEach((word, offset) => {
+      const positions = covered.get(word) || new Set();
+      starts.forEach(start => positions.add(start + offset));
+      covered.set(word, positions);
+    }));
+    
+    const topics = [
+      ...[...groupByStem(words)]
+        .map(([stem, { word, count }]) => [stem, word, count - (covered.get(stem)?.size || 0)])
+        .filter(([, , count]) => count > 0)
+        .map(([stem, word, count]) => toTopic(word, stem, count)),
+      ...phrases.map(({ phrase, stem, count }) => toTopic(phrase, stem, count))
+    ];
     
-    return topics.slice(0, numTopics); // Return top N topics
+    return topics
+      .sort((a, b) => b.score - a.score)
+      .slice(0, numTopics); // Return top N topics
   } catch (error) {
     console.error('Error extracting topics:', error);
     return [];
@@ -86,27 +274,21 @@ const extractTopics = (text, numTopics = 10) => {
  * Extract keywords from text with frequency-based scoring
  * @param {string} text Text to extract keywords from
  * @param {number} limit Maximum number of keywords to return
+ * @param {string} language Language the text is declared in; detected when missing
  * @returns {Array<string>} Array of keywords
  */
-const extractKeywords = (text, limit = 10) => {
+const extractKeywords = (text, limit = 10, language = null) => {
   if (!text) return [];
   
   try {
-    const processed = preprocessText(text);
-    const words = processed.split(' ');
-    const filteredWords = filterTokens(words);
-    
-    // Count word frequency
-    const wordFreq = {};
-    filteredWords.forEach(word => {
-      wordFreq[word] = (wordFreq[word] || 0) + 1;
-    });
+    // Count word frequency per stem, so "model" and "models" add up
+    const { words } = analyzeText(text, language);
     
     // Return top keywords by frequency
-    return Object.entries(wordFreq)
-      .sort((a, b) => b[1] - a[1])
+    return [...groupByStem(words).values()]
+      .sort((a, b) => b.count - a.count)
       .slice(0, limit)
-      .map(entry => entry[0]);
+      .map(entry => entry.word);
   } catch (error) {
     console.error('Error extracting keywords:', error);
     return [];
@@ -131,7 +313,7 @@ const extractMeaningfulKeywords = (favoritePodcasts, limit = 8) => {
       const description = podcast.description || podcast.description_original || '';
       const combinedText = `${title} ${description} ${description}`; // Weight description higher
       
-      return extractKeywords(combinedText, 5); // Get top 5 keywords per podcast
+      return extractKeywords(combinedText, 5, podcast.language); // Get top 5 keywords per podcast
     });
     
     // Count keyword frequency across all podcasts
@@ -163,9 +345,11 @@ const extractMeaningfulKeywords = (favoritePodcasts, limit = 8) => {
  * @param {Object} mostSimilarPodcast Most similar favorite podcast
  * @param {number} matchScore Similarity score
  * @param {number} topicSimilarity Topic similarity score
+ * @param {Object} genreTaxonomy Genre tree (see services/genres), used to mention related genres
+ * @param {Array<Object>} sharedEntities Entities both podcasts mention (see utils/entities), people first
  * @returns {string} Explanation for the recommendation
  */
-const generateMatchReason = (candidate, mostSimilarPodcast, matchScore, topicSimilarity) => {
+const generateMatchReason = (candidate, mostSimilarPodcast, matchScore, topicSimilarity, genreTaxonomy = null, sharedEntities = []) => {
   // Validate inputs to prevent "undefined" issues
   if (!mostSimilarPodcast || !mostSimilarPodcast.title) {
     return `Match score: ${Math.round(matchScore * 100)}%. This podcast matches your listening preferences.`;
@@ -176,19 +360,46 @@ const generateMatchReason = (candidate, mostSimilarPodcast, matchScore, topicSim
   const favoriteGenres = new Set(mostSimilarPodcast.genre_ids || []);
   const commonGenres = [...candidateGenres].filter(g => favoriteGenres.has(g));
   
-  const candidateKeywords = extractKeywords(candidate.description || '');
-  const favoriteKeywords = extractKeywords(mostSimilarPodcast.description || '');
+  // Sibling or parent genres, e.g. Software Development next to Artificial Intelligence
+  const relatedGenre = genreTaxonomy && commonGenres.length === 0
+    ? [...candidateGenres].find(g => [...favoriteGenres].some(f => genreTaxonomy.similarity(g, f) > 0))
+    : undefined;
+  
+  const candidateKeywords = extractKeywords(candidate.description || '', 10, candidate.language);
+  const favoriteKeywords = extractKeywords(mostSimilarPodcast.description || '', 10, mostSimilarPodcast.language);
   const commonKeywords = candidateKeywords.filter(k => favoriteKeywords.includes(k));
   
+  // Shared phrases first ("machine learning" says more than "machine"), then words they don't already cover
+  const favoritePhrases = new Set(extractKeyphrases(mostSimilarPodcast.description || '', 10, mostSimilarPodcast.language).map(p => p.stem));
+  const commonPhrases = extractKeyphrases(candidate.description || '', 10, candidate.language)
+    .filter(p => favoritePhrases.has(p.stem))
+    .map(p => p.phrase);
+  const commonTopics = [
+    ...commonPhrases,
+    ...commonKeywords.filter(k => !commonPhrases.some(phrase => phrase.split(' ').includes(k)))
+  ];
+  
   // Build explanation
   let reason = `Similar to "${mostSimilarPodcast.title}". `;
   
   if (commonGenres.length > 0) {
     reason += 'Shares the same genre. ';
+  } else if (relatedGenre !== undefined) {
+    const name = genreTaxonomy.nameOf(relatedGenre);
+    reason += name ? `In a related genre (${name}). ` : 'In a related genre. ';
+  }
+  
+  // Shared places alone say little; hosts, guests and organizations say a lot
+  const people = sharedEntities.filter(entity => entity.type === 'person').map(entity => entity.name);
+  const organizations = sharedEntities.filter(entity => entity.type === 'organization').map(entity => entity.name);
+  if (people.length > 0) {
+    reason += `Features the same people: ${people.slice(0, 3).join(', ')}. `;
+  } else if (organizations.length > 0) {
+    reason += `Also covers ${organizations.slice(0, 3).join(', ')}. `;
   }
   
-  if (commonKeywords.length > 0) {
-    reason += `Discusses similar topics like ${commonKeywords.slice(0, 3).join(', ')}. `;
+  if (commonTopics.length > 0) {
+    reason += `Discusses similar topics like ${commonTopics.slice(0, 3).join(', ')}. `;
   }
   
   // Comment on topic similarity
@@ -214,6 +425,11 @@ const generateMatchReason = (candidate, mostSimilarPodcast, matchScore, topicSim
 
 module.exports = {
   preprocessText,
+  analyzeText,
+  extractKeyphrases,
+  addToCorpus,
+  getInverseDocumentFrequency,
+  getCorpusStats,
   extractTopics,
   extractKeywords,
   extractMeaningfulKeywords,
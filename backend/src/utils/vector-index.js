@@ -0,0 +1,226 @@
+const { getDatabase } = require('./database');
+const { encodeVector, decodeVector } = require('./embedding-store');
+
+const DEFAULT_OPTIONS = {
+  tables: 8,              // Independent hash tables; more tables = better recall
+  bits: 10,               // Hyperplanes per table; more bits = smaller buckets
+  seed: 42,               // Hyperplanes are derived from the seed, so only items are persisted
+  exactSearchLimit: 2000, // Below this many items a full scan is cheap and exact
+  maxItems: 50000
+};
+
+// Small deterministic PRNG (mulberry32)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal samples via Box-Muller, so hyperplane normals are uniformly oriented
+const gaussian = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+const cosine = (a, b) => {
+  const normA = dot(a, a);
+  const normB = dot(b, b);
+  return normA === 0 || normB === 0 ? 0 : dot(a, b) / Math.sqrt(normA * normB);
+};
+
+const isZeroVector = (vector) => !vector.some(value => value !== 0);
+
+/**
+ * Create a persistent approximate-nearest-neighbour index over podcast
+ * embeddings, using random-hyperplane LSH with multi-probe lookups.
+ * Each item keeps a podcast summary so neighbours can be used as candidates
+ * without another catalog request. Items are rows of the application
+ * database, written one at a time, and loaded into memory on startup
+ * @param {Object} options Index options (see DEFAULT_OPTIONS)
+ * @param {Object} options.database better-sqlite3 database (defaults to the application database)
+ * @param {string} options.modelId Embedding model; items from other models are dropped
+ * @returns {Object} Vector index
+ */
+const createVectorIndex = ({ database = getDatabase(), modelId, ...options } = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+
+  // Vectors from another model live in a different space
+  const { changes } = database.prepare('DELETE FROM vector_index_items WHERE model_id != ?').run(modelId);
+  if (changes > 0) {
+    console.log(`Embedding model changed to ${modelId}, removed ${changes} podcasts from the vector index`);
+  }
+
+  const statements = {
+    upsert: database.prepare(`
+      INSERT INTO vector_index_items (podcast_id, model_id, vector, podcast, updated_at) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (podcast_id) DO UPDATE SET
+        model_id = excluded.model_id, vector = excluded.vector, podcast = excluded.podcast, updated_at = excluded.updated_at
+    `),
+    remove: database.prepare('DELETE FROM vector_index_items WHERE podcast_id = ?')
+  };
+
+  const items = new Map();   // id -> { vector, podcast, updatedAt }, least recently updated first
+  let dimensions = null;
+  let hyperplanes = null;    // tables x bits normals
+  let buckets = null;        // per table: signature -> Set of ids
+
+  const signature = (vector, table) => {
+    let hash = 0;
+    hyperplanes[table].forEach((plane, bit) => {
+      if (dot(plane, vector) >= 0) hash |= (1 << bit);
+    });
+    return hash;
+  };
+
+  const initTables = (size) => {
+    dimensions = size;
+    const random = createRandom(config.seed);
+    hyperplanes = Array.from({ length: config.tables }, () =>
+      Array.from({ length: config.bits }, () => Float32Array.from({ length: size }, () => gaussian(random)))
+    );
+    buckets = Array.from({ length: config.tables }, () => new Map());
+  };
+
+  const addToBuckets = (id, vector) => {
+    buckets.forEach((table, t) => {
+      const hash = signature(vector, t);
+      if (!table.has(hash)) table.set(hash, new Set());
+      table.get(hash).add(id);
+    });
+  };
+
+  const removeFromBuckets = (id, vector) => {
+    buckets.forEach((table, t) => {
+      const bucket = table.get(signature(vector, t));
+      if (bucket) bucket.delete(id);
+    });
+  };
+
+  // Rebuild the in-memory tables from persisted items, oldest first
+  const rows = database
+    .prepare('SELECT podcast_id, vector, podcast, updated_at FROM vector_index_items ORDER BY updated_at')
+    .all();
+  rows.forEach(row => {
+    const vector = Float32Array.from(decodeVector(row.vector));
+    if (!hyperplanes) initTables(vector.length);
+    if (vector.length !== dimensions) return;
+
+    items.set(row.podcast_id, { vector, podcast: JSON.parse(row.podcast), updatedAt: row.updated_at });
+    addToBuckets(row.podcast_id, vector);
+  });
+
+  // Items are re-inserted when refreshed, so the first one in the map is the oldest
+  const evictOldest = () => {
+    while (items.size > config.maxItems) {
+      const id = items.keys().next().value;
+      removeFromBuckets(id, items.get(id).vector);
+      items.delete(id);
+      statements.remove.run(id);
+    }
+  };
+
+  // Ids in the query's buckets and in every bucket one bit away
+  const candidateIds = (vector) => {
+    const ids = new Set();
+    buckets.forEach((table, t) => {
+      const hash = signature(vector, t);
+      for (let bit = -1; bit < config.bits; bit++) {
+        const bucket = table.get(bit < 0 ? hash : hash ^ (1 << bit));
+        if (bucket) bucket.forEach(id => ids.add(id));
+      }
+    });
+    return ids;
+  };
+
+  return {
+    /**
+     * Add or refresh a podcast in the index
+     * @param {Object} podcast Podcast (episodes are dropped)
+     * @param {Array<number>} embedding Podcast embedding
+     * @returns {boolean} Whether the podcast was indexed
+     */
+    upsert: (podcast, embedding) => {
+      if (!podcast?.id || !Array.isArray(embedding) || embedding.length === 0 || isZeroVector(embedding)) {
+        return false;
+      }
+
+      if (!hyperplanes) {
+        initTables(embedding.length);
+      } else if (embedding.length !== dimensions) {
+        return false;
+      }
+
+      const vector = Float32Array.from(embedding);
+      const existing = items.get(podcast.id);
+      if (existing) {
+        removeFromBuckets(podcast.id, existing.vector);
+        items.delete(podcast.id);
+      }
+
+      const { episodes, ...summary } = podcast;
+      const updatedAt = Date.now();
+      items.set(podcast.id, { vector, podcast: summary, updatedAt });
+      statements.upsert.run(podcast.id, modelId, encodeVector(embedding), JSON.stringify(summary), updatedAt);
+      addToBuckets(podcast.id, vector);
+
+      evictOldest();
+      return true;
+    },
+
+    /**
+     * Find the podcasts closest to an embedding
+     * @param {Array<number>} embedding Query embedding
+     * @param {Object} options Query options
+     * @param {number} options.limit Maximum number of neighbours
+     * @param {number} options.minScore Minimum cosine similarity
+     * @param {Set<string>} options.excludeIds Podcast IDs to skip
+     * @returns {Array<{podcast: Object, score: number}>} Neighbours, most similar first
+     */
+    query: (embedding, { limit = 10, minScore = 0, excludeIds = new Set() } = {}) => {
+      if (!hyperplanes || !Array.isArray(embedding) || embedding.length !== dimensions || isZeroVector(embedding)) {
+        return [];
+      }
+
+      const ids = items.size <= config.exactSearchLimit ? items.keys() : candidateIds(embedding);
+
+      const neighbours = [];
+      for (const id of ids) {
+        if (excludeIds.has(id)) continue;
+
+        const item = items.get(id);
+        const score = cosine(embedding, item.vector);
+        if (score >= minScore) {
+          neighbours.push({ podcast: item.podcast, score });
+        }
+      }
+
+      return neighbours.sort((a, b) => b.score - a.score).slice(0, limit);
+    },
+
+    stats: () => ({
+      modelId,
+      dimensions,
+      items: items.size,
+      maxItems: config.maxItems,
+      tables: config.tables,
+      bits: config.bits,
+      exact: items.size <= config.exactSearchLimit
+    })
+  };
+};
+
+module.exports = {
+  createVectorIndex
+};
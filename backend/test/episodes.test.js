@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseEpisodeQuery, listEpisodes } = require('../src/services/episodes');
+const { paginateEpisodes } = require('../src/services/catalog/paging');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 25 episodes, several published at the same moment, so pages end inside same-date groups
+const allEpisodes = Array.from({ length: 25 }, (_, i) => ({
+  id: `ep${String(i).padStart(2, '0')}`,
+  title: `Episode ${i}`,
+  pub_date_ms: Date.UTC(2025, 0, 1) + Math.floor(i / 4) * DAY_MS
+}));
+
+const catalog = {
+  getPodcast: async (id, params) => ({ id, title: 'Test Podcast', ...paginateEpisodes(allEpisodes, params) })
+};
+
+const listAll = async (sort, limit) => {
+  const ids = [];
+  let cursor;
+  for (let page = 0; page < 50; page++) {
+    const result = await listEpisodes(catalog, 'podcast', parseEpisodeQuery({ sort, limit, cursor }));
+    ids.push(...result.episodes.map(episode => episode.id));
+    assert.equal(result.pagination.has_more, result.pagination.next_cursor !== null);
+    if (!result.pagination.has_more) return ids;
+    cursor = result.pagination.next_cursor;
+  }
+  throw new Error('Listing did not finish');
+};
+
+test('parseEpisodeQuery defaults', () => {
+  assert.deepEqual(parseEpisodeQuery(), { cursor: null, sort: 'recent_first', limit: 10 });
+  assert.deepEqual(parseEpisodeQuery({ sort: 'oldest_first', limit: '5', cursor: '' }), { cursor: null, sort: 'oldest_first', limit: 5 });
+});
+
+test('parseEpisodeQuery rejects invalid options with 400', () => {
+  [
+    { sort: 'random' },
+    { limit: '0' },
+    { limit: '51' },
+    { limit: '2.5' },
+    { limit: 'ten' },
+    { cursor: 'garbage' },
+    { cursor: Buffer.from('[0, []]').toString('base64url') }
+  ].forEach(query => {
+    assert.throws(() => parseEpisodeQuery(query), { statusCode: 400 }, JSON.stringify(query));
+  });
+});
+
+test('listEpisodes returns every episode exactly once, in order', async () => {
+  const byDate = (sort) => [...allEpisodes]
+    .sort((a, b) => sort === 'recent_first' ? b.pub_date_ms - a.pub_date_ms : a.pub_date_ms - b.pub_date_ms);
+
+  for (const sort of ['recent_first', 'oldest_first']) {
+    const dates = new Map(allEpisodes.map(episode => [episode.id, episode.pub_date_ms]));
+    for (const limit of [1, 3, 7, 10, 50]) {
+      const ids = await listAll(sort, limit);
+      assert.equal(ids.length, allEpisodes.length, `${sort}, limit ${limit}`);
+      assert.equal(new Set(ids).size, allEpisodes.length, `${sort}, limit ${limit}`);
+      assert.deepEqual(ids.map(id => dates.get(id)), byDate(sort).map(episode => episode.pub_date_ms), `${sort}, limit ${limit}`);
+    }
+  }
+});
+
+test('listEpisodes normalizes the podcast and its episodes', async () => {
+  const result = await listEpisodes(catalog, 'podcast', parseEpisodeQuery({ limit: 2 }));
+  assert.equal(result.podcast.title, 'Test Podcast');
+  assert.equal(result.episodes.length, 2);
+  assert.equal(result.episodes[0].podcast_id, 'podcast');
+  assert.equal(result.episodes[0].pub_date, new Date(result.episodes[0].pub_date_ms).toISOString());
+  assert.deepEqual(result.pagination.cursor, null);
+  assert.equal(result.pagination.has_more, true);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createGenreSnapshot } = require('../src/services/genres');
+
+// Podcasts > Technology > Programming, with Science as Technology's sibling
+const snapshot = createGenreSnapshot([
+  { id: 67, name: 'Podcasts', parent_id: null },
+  { id: 127, name: 'Technology', parent_id: 67 },
+  { id: 143, name: 'Programming', parent_id: 127 },
+  { id: 144, name: 'Hardware', parent_id: 127 },
+  { id: 107, name: 'Science', parent_id: 67 }
+]);
+
+test('similarity follows the genre tree', () => {
+  assert.equal(snapshot.similarity(143, 143), 1);
+  assert.equal(snapshot.similarity(127, 143), 2 / 3);
+  assert.equal(snapshot.similarity(143, 144), 1 / 2);
+  assert.equal(snapshot.similarity(127, 107), 0);
+});
+
+test('the root and unknown genres match nothing', () => {
+  assert.equal(snapshot.similarity(67, 67), 0);
+  assert.equal(snapshot.similarity(999, 999), 0);
+  assert.equal(snapshot.similarity(143, 999), 0);
+});
+
+test('setSimilarity averages best matches in both directions', () => {
+  assert.equal(snapshot.setSimilarity([143], [143]), 1);
+  assert.equal(snapshot.setSimilarity([143, 107], [143]), 0.75);
+  assert.equal(snapshot.setSimilarity([67], [143]), 0);
+  assert.equal(snapshot.setSimilarity([], [143]), 0);
+});
+
+test('ancestorsOf and nameOf walk the tree', () => {
+  assert.deepEqual(snapshot.ancestorsOf(143), [143, 127, 67]);
+  assert.equal(snapshot.nameOf('127'), 'Technology');
+  assert.equal(snapshot.nameOf(999), null);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { factorize, inferWeights } = require('../src/utils/nmf');
+
+const COLUMNS = 6;
+
+// An exact rank-2 matrix: documents 0-2 use terms 0-2, documents 3-5 use terms 3-5,
+// each document a multiple of its topic's term profile
+const rows = [
+  [[0, 0.8], [1, 0.4], [2, 0.2]],
+  [[0, 0.4], [1, 0.2], [2, 0.1]],
+  [[0, 1.2], [1, 0.6], [2, 0.3]],
+  [[3, 0.2], [4, 0.6], [5, 0.6]],
+  [[3, 0.3], [4, 0.9], [5, 0.9]],
+  [[3, 0.1], [4, 0.3], [5, 0.3]]
+];
+
+const dominant = (weights) => weights.indexOf(Math.max(...weights));
+
+const reconstructionError = ({ weights, components }) => rows.reduce((total, row, d) => {
+  const dense = new Float64Array(COLUMNS);
+  row.forEach(([column, value]) => { dense[column] = value; });
+  return total + dense.reduce((sum, value, column) => {
+    const estimate = components.reduce((acc, component, t) => acc + weights[d][t] * component[column], 0);
+    return sum + (value - estimate) ** 2;
+  }, 0);
+}, 0);
+
+test('factorize converges on a block matrix', () => {
+  const result = factorize(rows, COLUMNS, { components: 2, iterations: 300 });
+  const error = reconstructionError(result);
+
+  assert.equal(result.weights.length, rows.length);
+  assert.equal(result.components.length, 2);
+  assert.ok(error < 1e-3, `error ${error}`);
+  assert.ok(error < reconstructionError(factorize(rows, COLUMNS, { components: 2, iterations: 5 })));
+
+  [...result.weights, ...result.components].forEach(values => {
+    values.forEach(value => assert.ok(value >= 0));
+  });
+});
+
+test('factorize separates the blocks into components', () => {
+  const { weights, components } = factorize(rows, COLUMNS, { components: 2, iterations: 300 });
+  const first = dominant(Array.from(weights[0]));
+
+  weights.forEach((row, d) => {
+    const expected = d < 3 ? first : 1 - first;
+    assert.equal(dominant(Array.from(row)), expected, `document ${d}`);
+  });
+  assert.ok(components[first].slice(0, 3).every(value => value > components[first][3]));
+});
+
+test('factorize caps components at the number of rows', () => {
+  const { components } = factorize(rows.slice(0, 2), COLUMNS, { components: 5, iterations: 10 });
+  assert.equal(components.length, 2);
+});
+
+test('inferWeights places an unseen row on its topic', () => {
+  const { weights, components } = factorize(rows, COLUMNS, { components: 2, iterations: 300 });
+  const first = dominant(Array.from(weights[0]));
+
+  assert.equal(dominant(Array.from(inferWeights([[0, 0.7], [2, 0.7]], components))), first);
+  assert.equal(dominant(Array.from(inferWeights([[4, 0.7], [5, 0.7]], components))), 1 - first);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFilters, matchesFilters, hasActiveFilters } = require('../src/services/recommendation-filters');
+
+const podcast = {
+  language: 'English',
+  explicit_content: false,
+  audio_length_sec: 45 * 60,
+  latest_pub_date_ms: Date.parse('2025-06-01'),
+  genre_ids: [127, 143],
+  publisher: 'Acme Media'
+};
+
+test('parseFilters defaults every field', () => {
+  const filters = parseFilters();
+  assert.deepEqual(filters, {
+    language: null,
+    exclude_explicit: false,
+    min_episode_minutes: null,
+    max_episode_minutes: null,
+    active_since: null,
+    exclude_genre_ids: [],
+    exclude_publishers: []
+  });
+  assert.equal(hasActiveFilters(filters), false);
+});
+
+test('parseFilters normalizes values', () => {
+  const filters = parseFilters({
+    language: ' English ',
+    min_episode_minutes: '10',
+    active_since: '2025-01-31',
+    exclude_genre_ids: ['143'],
+    exclude_publishers: [' Acme Media ']
+  });
+  assert.equal(filters.language, 'English');
+  assert.equal(filters.min_episode_minutes, 10);
+  assert.equal(filters.active_since, Date.parse('2025-01-31'));
+  assert.deepEqual(filters.exclude_genre_ids, [143]);
+  assert.deepEqual(filters.exclude_publishers, ['Acme Media']);
+  assert.equal(hasActiveFilters(filters), true);
+});
+
+test('parseFilters rejects invalid filters with 400', () => {
+  const invalid = [
+    { genre: 'tech' },
+    { language: 1 },
+    { exclude_explicit: 'yes' },
+    { min_episode_minutes: 60, max_episode_minutes: 30 },
+    { min_episode_minutes: -1 },
+    { active_since: 'not a date' },
+    { exclude_genre_ids: 'tech' },
+    { exclude_publishers: [''] }
+  ];
+  invalid.forEach(filters => {
+    assert.throws(() => parseFilters(filters), { statusCode: 400 }, JSON.stringify(filters));
+  });
+  assert.throws(() => parseFilters([]), { statusCode: 400 });
+});
+
+test('matchesFilters compares language names with RSS codes', () => {
+  assert.equal(matchesFilters(podcast, parseFilters({ language: 'English' })), true);
+  assert.equal(matchesFilters({ ...podcast, language: 'en-us' }, parseFilters({ language: 'English' })), true);
+  assert.equal(matchesFilters({ ...podcast, language: 'es' }, parseFilters({ language: 'English' })), false);
+});
+
+test('matchesFilters applies each exclusion', () => {
+  assert.equal(matchesFilters(podcast, null), true);
+  assert.equal(matchesFilters({ ...podcast, explicit_content: true }, parseFilters({ exclude_explicit: true })), false);
+  assert.equal(matchesFilters(podcast, parseFilters({ min_episode_minutes: 60 })), false);
+  assert.equal(matchesFilters(podcast, parseFilters({ max_episode_minutes: 30 })), false);
+  assert.equal(matchesFilters(podcast, parseFilters({ min_episode_minutes: 30, max_episode_minutes: 60 })), true);
+  assert.equal(matchesFilters(podcast, parseFilters({ active_since: '2025-07-01' })), false);
+  assert.equal(matchesFilters(podcast, parseFilters({ exclude_genre_ids: [143] })), false);
+  assert.equal(matchesFilters(podcast, parseFilters({ exclude_publishers: ['acme media'] })), false);
+});
+
+test('matchesFilters keeps podcasts missing a filtered field', () => {
+  const filters = parseFilters({ language: 'English', min_episode_minutes: 60, active_since: '2025-07-01' });
+  assert.equal(matchesFilters({ genre_ids: [] }, filters), true);
+});
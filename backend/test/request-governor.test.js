@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRequestGovernor, parseRetryAfter } = require('../src/utils/request-governor');
+
+// Stand-in for an axios instance: records the interceptors and answers retries with `responses`
+const createClient = (responses = []) => {
+  const client = {
+    interceptors: {
+      request: { use: (onRequest) => { client.onRequest = onRequest; } },
+      response: { use: (onResponse, onError) => { client.onResponse = onResponse; client.onError = onError; } }
+    },
+    retried: [],
+    request: async (config) => {
+      client.retried.push(config);
+      return responses.shift();
+    }
+  };
+  return client;
+};
+
+const quotaHeaders = (quota, usage) => ({
+  'x-listenapi-freequota': String(quota),
+  'x-listenapi-usage': String(usage),
+  'x-listenapi-nextbillingdate': new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+  'x-listenapi-latency-seconds': '0.25'
+});
+
+const rateLimitedError = (retryAfter) => Object.assign(new Error('Request failed with status code 429'), {
+  config: { url: '/search' },
+  response: { status: 429, headers: retryAfter === undefined ? {} : { 'retry-after': retryAfter } }
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('120'), 120);
+  assert.equal(parseRetryAfter('1.2'), 2);
+  assert.equal(parseRetryAfter(undefined), null);
+  assert.equal(parseRetryAfter('soon'), null);
+
+  const seconds = parseRetryAfter(new Date(Date.now() + 90 * 1000).toUTCString());
+  assert.ok(seconds >= 88 && seconds <= 90, `got ${seconds}`);
+  assert.equal(parseRetryAfter(new Date(Date.now() - 90 * 1000).toUTCString()), 0);
+});
+
+test('status reflects the quota headers', async () => {
+  const governor = createRequestGovernor();
+  const client = createClient();
+  governor.attach(client);
+
+  assert.equal(governor.status().quota, null);
+  assert.equal(governor.status().remaining, null);
+
+  await client.onRequest({ url: '/search' });
+  const response = { headers: quotaHeaders(10000, 1200) };
+  assert.equal(client.onResponse(response), response);
+
+  const status = governor.status();
+  assert.equal(status.quota, 10000);
+  assert.equal(status.usage, 1200);
+  assert.equal(status.remaining, 8800);
+  assert.equal(status.lastLatencySec, 0.25);
+  assert.equal(status.throttled, false);
+  assert.equal(status.exhausted, false);
+  assert.equal(status.counters.requests, 1);
+});
+
+test('usage past the free quota throttles instead of refusing', async () => {
+  const governor = createRequestGovernor({ throttleThreshold: 50, throttleIntervalMs: 5 });
+  const client = createClient();
+  governor.attach(client);
+
+  client.onResponse({ headers: quotaHeaders(10000, 10400) });
+  assert.equal(governor.status().remaining, 0);
+  assert.equal(governor.status().throttled, true);
+
+  await client.onRequest({ url: '/search' });
+  await client.onRequest({ url: '/search' });
+  assert.equal(governor.status().exhausted, false);
+  assert.equal(governor.status().counters.requests, 2);
+  assert.equal(governor.status().counters.rejected, 0);
+});
+
+test('a 429 with a long Retry-After refuses requests until it passes', async () => {
+  const governor = createRequestGovernor();
+  const client = createClient();
+  governor.attach(client);
+
+  await assert.rejects(client.onError(rateLimitedError('3600')), (error) => {
+    assert.equal(error.statusCode, 503);
+    assert.ok(error.retryAfter > 3590 && error.retryAfter <= 3600);
+    return true;
+  });
+
+  assert.equal(governor.status().exhausted, true);
+  assert.ok(governor.status().retryAfter > 0);
+  await assert.rejects(client.onRequest({ url: '/search' }), { statusCode: 503 });
+  assert.equal(governor.status().counters.rateLimited, 1);
+  assert.equal(governor.status().counters.rejected, 2);
+});
+
+test('a 429 with a short Retry-After is retried in place', async () => {
+  const governor = createRequestGovernor();
+  const retried = { status: 200, headers: {} };
+  const client = createClient([retried]);
+  governor.attach(client);
+
+  assert.equal(await client.onError(rateLimitedError('0')), retried);
+  assert.equal(client.retried.length, 1);
+  assert.equal(client.retried[0].governorAttempt, 1);
+  assert.equal(governor.status().exhausted, false);
+  assert.equal(governor.status().counters.retries, 1);
+});
+
+test('other client errors are passed through', async () => {
+  const governor = createRequestGovernor();
+  const client = createClient();
+  governor.attach(client);
+
+  const notFound = Object.assign(new Error('Not found'), { config: {}, response: { status: 404, headers: {} } });
+  await assert.rejects(client.onError(notFound), notFound);
+  assert.equal(client.retried.length, 0);
+});
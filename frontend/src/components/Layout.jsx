@@ -1,7 +1,10 @@
 import React from 'react';
 import { Outlet, NavLink } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
 
 const Layout = () => {
+  const { user, logout } = useAuth();
+
   return (
     <div className="min-h-screen bg-gray-100">
       <header className="bg-blue-600 text-white shadow-md">
@@ -42,6 +45,31 @@ const Layout = () => {
               >
                 Recommendations
               </NavLink>
+              <NavLink 
+                to="/topics" 
+                className={({ isActive }) => 
+                  isActive ? "font-bold border-b-2 border-white" : "hover:text-blue-200"
+                }
+              >
+                Topics
+              </NavLink>
+              {user ? (
+                <span className="flex items-center space-x-2 border-l border-blue-400 pl-4">
+                  <span className="text-blue-100">{user.username}</span>
+                  <button onClick={logout} className="hover:text-blue-200">
+                    Log out
+                  </button>
+                </span>
+              ) : (
+                <NavLink 
+                  to="/login" 
+                  className={({ isActive }) => 
+                    isActive ? "font-bold border-b-2 border-white" : "hover:text-blue-200"
+                  }
+                >
+                  Log in
+                </NavLink>
+              )}
             </nav>
           </div>
         </div>
@@ -0,0 +1,150 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+
+const SIGNAL_LABELS = {
+  semantic: 'Content similarity',
+  topic: 'Shared topics',
+  genre: 'Genre closeness',
+  popularity: 'Popularity',
+  recency: 'Recently active',
+  entity: 'Same people & orgs',
+  theme: 'Shared themes'
+};
+
+const ENTITY_TYPES = {
+  person: 'Person',
+  organization: 'Organization',
+  place: 'Place'
+};
+
+const percent = (value) => `${Math.round(Math.max(0, Math.min(1, value || 0)) * 100)}%`;
+
+const ScoreBar = ({ label, score, title }) => (
+  <div className="flex items-center gap-2 text-xs text-yellow-900" title={title}>
+    <span className="w-32 shrink-0">{label}</span>
+    <div className="flex-1 bg-yellow-100 rounded-full h-2">
+      <div className="bg-yellow-500 h-2 rounded-full" style={{ width: percent(score) }}></div>
+    </div>
+    <span className="w-10 text-right">{percent(score)}</span>
+  </div>
+);
+
+/**
+ * Structured "why we recommend this": matched favorites, shared and related
+ * genres, topics, named people/organizations/places and catalog themes as
+ * chips, and a bar per ranking signal that counted
+ */
+const RecommendationExplanation = ({ explanation }) => {
+  if (!explanation) return null;
+
+  const {
+    matched_favorites: matches,
+    shared_genres: genres,
+    related_genres: relatedGenres = [],
+    shared_topics: topics,
+    shared_entities: entities = [],
+    shared_themes: themes = [],
+    components
+  } = explanation;
+  const signals = Object.entries(components || {}).filter(([, component]) => component.weight !== 0);
+
+  return (
+    <div className="mt-3 space-y-2">
+      {matches.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="text-xs font-medium text-yellow-900 mr-1">Like:</span>
+          {matches.map(match => (
+            <span
+              key={match.id}
+              className="bg-white border border-yellow-300 text-yellow-900 text-xs px-2 py-0.5 rounded-full"
+              title={`Match ${percent(match.score)} (content ${percent(match.semantic)}, topics ${percent(match.topic)})`}
+            >
+              {match.title || match.id}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {(genres.length > 0 || relatedGenres.length > 0) && (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="text-xs font-medium text-yellow-900 mr-1">Genres:</span>
+          {genres.map(genre => (
+            <span key={genre.id} className="bg-blue-100 text-blue-800 text-xs px-2 py-0.5 rounded-full">
+              {genre.name || `Genre ${genre.id}`}
+            </span>
+          ))}
+          {relatedGenres.map(genre => (
+            <span
+              key={genre.id}
+              className="bg-blue-50 border border-blue-200 text-blue-700 text-xs px-2 py-0.5 rounded-full"
+              title={`Related to ${genre.related_to.name || `genre ${genre.related_to.id}`} (${percent(genre.similarity)})`}
+            >
+              {genre.name || `Genre ${genre.id}`}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {topics.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="text-xs font-medium text-yellow-900 mr-1">Topics:</span>
+          {topics.map(topic => (
+            <span
+              key={topic.term}
+              className="bg-green-100 text-green-800 text-xs px-2 py-0.5 rounded-full"
+              title={`${percent(topic.contribution)} of the topic match`}
+            >
+              {topic.term}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {entities.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="text-xs font-medium text-yellow-900 mr-1">Also mentions:</span>
+          {entities.map(entity => (
+            <span
+              key={entity.name}
+              className="bg-purple-100 text-purple-800 text-xs px-2 py-0.5 rounded-full"
+              title={ENTITY_TYPES[entity.type] || entity.type}
+            >
+              {entity.name}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {themes.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1">
+          <span className="text-xs font-medium text-yellow-900 mr-1">Themes:</span>
+          {themes.map(theme => (
+            <Link
+              key={theme.id}
+              to={`/topics?topic=${theme.id}`}
+              className="bg-teal-100 text-teal-800 text-xs px-2 py-0.5 rounded-full hover:bg-teal-200"
+              title={`${percent(theme.share)} of both podcasts`}
+            >
+              {theme.label}
+            </Link>
+          ))}
+        </div>
+      )}
+
+      {signals.length > 0 && (
+        <div className="space-y-1 pt-1">
+          {signals.map(([signal, component]) => (
+            <ScoreBar
+              key={signal}
+              label={SIGNAL_LABELS[signal] || signal}
+              score={component.score}
+              title={`Weight ${component.weight.toFixed(2)}, adds ${component.contribution.toFixed(2)} to the score`}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecommendationExplanation;
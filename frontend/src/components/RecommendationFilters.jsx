@@ -0,0 +1,123 @@
+import React, { useMemo } from 'react';
+import useGenres from '../hooks/useGenres';
+
+export const EMPTY_FILTERS = {
+  language: '',
+  exclude_explicit: false,
+  min_episode_minutes: '',
+  max_episode_minutes: '',
+  active_since: '',
+  exclude_genre_ids: [],
+  exclude_publishers: ''
+};
+
+/**
+ * Turn the form state into the `filters` object for the recommendations API, leaving out unset fields
+ */
+export const toRequestFilters = (form) => {
+  const filters = {};
+  if (form.language.trim()) filters.language = form.language.trim();
+  if (form.exclude_explicit) filters.exclude_explicit = true;
+  if (form.min_episode_minutes !== '') filters.min_episode_minutes = Number(form.min_episode_minutes);
+  if (form.max_episode_minutes !== '') filters.max_episode_minutes = Number(form.max_episode_minutes);
+  if (form.active_since) filters.active_since = form.active_since;
+  if (form.exclude_genre_ids.length > 0) filters.exclude_genre_ids = form.exclude_genre_ids;
+
+  const publishers = form.exclude_publishers.split(',').map(p => p.trim()).filter(Boolean);
+  if (publishers.length > 0) filters.exclude_publishers = publishers;
+  return filters;
+};
+
+const inputClass = 'w-full px-2 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+/**
+ * Hard filters for recommendations: language, explicitness, episode length,
+ * latest episode date and excluded genres/publishers
+ */
+const RecommendationFilters = ({ value, onChange, disabled }) => {
+  const { genres: catalogGenres } = useGenres();
+  const genres = useMemo(() => [...catalogGenres].sort((a, b) => a.name.localeCompare(b.name)), [catalogGenres]);
+
+  const update = (field, fieldValue) => onChange({ ...value, [field]: fieldValue });
+
+  return (
+    <fieldset disabled={disabled} className="mt-3 p-3 bg-gray-50 rounded-lg grid gap-3 sm:grid-cols-2 text-sm text-gray-700">
+      <label>
+        Language
+        <input
+          type="text"
+          value={value.language}
+          onChange={(e) => update('language', e.target.value)}
+          placeholder="Any (e.g. English)"
+          className={inputClass}
+        />
+      </label>
+      <label>
+        Active since
+        <input
+          type="date"
+          value={value.active_since}
+          onChange={(e) => update('active_since', e.target.value)}
+          className={inputClass}
+        />
+      </label>
+      <div>
+        Episode length (minutes)
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            value={value.min_episode_minutes}
+            onChange={(e) => update('min_episode_minutes', e.target.value)}
+            placeholder="Min"
+            className={inputClass}
+            aria-label="Minimum episode length in minutes"
+          />
+          <span>to</span>
+          <input
+            type="number"
+            min="0"
+            value={value.max_episode_minutes}
+            onChange={(e) => update('max_episode_minutes', e.target.value)}
+            placeholder="Max"
+            className={inputClass}
+            aria-label="Maximum episode length in minutes"
+          />
+        </div>
+      </div>
+      <label>
+        Exclude publishers
+        <input
+          type="text"
+          value={value.exclude_publishers}
+          onChange={(e) => update('exclude_publishers', e.target.value)}
+          placeholder="Comma-separated"
+          className={inputClass}
+        />
+      </label>
+      <label>
+        Exclude genres
+        <select
+          multiple
+          value={value.exclude_genre_ids.map(String)}
+          onChange={(e) => update('exclude_genre_ids', [...e.target.selectedOptions].map(option => Number(option.value)))}
+          className={`${inputClass} h-24`}
+        >
+          {genres.map(genre => (
+            <option key={genre.id} value={genre.id}>{genre.name}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex items-center gap-2 self-start sm:mt-5">
+        <input
+          type="checkbox"
+          checked={value.exclude_explicit}
+          onChange={(e) => update('exclude_explicit', e.target.checked)}
+        />
+        Hide explicit podcasts
+      </label>
+    </fieldset>
+  );
+};
+
+export default RecommendationFilters;
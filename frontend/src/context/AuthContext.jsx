@@ -0,0 +1,84 @@
+import React, { createContext, useContext, useEffect, useState } from 'react';
+import { authApi, favoritesApi, dislikesApi, getAuthToken, setAuthToken } from '../services/api';
+import {
+  readLocalFavorites,
+  clearLocalFavorites,
+  readLocalDislikes,
+  clearLocalDislikes
+} from '../utils/localFavorites';
+
+const AuthContext = createContext(null);
+
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+  const [loading, setLoading] = useState(() => Boolean(getAuthToken()));
+
+  useEffect(() => {
+    // Restore the session from a stored token
+    if (!getAuthToken()) return;
+    
+    authApi.me()
+      .then(setUser)
+      .catch(() => setAuthToken(null))
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Move favorites saved in this browser before logging in into the account
+  const importLocalFavorites = async () => {
+    const localFavorites = readLocalFavorites();
+    if (localFavorites.length === 0) return 0;
+    
+    try {
+      const { added } = await favoritesApi.import(localFavorites);
+      clearLocalFavorites();
+      return added;
+    } catch (err) {
+      console.error('Error importing local favorites:', err);
+      return 0;
+    }
+  };
+
+  // Same for podcasts marked "not interested"
+  const importLocalDislikes = async () => {
+    const localDislikes = readLocalDislikes();
+    if (localDislikes.length === 0) return;
+    
+    try {
+      await dislikesApi.import(localDislikes);
+      clearLocalDislikes();
+    } catch (err) {
+      console.error('Error importing local dislikes:', err);
+    }
+  };
+
+  const startSession = async (request) => {
+    const session = await request();
+    setAuthToken(session.token);
+    setUser(session.user);
+    const imported = await importLocalFavorites();
+    await importLocalDislikes();
+    return { user: session.user, imported };
+  };
+
+  const login = (username, password) => startSession(() => authApi.login(username, password));
+
+  const register = (username, password) => startSession(() => authApi.register(username, password));
+
+  const logout = async () => {
+    try {
+      await authApi.logout();
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+    setAuthToken(null);
+    setUser(null);
+  };
+
+  return (
+    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+      {children}
+    </AuthContext.Provider>
+  );
+};
+
+export const useAuth = () => useContext(AuthContext);
@@ -0,0 +1,79 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { collectionsApi } from '../services/api';
+
+/**
+ * Named favorite collections of the logged-in user (empty for guests)
+ */
+const useCollections = () => {
+  const { user } = useAuth();
+  const [collections, setCollections] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user) {
+      setCollections([]);
+      return;
+    }
+    
+    let cancelled = false;
+    collectionsApi.list()
+      .then(list => !cancelled && setCollections(list))
+      .catch(err => console.error('Error loading collections:', err));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [user]);
+
+  const run = async (request) => {
+    setError(null);
+    try {
+      return await request();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update your collections.');
+      throw err;
+    }
+  };
+
+  // Swap in the updated version of one collection
+  const replace = (collection) => {
+    setCollections(list => list.map(c => (c.id === collection.id ? collection : c)));
+    return collection;
+  };
+
+  const createCollection = (name) => run(async () => {
+    const collection = await collectionsApi.create(name);
+    setCollections(list => [...list, collection]);
+    return collection;
+  });
+
+  const renameCollection = (id, name) => run(async () => replace(await collectionsApi.rename(id, name)));
+
+  const deleteCollection = (id) => run(async () => {
+    await collectionsApi.remove(id);
+    setCollections(list => list.filter(c => c.id !== id));
+  });
+
+  const addToCollection = (id, podcastId) => run(async () => replace(await collectionsApi.addPodcast(id, podcastId)));
+
+  const removeFromCollection = (id, podcastId) => run(async () => replace(await collectionsApi.removePodcast(id, podcastId)));
+
+  // Removing a favorite also removes it from every collection
+  const forgetPodcast = (podcastId) => {
+    setCollections(list => list.map(c => ({ ...c, podcast_ids: c.podcast_ids.filter(id => id !== podcastId) })));
+  };
+
+  return {
+    collections,
+    error,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    addToCollection,
+    removeFromCollection,
+    forgetPodcast
+  };
+};
+
+export default useCollections;
@@ -0,0 +1,68 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { dislikesApi } from '../services/api';
+import { readLocalDislikes, writeLocalDislikes } from '../utils/localFavorites';
+
+/**
+ * Podcasts the current visitor marked "not interested": stored on the server
+ * when logged in, in localStorage otherwise
+ */
+const useDislikes = () => {
+  const { user, loading: authLoading } = useAuth();
+  const [dislikes, setDislikes] = useState(() => (user ? [] : readLocalDislikes()));
+
+  useEffect(() => {
+    if (authLoading) return;
+    
+    if (!user) {
+      setDislikes(readLocalDislikes());
+      return;
+    }
+    
+    let cancelled = false;
+    dislikesApi.list()
+      .then(list => !cancelled && setDislikes(list))
+      .catch(err => console.error('Error loading dislikes:', err));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [user, authLoading]);
+
+  const update = async (remote, local) => {
+    const list = user ? await remote() : writeLocalDislikes(local(readLocalDislikes()));
+    setDislikes(list);
+    return list;
+  };
+
+  const isDisliked = (podcastId) => dislikes.some(podcast => podcast.id === podcastId);
+
+  const addDislike = (podcast) => {
+    // Episodes aren't needed to recognize similar podcasts
+    const { episodes, ...summary } = podcast;
+    return update(
+      () => dislikesApi.add(summary),
+      list => [summary, ...list.filter(p => p.id !== summary.id)]
+    );
+  };
+
+  const removeDislike = (podcastId) => update(
+    () => dislikesApi.remove(podcastId),
+    list => list.filter(podcast => podcast.id !== podcastId)
+  );
+
+  const clearDislikes = () => update(
+    () => dislikesApi.clear(),
+    () => []
+  );
+
+  return {
+    dislikes,
+    isDisliked,
+    addDislike,
+    removeDislike,
+    clearDislikes
+  };
+};
+
+export default useDislikes;
@@ -0,0 +1,109 @@
+import { useEffect, useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { favoritesApi } from '../services/api';
+import { readLocalFavorites, writeLocalFavorites } from '../utils/localFavorites';
+
+/**
+ * Favorites of the current visitor: stored on the server when logged in,
+ * in localStorage otherwise. Every update resolves to the new list.
+ */
+const useFavorites = () => {
+  const { user, loading: authLoading } = useAuth();
+  const [favorites, setFavorites] = useState(() => (user ? [] : readLocalFavorites()));
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (authLoading) return;
+    
+    if (!user) {
+      setFavorites(readLocalFavorites());
+      return;
+    }
+    
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    
+    favoritesApi.list()
+      .then(list => !cancelled && setFavorites(list))
+      .catch(err => {
+        console.error('Error loading favorites:', err);
+        if (!cancelled) setError('Failed to load your favorites.');
+      })
+      .finally(() => !cancelled && setLoading(false));
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [user, authLoading]);
+
+  // Apply a change on the server or to localStorage
+  const update = async (remote, local) => {
+    setError(null);
+    
+    try {
+      const list = user ? await remote() : writeLocalFavorites(local(readLocalFavorites()));
+      setFavorites(list);
+      return list;
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to update your favorites.');
+      throw err;
+    }
+  };
+
+  const isFavorite = (podcastId) => favorites.some(podcast => podcast.id === podcastId);
+
+  const addFavorite = (podcast) => update(
+    () => favoritesApi.add(podcast),
+    list => (list.some(p => p.id === podcast.id) ? list : [...list, podcast])
+  );
+
+  // Add many podcasts, skipping ones already saved
+  const addFavorites = (podcasts) => update(
+    async () => (await favoritesApi.import(podcasts)).favorites,
+    list => {
+      const existingIds = new Set(list.map(p => p.id));
+      return [...list, ...podcasts.filter(p => !existingIds.has(p.id))];
+    }
+  );
+
+  const removeFavorite = (podcastId) => update(
+    () => favoritesApi.remove(podcastId),
+    list => list.filter(podcast => podcast.id !== podcastId)
+  );
+
+  const reorderFavorites = (ids) => update(
+    () => favoritesApi.reorder(ids),
+    list => [
+      ...ids.map(id => list.find(p => p.id === id)).filter(Boolean),
+      ...list.filter(p => !ids.includes(p.id))
+    ]
+  );
+
+  // Replaced in a single request, so a failure keeps the old list
+  const replaceFavorites = (podcasts) => update(
+    () => favoritesApi.replace(podcasts),
+    () => podcasts
+  );
+
+  const clearFavorites = () => update(
+    () => favoritesApi.clear(),
+    () => []
+  );
+
+  return {
+    favorites,
+    loading,
+    error,
+    isFavorite,
+    addFavorite,
+    addFavorites,
+    removeFavorite,
+    reorderFavorites,
+    replaceFavorites,
+    clearFavorites
+  };
+};
+
+export default useFavorites;
@@ -0,0 +1,39 @@
+import { useEffect, useState } from 'react';
+import api from '../services/api';
+
+// The genre tree rarely changes, so one request serves every page for the session
+let genresRequest = null;
+
+const loadGenres = () => {
+  genresRequest = genresRequest || api.get('/podcasts/genres')
+    .then(response => response.data.genres || [])
+    .catch(err => {
+      genresRequest = null;
+      throw err;
+    });
+  return genresRequest;
+};
+
+/**
+ * Catalog genres (id, name, parent_id) and a name lookup for genre IDs
+ */
+const useGenres = () => {
+  const [genres, setGenres] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadGenres()
+      .then(list => !cancelled && setGenres(list))
+      .catch(err => console.error('Error loading genres:', err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const genreName = (id) => genres.find(genre => genre.id === Number(id))?.name || `Genre ${id}`;
+
+  return { genres, genreName };
+};
+
+export default useGenres;
@@ -1,41 +1,387 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
+import api from '../services/api';
+import useFavorites from '../hooks/useFavorites';
+import useGenres from '../hooks/useGenres';
+import useCollections from '../hooks/useCollections';
+import { useAuth } from '../context/AuthContext';
 
 const FavoritesPage = () => {
-  const [favorites, setFavorites] = useState([]);
+  const { user } = useAuth();
+  const {
+    favorites,
+    loading,
+    error,
+    addFavorite,
+    addFavorites,
+    removeFavorite,
+    reorderFavorites
+  } = useFavorites();
+  const {
+    collections,
+    error: collectionError,
+    createCollection,
+    renameCollection,
+    deleteCollection,
+    addToCollection,
+    removeFromCollection,
+    forgetPodcast
+  } = useCollections();
+  const { genreName } = useGenres();
+  const [activeCollectionId, setActiveCollectionId] = useState(null);
+  const [newCollectionName, setNewCollectionName] = useState('');
+  const [feedUrl, setFeedUrl] = useState('');
+  const [importing, setImporting] = useState(false);
+  const [importError, setImportError] = useState(null);
+  const [opmlBusy, setOpmlBusy] = useState(false);
+  const [opmlResult, setOpmlResult] = useState(null);
+  const [opmlError, setOpmlError] = useState(null);
 
-  useEffect(() => {
-    // Load favorites from localStorage
-    const savedFavorites = localStorage.getItem('podcastFavorites');
-    if (savedFavorites) {
-      setFavorites(JSON.parse(savedFavorites));
+  const activeCollection = collections.find(c => c.id === activeCollectionId) || null;
+  const visibleFavorites = activeCollection
+    ? favorites.filter(podcast => activeCollection.podcast_ids.includes(podcast.id))
+    : favorites;
+
+  const removeFromFavorites = async (podcastId) => {
+    try {
+      await removeFavorite(podcastId);
+      forgetPodcast(podcastId);
+    } catch (err) {
+      console.error('Error removing favorite:', err);
+    }
+  };
+
+  const handleCreateCollection = async (e) => {
+    e.preventDefault();
+    if (!newCollectionName.trim()) return;
+    
+    try {
+      const collection = await createCollection(newCollectionName.trim());
+      setNewCollectionName('');
+      setActiveCollectionId(collection.id);
+    } catch (err) {
+      console.error('Error creating collection:', err);
+    }
+  };
+
+  const handleRenameCollection = () => {
+    const name = window.prompt('Rename collection', activeCollection.name);
+    if (!name || !name.trim() || name.trim() === activeCollection.name) return;
+    
+    renameCollection(activeCollection.id, name.trim()).catch(err => console.error('Error renaming collection:', err));
+  };
+
+  const handleDeleteCollection = async () => {
+    if (!window.confirm(`Delete the collection "${activeCollection.name}"? Its podcasts stay in your favorites.`)) return;
+    
+    try {
+      await deleteCollection(activeCollection.id);
+      setActiveCollectionId(null);
+    } catch (err) {
+      console.error('Error deleting collection:', err);
+    }
+  };
+
+  const handleAddToCollection = (collectionId, podcastId) => {
+    if (!collectionId) return;
+    addToCollection(Number(collectionId), podcastId).catch(err => console.error('Error adding to collection:', err));
+  };
+
+  // Swap a favorite with its neighbour (direction -1 = up, 1 = down)
+  const moveFavorite = (index, direction) => {
+    const ids = favorites.map(podcast => podcast.id);
+    const target = index + direction;
+    if (target < 0 || target >= ids.length) return;
+    
+    [ids[index], ids[target]] = [ids[target], ids[index]];
+    reorderFavorites(ids).catch(err => console.error('Error reordering favorites:', err));
+  };
+
+  const addImportedPodcast = async (podcast) => {
+    // Episodes stay on the server; favorites only need the podcast metadata
+    const { episodes, ...favorite } = podcast;
+    await addFavorite(favorite);
+  };
+
+  const importFeed = async (request) => {
+    setImporting(true);
+    setImportError(null);
+    
+    try {
+      const response = await request();
+      await addImportedPodcast(response.data.podcast);
+      setFeedUrl('');
+    } catch (err) {
+      setImportError(err.response?.data?.message || 'Failed to import feed. Please check the feed and try again.');
+      console.error('Feed import error:', err);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const handleImportFeedUrl = (e) => {
+    e.preventDefault();
+    if (!feedUrl.trim()) return;
+    
+    importFeed(() => api.post('/podcasts/import-feed', { url: feedUrl.trim() }));
+  };
+
+  const handleUploadFeed = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    const xml = await file.text();
+    importFeed(() => api.post('/podcasts/import-feed', { xml }));
+  };
+
+  const handleExportOpml = async () => {
+    setOpmlError(null);
+    
+    try {
+      const response = await api.post('/podcasts/opml/export', { favorites }, {
+        responseType: 'blob'
+      });
+      
+      // Trigger a file download for the generated OPML
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'podcast-favorites.opml';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setOpmlError('Failed to export favorites as OPML.');
+      console.error('OPML export error:', err);
     }
-  }, []);
+  };
 
-  const removeFromFavorites = (podcastId) => {
-    const newFavorites = favorites.filter(podcast => podcast.id !== podcastId);
-    setFavorites(newFavorites);
-    localStorage.setItem('podcastFavorites', JSON.stringify(newFavorites));
+  const handleImportOpml = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    setOpmlBusy(true);
+    setOpmlError(null);
+    setOpmlResult(null);
+    
+    try {
+      const opml = await file.text();
+      const response = await api.post('/podcasts/opml/import', { opml });
+      const { matched, unmatched } = response.data;
+      
+      // Merge matched podcasts into favorites, skipping ones already saved
+      const existingIds = new Set(favorites.map(p => p.id));
+      const added = matched.map(entry => entry.podcast).filter(p => !existingIds.has(p.id));
+      if (added.length > 0) {
+        await addFavorites(added);
+      }
+      
+      setOpmlResult({ added: added.length, matched: matched.length, unmatched });
+    } catch (err) {
+      setOpmlError(err.response?.data?.message || 'Failed to import OPML file.');
+      console.error('OPML import error:', err);
+    } finally {
+      setOpmlBusy(false);
+    }
   };
 
   return (
     <div className="max-w-4xl mx-auto">
       <h2 className="text-3xl font-bold text-blue-800 mb-6">Your Favorite Podcasts</h2>
       
-      {favorites.length > 0 ? (
+      {!user && (
+        <div className="bg-blue-50 text-blue-800 p-4 rounded-lg mb-6">
+          Your favorites are only saved in this browser.{' '}
+          <Link to="/login" className="font-semibold underline">Log in</Link> to keep them in your account and use them on any device.
+        </div>
+      )}
+      
+      {error && (
+        <div className="bg-red-100 text-red-700 p-4 rounded-lg mb-6">
+          {error}
+        </div>
+      )}
+      
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-lg font-semibold mb-2">Import from an RSS feed</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          Add niche or private podcasts that search can't find by importing their RSS or Atom feed.
+        </p>
+        <form onSubmit={handleImportFeedUrl} className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="url"
+            value={feedUrl}
+            onChange={(e) => setFeedUrl(e.target.value)}
+            placeholder="https://example.com/feed.xml"
+            className="flex-grow px-4 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-200"
+            disabled={importing}
+          >
+            {importing ? 'Importing...' : 'Import Feed'}
+          </button>
+          <label className="bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300 transition duration-200 cursor-pointer text-center">
+            Upload File
+            <input
+              type="file"
+              accept=".xml,.rss,.atom,application/rss+xml,application/atom+xml,text/xml"
+              onChange={handleUploadFeed}
+              className="hidden"
+              disabled={importing}
+            />
+          </label>
+        </form>
+        {importError && (
+          <div className="bg-red-100 text-red-700 p-3 rounded-lg mt-4">
+            {importError}
+          </div>
+        )}
+      </div>
+      
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <h3 className="text-lg font-semibold mb-2">Move favorites between podcast apps</h3>
+        <p className="text-gray-600 text-sm mb-4">
+          Export your favorites as an OPML file, or import the OPML export from another podcast app.
+        </p>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <button
+            onClick={handleExportOpml}
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-200"
+            disabled={favorites.length === 0}
+          >
+            Export OPML
+          </button>
+          <label className="bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300 transition duration-200 cursor-pointer text-center">
+            {opmlBusy ? 'Importing...' : 'Import OPML'}
+            <input
+              type="file"
+              accept=".opml,.xml,text/x-opml,text/xml"
+              onChange={handleImportOpml}
+              className="hidden"
+              disabled={opmlBusy}
+            />
+          </label>
+        </div>
+        {opmlError && (
+          <div className="bg-red-100 text-red-700 p-3 rounded-lg mt-4">
+            {opmlError}
+          </div>
+        )}
+        {opmlResult && (
+          <div className="bg-blue-50 text-blue-800 p-3 rounded-lg mt-4">
+            <p>
+              Matched {opmlResult.matched} podcasts and added {opmlResult.added} new favorites.
+            </p>
+            {opmlResult.unmatched.length > 0 && (
+              <>
+                <p className="mt-2 font-medium">These entries couldn't be matched:</p>
+                <ul className="list-disc list-inside text-sm">
+                  {opmlResult.unmatched.map(entry => (
+                    <li key={entry.xmlUrl || entry.title}>
+                      {entry.title || entry.xmlUrl}
+                      {entry.xmlUrl && ' (you can import its feed above)'}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+      </div>
+      
+      {loading ? (
+        <div className="text-center p-8 text-gray-600">Loading your favorites...</div>
+      ) : favorites.length > 0 ? (
         <>
+          {user && (
+            <div className="bg-white rounded-lg shadow-md p-4 mb-6">
+              <div className="flex flex-wrap items-center gap-2">
+                <button
+                  onClick={() => setActiveCollectionId(null)}
+                  className={`px-3 py-1 rounded-full text-sm ${!activeCollection ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                >
+                  All ({favorites.length})
+                </button>
+                {collections.map(collection => (
+                  <button
+                    key={collection.id}
+                    onClick={() => setActiveCollectionId(collection.id)}
+                    className={`px-3 py-1 rounded-full text-sm ${activeCollection?.id === collection.id ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                  >
+                    {collection.name} ({collection.podcast_ids.length})
+                  </button>
+                ))}
+                <form onSubmit={handleCreateCollection} className="flex gap-2 ml-auto">
+                  <input
+                    type="text"
+                    value={newCollectionName}
+                    onChange={(e) => setNewCollectionName(e.target.value)}
+                    placeholder="New collection, e.g. Commute"
+                    maxLength={60}
+                    className="px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    type="submit"
+                    className="bg-blue-600 text-white px-3 py-1 rounded text-sm hover:bg-blue-700 transition duration-200"
+                  >
+                    Add
+                  </button>
+                </form>
+              </div>
+              <p className="text-gray-500 text-xs mt-2">
+                Group favorites by taste (say, true crime for the commute and tech for work) to get separate recommendations for each.
+              </p>
+              {collectionError && (
+                <div className="bg-red-100 text-red-700 p-2 rounded mt-2 text-sm">
+                  {collectionError}
+                </div>
+              )}
+            </div>
+          )}
+          
           <div className="flex justify-between items-center mb-6">
-            <p className="text-gray-600">You have {favorites.length} favorite podcasts</p>
-            <Link 
-              to="/recommendations" 
-              className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-200"
-            >
-              Get Recommendations
-            </Link>
+            <p className="text-gray-600">
+              {activeCollection
+                ? `${visibleFavorites.length} podcasts in "${activeCollection.name}"`
+                : `You have ${favorites.length} favorite podcasts`}
+            </p>
+            <div className="flex gap-2">
+              {activeCollection && (
+                <>
+                  <button
+                    onClick={handleRenameCollection}
+                    className="bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300 transition duration-200"
+                  >
+                    Rename
+                  </button>
+                  <button
+                    onClick={handleDeleteCollection}
+                    className="bg-gray-200 text-red-700 px-4 py-2 rounded hover:bg-gray-300 transition duration-200"
+                  >
+                    Delete Collection
+                  </button>
+                </>
+              )}
+              <Link 
+                to={activeCollection ? `/recommendations?collection=${activeCollection.id}` : '/recommendations'} 
+                className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-200"
+              >
+                Get Recommendations
+              </Link>
+            </div>
           </div>
           
+          {activeCollection && visibleFavorites.length === 0 && (
+            <div className="bg-gray-100 rounded-lg p-6 text-center text-gray-600 mb-6">
+              This collection is empty. Add favorites to it from the "All" tab.
+            </div>
+          )}
+          
           <div className="grid gap-6">
-            {favorites.map(podcast => (
+            {visibleFavorites.map((podcast, index) => (
               <div key={podcast.id} className="bg-white rounded-lg shadow-md overflow-hidden">
                 <div className="md:flex">
                   <div className="md:flex-shrink-0 flex justify-center">
@@ -63,18 +409,59 @@ const FavoritesPage = () => {
                     <div className="flex flex-wrap gap-2 mb-4">
                       {podcast.genre_ids?.slice(0, 3).map(genre => (
                         <span key={genre} className="bg-blue-100 text-blue-700 text-xs px-2 py-1 rounded">
-                          {genre}
+                          {genreName(genre)}
                         </span>
                       ))}
                     </div>
                     
-                    <div className="flex gap-2">
-                      <button
-                        onClick={() => removeFromFavorites(podcast.id)}
-                        className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition duration-200"
-                      >
-                        Remove from Favorites
-                      </button>
+                    <div className="flex flex-wrap gap-2">
+                      {activeCollection ? (
+                        <button
+                          onClick={() => removeFromCollection(activeCollection.id, podcast.id).catch(err => console.error('Error removing from collection:', err))}
+                          className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition duration-200"
+                        >
+                          Remove from Collection
+                        </button>
+                      ) : (
+                        <>
+                          <button
+                            onClick={() => removeFromFavorites(podcast.id)}
+                            className="bg-red-600 text-white px-4 py-2 rounded hover:bg-red-700 transition duration-200"
+                          >
+                            Remove from Favorites
+                          </button>
+                          <button
+                            onClick={() => moveFavorite(index, -1)}
+                            className="bg-gray-200 text-gray-800 px-3 py-2 rounded hover:bg-gray-300 transition duration-200 disabled:opacity-50"
+                            disabled={index === 0}
+                            title="Move up"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            onClick={() => moveFavorite(index, 1)}
+                            className="bg-gray-200 text-gray-800 px-3 py-2 rounded hover:bg-gray-300 transition duration-200 disabled:opacity-50"
+                            disabled={index === favorites.length - 1}
+                            title="Move down"
+                          >
+                            ↓
+                          </button>
+                          {collections.some(c => !c.podcast_ids.includes(podcast.id)) && (
+                            <select
+                              value=""
+                              onChange={(e) => handleAddToCollection(e.target.value, podcast.id)}
+                              className="bg-gray-200 text-gray-800 px-2 py-2 rounded"
+                            >
+                              <option value="">Add to collection...</option>
+                              {collections
+                                .filter(c => !c.podcast_ids.includes(podcast.id))
+                                .map(c => (
+                                  <option key={c.id} value={c.id}>{c.name}</option>
+                                ))}
+                            </select>
+                          )}
+                        </>
+                      )}
                       <a 
                         href={podcast.website} 
                         target="_blank" 
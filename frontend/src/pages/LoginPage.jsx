@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Navigate, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const LoginPage = () => {
+  const { user, login, register } = useAuth();
+  const navigate = useNavigate();
+  const [mode, setMode] = useState('login');
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (user) {
+    return <Navigate to="/favorites" replace />;
+  }
+
+  const isRegister = mode === 'register';
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    
+    setSubmitting(true);
+    setError(null);
+    
+    try {
+      const { imported } = await (isRegister ? register : login)(username.trim(), password);
+      if (imported > 0) {
+        alert(`Moved ${imported} favorites saved in this browser into your account.`);
+      }
+      navigate('/favorites');
+    } catch (err) {
+      setError(err.response?.data?.message || 'Something went wrong. Please try again.');
+      console.error('Login error:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="max-w-md mx-auto">
+      <h2 className="text-3xl font-bold text-blue-800 mb-6">{isRegister ? 'Create an Account' : 'Log In'}</h2>
+      
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <p className="text-gray-600 text-sm mb-4">
+          Your favorites are saved to your account, so they follow you to every browser and device.
+        </p>
+        
+        <form onSubmit={handleSubmit} className="flex flex-col gap-4">
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            placeholder="Username"
+            autoComplete="username"
+            className="px-4 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder={isRegister ? 'Password (at least 8 characters)' : 'Password'}
+            autoComplete={isRegister ? 'new-password' : 'current-password'}
+            className="px-4 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+          <button
+            type="submit"
+            className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition duration-200"
+            disabled={submitting}
+          >
+            {submitting ? 'Please wait...' : (isRegister ? 'Create Account' : 'Log In')}
+          </button>
+        </form>
+        
+        {error && (
+          <div className="bg-red-100 text-red-700 p-3 rounded-lg mt-4">
+            {error}
+          </div>
+        )}
+        
+        <button
+          onClick={() => {
+            setMode(isRegister ? 'login' : 'register');
+            setError(null);
+          }}
+          className="text-sm text-blue-700 hover:text-blue-900 mt-4"
+        >
+          {isRegister ? 'Already have an account? Log in' : "Don't have an account? Create one"}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default LoginPage;
@@ -1,35 +1,66 @@
-import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
-import axios from 'axios';
-import { clearPodcastFavorites, inspectPodcastFavorites } from '../utils/clearFavorites';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api, { recommendationsApi } from '../services/api';
+import useFavorites from '../hooks/useFavorites';
+import useCollections from '../hooks/useCollections';
+import useDislikes from '../hooks/useDislikes';
+import RecommendationExplanation from '../components/RecommendationExplanation';
+import RecommendationFilters, { EMPTY_FILTERS, toRequestFilters } from '../components/RecommendationFilters';
+import { useAuth } from '../context/AuthContext';
+import { inspectPodcastFavorites } from '../utils/clearFavorites';
+
+// The running or last finished recommendation job, so a reload can pick it back up
+const JOB_STORAGE_KEY = 'recommendationJobId';
+
+/**
+ * Human-readable message for a progress event from the recommendation stream
+ */
+const describeProgress = (progress) => {
+  switch (progress?.stage) {
+    case 'genre':
+      return `Collecting top podcasts from your genres (${progress.completed}/${progress.total})...`;
+    case 'query':
+      return `Searching for "${progress.query}" (${progress.completed}/${progress.total})...`;
+    case 'candidates':
+      return `Found ${progress.total} candidate podcasts`;
+    case 'embedding':
+      return `Analyzing podcasts (${progress.completed}/${progress.total})...`;
+    case 'ranking':
+      return 'Picking the best matches for you...';
+    default:
+      return 'Starting recommendation engine...';
+  }
+};
 
 const RecommendationsPage = () => {
-  const [favorites, setFavorites] = useState([]);
+  const { user } = useAuth();
+  const {
+    favorites,
+    isFavorite,
+    addFavorite,
+    replaceFavorites,
+    clearFavorites
+  } = useFavorites();
+  const { collections } = useCollections();
+  const { dislikes, addDislike, clearDislikes } = useDislikes();
+  const [searchParams, setSearchParams] = useSearchParams();
   const [recommendations, setRecommendations] = useState([]);
   const [loading, setLoading] = useState(false);
-  const [processingStage, setProcessingStage] = useState('');
+  const [progress, setProgress] = useState(null);
+  const [isPartial, setIsPartial] = useState(false);
   const [error, setError] = useState(null);
   const [processingTime, setProcessingTime] = useState(null);
   const [debugMode, setDebugMode] = useState(false);
-
-  useEffect(() => {
-    // Load favorites from localStorage
-    const loadFavorites = () => {
-      const savedFavorites = localStorage.getItem('podcastFavorites');
-      if (savedFavorites) {
-        try {
-          const parsedFavorites = JSON.parse(savedFavorites);
-          console.log('Loaded favorites:', parsedFavorites);
-          setFavorites(parsedFavorites);
-        } catch (err) {
-          console.error('Error parsing favorites from localStorage:', err);
-          localStorage.removeItem('podcastFavorites'); // Clear corrupted data
-        }
-      }
-    };
-    
-    loadFavorites();
-  }, []);
+  const [rankingWeights, setRankingWeights] = useState(null);
+  const [ratings, setRatings] = useState({});
+  const [diversity, setDiversity] = useState(0.3);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showFilters, setShowFilters] = useState(false);
+  const [jobId, setJobId] = useState(null);
+  const [resultPage, setResultPage] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const following = useRef(null);
+  const startTime = useRef(null);
 
   const normalizePodcastData = (podcast) => {
     // Convert search result format to standard format expected by recommendation engine
@@ -48,7 +79,91 @@ const RecommendationsPage = () => {
     };
   };
 
+  // Recommend for one collection (?collection=ID) or for all favorites
+  const selectedCollection = collections.find(c => String(c.id) === searchParams.get('collection')) || null;
+  const profileSize = selectedCollection ? selectedCollection.podcast_ids.length : favorites.length;
+  const activeFilterCount = Object.keys(toRequestFilters(filters)).length;
+
+  const selectCollection = (collectionId) => {
+    setSearchParams(collectionId ? { collection: collectionId } : {});
+    setRecommendations([]);
+    setResultPage(null);
+    setError(null);
+  };
+
+  // Follow a recommendation job's progress until it finishes (or the page goes away)
+  const followJob = useCallback(async (id) => {
+    const controller = new AbortController();
+    following.current?.abort();
+    following.current = controller;
+    setJobId(id);
+    setLoading(true);
+    
+    // The backend reports each pipeline step and the best matches found so far
+    const handleEvent = (event, data) => {
+      if (event === 'progress') {
+        setProgress(data);
+      } else if (event === 'partial') {
+        setRecommendations(data.recommendations);
+        setIsPartial(true);
+      } else if (event === 'done') {
+        // Debug log to check recommendation results
+        console.log('Received recommendations:', data.recommendations);
+        
+        setRecommendations(data.recommendations);
+        setIsPartial(false);
+        setResultPage({ token: data.result_token, nextCursor: data.next_cursor, total: data.total });
+        setRankingWeights(data.ranking_weights || null);
+        setRatings({});
+        // Only timed when started from this page, not when picked up after a reload
+        setProcessingTime(startTime.current ? (Date.now() - startTime.current) / 1000 : null);
+      } else {
+        // "error" or "cancelled": nothing left to pick up
+        localStorage.removeItem(JOB_STORAGE_KEY);
+        setRecommendations([]);
+        setIsPartial(false);
+        if (event === 'error') {
+          setError(data.message || 'Failed to get recommendations. Please try again.');
+        }
+      }
+    };
+    
+    try {
+      await recommendationsApi.followJob(id, handleEvent, controller.signal);
+    } catch (err) {
+      if (err.name === 'AbortError') return;
+      
+      // Expired results are simply gone
+      localStorage.removeItem(JOB_STORAGE_KEY);
+      if (err.status !== 404) {
+        console.error('Recommendations error:', err);
+        setError(err.message || 'Failed to get recommendations. Please try again.');
+      }
+    } finally {
+      if (following.current === controller) {
+        following.current = null;
+        setJobId(null);
+        setLoading(false);
+        setProgress(null);
+      }
+    }
+  }, []);
+
+  // Pick up a job started before the page was reloaded
+  useEffect(() => {
+    const storedJobId = localStorage.getItem(JOB_STORAGE_KEY);
+    if (storedJobId) {
+      followJob(storedJobId);
+    }
+    return () => following.current?.abort();
+  }, [followJob]);
+
   const getRecommendations = async () => {
+    if (selectedCollection && profileSize === 0) {
+      setError('This collection is empty. Add favorites to it on the Favorites page first.');
+      return;
+    }
+    
     if (favorites.length === 0) {
       setError('You need to add podcasts to your favorites first to get recommendations.');
       return;
@@ -57,60 +172,66 @@ const RecommendationsPage = () => {
     setLoading(true);
     setError(null);
     setRecommendations([]);
-    setProcessingStage('Starting recommendation engine...');
+    setResultPage(null);
+    setIsPartial(false);
+    setProgress({ stage: 'start' });
+    startTime.current = Date.now();
     
-    const startTime = Date.now();
+    // Debug log to check favorite podcast data
+    console.log('Sending favorites to recommendation API:', favorites);
+    
+    // Check for missing title or description
+    const missingData = favorites.filter(podcast => !podcast.title || !podcast.description);
+    if (missingData.length > 0) {
+      console.warn('Some favorites are missing title or description:', missingData);
+    }
     
     try {
-      // Debug log to check favorite podcast data
-      console.log('Sending favorites to recommendation API:', favorites);
-      
-      // Check for missing title or description
-      const missingData = favorites.filter(podcast => !podcast.title || !podcast.description);
-      if (missingData.length > 0) {
-        console.warn('Some favorites are missing title or description:', missingData);
-      }
-      
-      // Set up a timer to update the processing stage message
-      const processingMessages = [
-        'Collecting candidate podcasts...',
-        'Analyzing content similarities...',
-        'Generating embeddings...',
-        'Calculating recommendation scores...',
-        'Finding the best matches for you...',
-        'Almost there! Finalizing recommendations...'
-      ];
-      
-      let messageIndex = 0;
-      const messageInterval = setInterval(() => {
-        if (messageIndex < processingMessages.length) {
-          setProcessingStage(processingMessages[messageIndex]);
-          messageIndex++;
-        }
-      }, 3000);
-      
-      const response = await axios.post('http://localhost:5000/api/recommendations', {
-        favorites
+      // Run as a background job so a dropped connection or reload doesn't lose the work
+      const job = await recommendationsApi.startJob({
+        ...(selectedCollection ? { collectionId: selectedCollection.id } : { favorites }),
+        dislikes,
+        ranking: { diversity },
+        filters: toRequestFilters(filters)
       });
-      
-      clearInterval(messageInterval);
-      setProcessingTime((Date.now() - startTime) / 1000); // Convert to seconds
-      
-      // Debug log to check recommendation results
-      console.log('Received recommendations:', response.data.recommendations);
-      
-      setRecommendations(response.data.recommendations);
+      localStorage.setItem(JOB_STORAGE_KEY, job.id);
+      await followJob(job.id);
     } catch (err) {
-      console.error('Full error object:', err);
-      setError(err.response?.data?.message || 'Failed to get recommendations. Please try again.');
       console.error('Recommendations error:', err);
-    } finally {
+      setError(err.response?.data?.message || 'Failed to get recommendations. Please try again.');
       setLoading(false);
-      setProcessingStage('');
+      setProgress(null);
     }
   };
 
-  const addToFavorites = (podcast) => {
+  // Further pages come from the stored result set, without re-running the pipeline
+  const showMore = async () => {
+    setLoadingMore(true);
+    try {
+      const page = await recommendationsApi.getResults(resultPage.token, resultPage.nextCursor);
+      setRecommendations(current => {
+        const shown = new Set(current.map(item => item.podcast.id));
+        return [...current, ...page.recommendations.filter(item => !shown.has(item.podcast.id))];
+      });
+      setResultPage({ token: page.result_token, nextCursor: page.next_cursor, total: page.total });
+    } catch (err) {
+      console.error('Error loading more recommendations:', err);
+      setError(err.response?.data?.message || 'Failed to load more recommendations.');
+      setResultPage(null);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const cancelRecommendations = async () => {
+    try {
+      await recommendationsApi.cancelJob(jobId);
+    } catch (err) {
+      console.error('Error cancelling recommendations:', err);
+    }
+  };
+
+  const addToFavorites = async (podcast) => {
     // Debug log
     console.log('Adding podcast to favorites:', podcast);
     
@@ -124,38 +245,69 @@ const RecommendationsPage = () => {
       return;
     }
     
-    const newFavorites = [...favorites];
-    
     // Check if podcast is already in favorites
-    const existingIndex = newFavorites.findIndex(p => p.id === normalizedPodcast.id);
+    if (isFavorite(normalizedPodcast.id)) {
+      alert('This podcast is already in your favorites.');
+      return;
+    }
     
-    if (existingIndex === -1) {
-      // Add to favorites if not already present
-      newFavorites.push(normalizedPodcast);
-      setFavorites(newFavorites);
-      localStorage.setItem('podcastFavorites', JSON.stringify(newFavorites));
+    try {
+      await addFavorite(normalizedPodcast);
       alert('Podcast added to favorites!');
-    } else {
-      alert('This podcast is already in your favorites.');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to add podcast to favorites.');
+    }
+  };
+
+  // Hide a recommendation now and push similar podcasts down in later runs
+  const markNotInterested = async (podcast) => {
+    try {
+      await addDislike(podcast);
+      setRecommendations(current => current.filter(item => item.podcast.id !== podcast.id));
+    } catch (err) {
+      console.error('Error saving dislike:', err);
+      alert(err.response?.data?.message || 'Failed to save your feedback.');
+    }
+  };
+
+  // Thumbs up/down teach the ranking which signals matter to this user
+  const rateRecommendation = async (item, rating) => {
+    setRatings(current => ({ ...current, [item.podcast.id]: rating }));
+    
+    try {
+      const response = await api.post('/recommendations/feedback', {
+        podcastId: item.podcast.id,
+        rating,
+        signals: item.signals
+      });
+      setRankingWeights(response.data.ranking_weights);
+    } catch (err) {
+      console.error('Error saving feedback:', err);
+      setRatings(current => ({ ...current, [item.podcast.id]: undefined }));
     }
   };
 
-  const isFavorite = (podcastId) => {
-    return favorites.some(podcast => podcast.id === podcastId);
+  const handleClearDislikes = async () => {
+    if (window.confirm('Show podcasts you marked as not interested again?')) {
+      await clearDislikes();
+    }
   };
 
-  // Clear favorites from localStorage
-  const handleClearFavorites = () => {
+  // Clear favorites (from the account when logged in, otherwise from localStorage)
+  const handleClearFavorites = async () => {
     if (window.confirm('Are you sure you want to clear all your favorites? This cannot be undone.')) {
-      clearPodcastFavorites();
-      setFavorites([]);
+      await clearFavorites();
       setRecommendations([]);
     }
   };
 
   // Inspect favorites for debugging
   const handleInspectFavorites = () => {
-    inspectPodcastFavorites();
+    if (user) {
+      console.log(`Favorites of ${user.username}:`, favorites);
+    } else {
+      inspectPodcastFavorites();
+    }
   };
 
   // Toggle debug mode
@@ -164,11 +316,10 @@ const RecommendationsPage = () => {
   };
 
   // Fix existing favorites
-  const fixExistingFavorites = () => {
+  const fixExistingFavorites = async () => {
     const fixedFavorites = favorites.map(podcast => normalizePodcastData(podcast));
     console.log('Fixed favorites:', fixedFavorites);
-    setFavorites(fixedFavorites);
-    localStorage.setItem('podcastFavorites', JSON.stringify(fixedFavorites));
+    await replaceFavorites(fixedFavorites);
     alert('Fixed podcast favorites data!');
   };
 
@@ -181,10 +332,59 @@ const RecommendationsPage = () => {
           <div>
             <h3 className="text-xl font-semibold mb-2">Get AI-Powered Podcast Recommendations</h3>
             <p className="text-gray-600">
-              {favorites.length > 0 
-                ? `Based on your ${favorites.length} favorite podcasts`
-                : 'Add podcasts to favorites to get recommendations'}
+              {selectedCollection
+                ? `Based on the ${profileSize} podcasts in "${selectedCollection.name}"`
+                : favorites.length > 0 
+                  ? `Based on your ${favorites.length} favorite podcasts`
+                  : 'Add podcasts to favorites to get recommendations'}
             </p>
+            {dislikes.length > 0 && (
+              <p className="text-gray-500 text-sm">
+                Hiding {dislikes.length} podcasts you're not interested in.{' '}
+                <button onClick={handleClearDislikes} className="text-blue-700 hover:text-blue-900">
+                  Show them again
+                </button>
+              </p>
+            )}
+            {collections.length > 0 && (
+              <select
+                value={selectedCollection ? selectedCollection.id : ''}
+                onChange={(e) => selectCollection(e.target.value)}
+                className="mt-2 px-3 py-1 border border-gray-300 rounded text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                disabled={loading}
+              >
+                <option value="">All favorites</option>
+                {collections.map(collection => (
+                  <option key={collection.id} value={collection.id}>
+                    {collection.name} ({collection.podcast_ids.length})
+                  </option>
+                ))}
+              </select>
+            )}
+            <label className="mt-3 flex items-center gap-2 text-sm text-gray-600">
+              <span>Closest matches</span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.1"
+                value={diversity}
+                onChange={(e) => setDiversity(Number(e.target.value))}
+                disabled={loading}
+                aria-label="Recommendation diversity"
+              />
+              <span>More variety</span>
+            </label>
+            <button
+              onClick={() => setShowFilters(current => !current)}
+              className="mt-2 text-sm text-blue-700 hover:text-blue-900"
+            >
+              {showFilters ? 'Hide filters' : 'Filters'}
+              {activeFilterCount > 0 && ` (${activeFilterCount} active)`}
+            </button>
+            {showFilters && (
+              <RecommendationFilters value={filters} onChange={setFilters} disabled={loading} />
+            )}
           </div>
           <div className="flex flex-col sm:flex-row gap-3">
             <Link 
@@ -196,7 +396,7 @@ const RecommendationsPage = () => {
             <button
               onClick={getRecommendations}
               className="bg-blue-600 text-white px-6 py-2 rounded hover:bg-blue-700 transition duration-200 flex items-center justify-center"
-              disabled={loading || favorites.length === 0}
+              disabled={loading || profileSize === 0}
             >
               {loading ? 'Finding matches...' : 'Get Recommendations'}
             </button>
@@ -249,18 +449,41 @@ const RecommendationsPage = () => {
       {loading && (
         <div className="text-center p-8 bg-blue-50 rounded-lg shadow-md">
           <div className="inline-block animate-spin rounded-full h-10 w-10 border-4 border-blue-600 border-t-transparent mb-4"></div>
-          <p className="text-lg font-medium text-blue-800 mb-2">{processingStage}</p>
+          <p className="text-lg font-medium text-blue-800 mb-2">{describeProgress(progress)}</p>
+          {progress?.stage === 'embedding' && (
+            <div className="w-full max-w-md mx-auto bg-blue-100 rounded-full h-2 mb-2">
+              <div
+                className="bg-blue-600 h-2 rounded-full transition-all duration-200"
+                style={{ width: `${Math.round((progress.completed / progress.total) * 100)}%` }}
+              ></div>
+            </div>
+          )}
           <p className="text-gray-600">This may take a moment while we analyze your favorites and find the best matches.</p>
+          {jobId && (
+            <button
+              onClick={cancelRecommendations}
+              className="mt-4 text-sm text-gray-600 hover:text-gray-800 underline"
+            >
+              Cancel
+            </button>
+          )}
         </div>
       )}
       
       {recommendations.length > 0 && (
         <div className="grid gap-6">
           <div className="flex justify-between items-center">
-            <h3 className="text-2xl font-semibold text-blue-800">Your Recommended Podcasts</h3>
-            {processingTime && (
-              <p className="text-sm text-gray-500">Generated in {processingTime.toFixed(1)} seconds</p>
-            )}
+            <h3 className="text-2xl font-semibold text-blue-800">
+              {isPartial ? 'Best Matches So Far' : 'Your Recommended Podcasts'}
+            </h3>
+            <div className="text-right">
+              {!isPartial && processingTime && (
+                <p className="text-sm text-gray-500">Generated in {processingTime.toFixed(1)} seconds</p>
+              )}
+              {rankingWeights?.source === 'learned' && (
+                <p className="text-xs text-gray-500">Ranking personalized from your {rankingWeights.samples} ratings</p>
+              )}
+            </div>
           </div>
           
           {recommendations.map(item => (
@@ -299,6 +522,7 @@ const RecommendationsPage = () => {
                   <div className="bg-yellow-50 border-l-4 border-yellow-400 p-3 mb-4">
                     <h4 className="font-semibold text-yellow-800">Why we recommend this:</h4>
                     <p className="text-yellow-800">{item.reason || 'Based on your listening preferences'}</p>
+                    <RecommendationExplanation explanation={item.explanation} />
                   </div>
                   
                   <div className="flex flex-wrap gap-2 mt-4">
@@ -310,6 +534,30 @@ const RecommendationsPage = () => {
                         Add to Favorites
                       </button>
                     )}
+                    {user && item.signals && (
+                      <div className="flex gap-1">
+                        <button
+                          onClick={() => rateRecommendation(item, 'up')}
+                          className={`px-3 py-2 rounded transition duration-200 ${ratings[item.podcast.id] === 'up' ? 'bg-green-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                          title="Good recommendation"
+                        >
+                          👍
+                        </button>
+                        <button
+                          onClick={() => rateRecommendation(item, 'down')}
+                          className={`px-3 py-2 rounded transition duration-200 ${ratings[item.podcast.id] === 'down' ? 'bg-red-600 text-white' : 'bg-gray-200 text-gray-800 hover:bg-gray-300'}`}
+                          title="Bad recommendation"
+                        >
+                          👎
+                        </button>
+                      </div>
+                    )}
+                    <button
+                      onClick={() => markNotInterested(item.podcast)}
+                      className="bg-gray-200 text-gray-800 px-4 py-2 rounded hover:bg-gray-300 transition duration-200"
+                    >
+                      Not Interested
+                    </button>
                     {item.podcast.website && (
                       <a 
                         href={item.podcast.website} 
@@ -335,6 +583,18 @@ const RecommendationsPage = () => {
               </div>
             </div>
           ))}
+          
+          {!isPartial && resultPage?.nextCursor && (
+            <div className="text-center">
+              <button
+                onClick={showMore}
+                disabled={loadingMore}
+                className="bg-blue-100 text-blue-800 px-6 py-2 rounded hover:bg-blue-200 transition duration-200"
+              >
+                {loadingMore ? 'Loading...' : `Show More (${recommendations.length} of ${resultPage.total})`}
+              </button>
+            </div>
+          )}
         </div>
       )}
       
@@ -1,15 +1,15 @@
 import React, { useState } from 'react';
-import axios from 'axios';
+import api from '../services/api';
+import useFavorites from '../hooks/useFavorites';
+import useGenres from '../hooks/useGenres';
 
 const SearchPage = () => {
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [favorites, setFavorites] = useState(() => {
-    const savedFavorites = localStorage.getItem('podcastFavorites');
-    return savedFavorites ? JSON.parse(savedFavorites) : [];
-  });
+  const { isFavorite, addFavorite, removeFavorite } = useFavorites();
+  const { genreName } = useGenres();
 
   const handleSearch = async (e) => {
     e.preventDefault();
@@ -20,7 +20,7 @@ const SearchPage = () => {
     setError(null);
     
     try {
-      const response = await axios.get(`http://localhost:5000/api/podcasts/search`, {
+      const response = await api.get('/podcasts/search', {
         params: { query: searchQuery }
       });
       
@@ -50,37 +50,29 @@ const SearchPage = () => {
     };
   };
 
-  const addToFavorites = (podcast) => {
+  const addToFavorites = async (podcast) => {
     console.log('Original podcast data:', podcast);
     
     // Normalize the podcast data to ensure it has the correct fields
     const normalizedPodcast = normalizePodcastData(podcast);
     console.log('Normalized podcast data:', normalizedPodcast);
     
-    const newFavorites = [...favorites];
-    
     // Check if podcast is already in favorites
-    const existingIndex = newFavorites.findIndex(p => p.id === normalizedPodcast.id);
+    if (isFavorite(normalizedPodcast.id)) {
+      alert('This podcast is already in your favorites.');
+      return;
+    }
     
-    if (existingIndex === -1) {
-      // Add to favorites if not already present
-      newFavorites.push(normalizedPodcast);
-      setFavorites(newFavorites);
-      localStorage.setItem('podcastFavorites', JSON.stringify(newFavorites));
+    try {
+      await addFavorite(normalizedPodcast);
       alert('Podcast added to favorites!');
-    } else {
-      alert('This podcast is already in your favorites.');
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to add podcast to favorites.');
     }
   };
 
   const removeFromFavorites = (podcastId) => {
-    const newFavorites = favorites.filter(podcast => podcast.id !== podcastId);
-    setFavorites(newFavorites);
-    localStorage.setItem('podcastFavorites', JSON.stringify(newFavorites));
-  };
-
-  const isFavorite = (podcastId) => {
-    return favorites.some(podcast => podcast.id === podcastId);
+    removeFavorite(podcastId).catch(err => console.error('Error removing favorite:', err));
   };
 
   return (
@@ -142,7 +134,7 @@ const SearchPage = () => {
                   <div className="flex flex-wrap gap-2 mb-4">
                     {podcast.genre_ids?.slice(0, 3).map(genre => (
                       <span key={genre} className="bg-blue-100 text-blue-700 text-xs px-2 py-1 rounded">
-                        {genre}
+                        {genreName(genre)}
                       </span>
                     ))}
                   </div>
@@ -0,0 +1,199 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import api from '../services/api';
+import useFavorites from '../hooks/useFavorites';
+import useGenres from '../hooks/useGenres';
+
+const PAGE_SIZE = 20;
+
+// Catalog responses use either plain or *_original field names
+const toFavorite = (podcast) => {
+  const { topic_share, ...rest } = podcast;
+  return {
+    ...rest,
+    title: podcast.title || podcast.title_original || 'Unknown Podcast',
+    description: podcast.description || podcast.description_original || '',
+    publisher: podcast.publisher || podcast.publisher_original || 'Unknown Publisher',
+    thumbnail: podcast.thumbnail || podcast.image || '',
+    genre_ids: podcast.genre_ids || []
+  };
+};
+
+/**
+ * Browse the themes of the cached catalog found by the offline topic model,
+ * and the podcasts that are mostly about each one. ?topic=<id> opens a topic
+ */
+const TopicsPage = () => {
+  const [topics, setTopics] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [podcasts, setPodcasts] = useState([]);
+  const [nextOffset, setNextOffset] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingPodcasts, setLoadingPodcasts] = useState(false);
+  const [error, setError] = useState(null);
+  const { isFavorite, addFavorite, removeFavorite } = useFavorites();
+  const { genreName } = useGenres();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const topicParam = searchParams.get('topic');
+
+  const loadPodcasts = useCallback(async (topic, offset = 0) => {
+    setLoadingPodcasts(true);
+    setError(null);
+
+    try {
+      const response = await api.get(`/topics/${topic.id}/podcasts`, {
+        params: { limit: PAGE_SIZE, offset }
+      });
+      setPodcasts(previous => (offset === 0 ? response.data.podcasts : [...previous, ...response.data.podcasts]));
+      setNextOffset(response.data.next_offset);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load podcasts for this topic.');
+      console.error('Topic podcasts error:', err);
+    } finally {
+      setLoadingPodcasts(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    api.get('/topics')
+      .then(response => {
+        const sorted = [...response.data.topics].sort((a, b) => b.podcast_count - a.podcast_count);
+        setTopics(sorted);
+      })
+      .catch(err => {
+        setError(err.response?.data?.message || 'Failed to load topics. Please try again.');
+        console.error('Topics error:', err);
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  // The selected topic lives in the URL, so explanation chips can link to it
+  useEffect(() => {
+    const topic = topics.find(item => String(item.id) === topicParam) || null;
+    setSelected(topic);
+    setPodcasts([]);
+    setNextOffset(null);
+    if (topic) loadPodcasts(topic);
+  }, [topics, topicParam, loadPodcasts]);
+
+  const selectTopic = (topic) => setSearchParams({ topic: String(topic.id) });
+
+  const addToFavorites = async (podcast) => {
+    try {
+      await addFavorite(toFavorite(podcast));
+    } catch (err) {
+      alert(err.response?.data?.message || 'Failed to add podcast to favorites.');
+    }
+  };
+
+  const removeFromFavorites = (podcastId) => {
+    removeFavorite(podcastId).catch(err => console.error('Error removing favorite:', err));
+  };
+
+  return (
+    <div className="max-w-4xl mx-auto">
+      <h2 className="text-3xl font-bold text-blue-800 mb-6">Browse by Topic</h2>
+
+      {error && (
+        <div className="bg-red-100 text-red-700 p-4 rounded-lg mb-6">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="text-center text-gray-600">Loading topics...</div>
+      ) : (
+        <div className="flex flex-wrap gap-2 mb-8">
+          {topics.map(topic => (
+            <button
+              key={topic.id}
+              onClick={() => selectTopic(topic)}
+              title={topic.terms.map(term => term.term).join(', ')}
+              className={`px-3 py-1 rounded-full text-sm transition duration-200 ${
+                selected?.id === topic.id
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white text-blue-800 border border-blue-200 hover:bg-blue-50'
+              }`}
+            >
+              {topic.label} <span className="opacity-70">({topic.podcast_count})</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selected && (
+        <div>
+          <h3 className="text-xl font-semibold text-blue-800 mb-1">{selected.label}</h3>
+          <p className="text-sm text-gray-600 mb-4">
+            Also about: {selected.terms.slice(3).map(term => term.term).join(', ') || 'nothing else yet'}
+          </p>
+
+          {podcasts.length > 0 ? (
+            <div className="grid gap-4">
+              {podcasts.map(podcast => (
+                <div key={podcast.id} className="bg-white rounded-lg shadow-md p-4 flex gap-4">
+                  <img
+                    src={podcast.thumbnail || podcast.image || 'https://via.placeholder.com/150'}
+                    alt={podcast.title || podcast.title_original}
+                    className="h-24 w-24 object-cover rounded"
+                  />
+                  <div className="flex-1">
+                    <div className="flex justify-between items-start gap-2">
+                      <h4 className="text-lg font-semibold">{podcast.title || podcast.title_original}</h4>
+                      <span className="text-xs text-gray-500 whitespace-nowrap">
+                        {Math.round(podcast.topic_share * 100)}% on topic
+                      </span>
+                    </div>
+                    <p className="text-gray-700 text-sm mb-2 line-clamp-2">{podcast.description || podcast.description_original}</p>
+                    <div className="flex flex-wrap items-center gap-2">
+                      {podcast.genre_ids?.slice(0, 3).map(genre => (
+                        <span key={genre} className="bg-blue-100 text-blue-700 text-xs px-2 py-1 rounded">
+                          {genreName(genre)}
+                        </span>
+                      ))}
+                      {isFavorite(podcast.id) ? (
+                        <button
+                          onClick={() => removeFromFavorites(podcast.id)}
+                          className="ml-auto text-sm bg-red-600 text-white px-3 py-1 rounded hover:bg-red-700 transition duration-200"
+                        >
+                          Remove from Favorites
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => addToFavorites(podcast)}
+                          className="ml-auto text-sm bg-green-600 text-white px-3 py-1 rounded hover:bg-green-700 transition duration-200"
+                        >
+                          Add to Favorites
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            !loadingPodcasts && (
+              <div className="bg-gray-100 rounded-lg p-6 text-center text-gray-600">
+                No podcasts are mostly about this topic.
+              </div>
+            )
+          )}
+
+          {nextOffset !== null && (
+            <div className="text-center mt-6">
+              <button
+                onClick={() => loadPodcasts(selected, nextOffset)}
+                disabled={loadingPodcasts}
+                className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition duration-200 disabled:opacity-50"
+              >
+                {loadingPodcasts ? 'Loading...' : 'Show More'}
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TopicsPage;
@@ -0,0 +1,145 @@
+import axios from 'axios';
+
+export const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+const TOKEN_STORAGE_KEY = 'podcastAuthToken';
+
+/**
+ * Session token of the logged-in user, if any
+ */
+export const getAuthToken = () => localStorage.getItem(TOKEN_STORAGE_KEY);
+
+/**
+ * Store or forget the session token
+ */
+export const setAuthToken = (token) => {
+  if (token) {
+    localStorage.setItem(TOKEN_STORAGE_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_STORAGE_KEY);
+  }
+};
+
+/**
+ * Axios instance for the backend API; sends the session token when logged in
+ */
+const api = axios.create({ baseURL: API_BASE_URL });
+
+api.interceptors.request.use((config) => {
+  const token = getAuthToken();
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+export const authApi = {
+  register: async (username, password) => (await api.post('/auth/register', { username, password })).data,
+  login: async (username, password) => (await api.post('/auth/login', { username, password })).data,
+  logout: () => api.post('/auth/logout'),
+  me: async () => (await api.get('/auth/me')).data.user
+};
+
+// Every favorites call resolves to the updated list, in saved order
+export const favoritesApi = {
+  list: async () => (await api.get('/favorites')).data.favorites,
+  add: async (podcast) => (await api.post('/favorites', { podcast })).data.favorites,
+  import: async (favorites) => (await api.post('/favorites/import', { favorites })).data,
+  remove: async (podcastId) => (await api.delete(`/favorites/${encodeURIComponent(podcastId)}`)).data.favorites,
+  reorder: async (ids) => (await api.put('/favorites/order', { ids })).data.favorites,
+  replace: async (favorites) => (await api.put('/favorites', { favorites })).data.favorites,
+  clear: async () => (await api.delete('/favorites')).data.favorites
+};
+
+export const collectionsApi = {
+  list: async () => (await api.get('/collections')).data.collections,
+  create: async (name) => (await api.post('/collections', { name })).data.collection,
+  rename: async (id, name) => (await api.patch(`/collections/${id}`, { name })).data.collection,
+  remove: (id) => api.delete(`/collections/${id}`),
+  addPodcast: async (id, podcastId) => (await api.put(`/collections/${id}/podcasts/${encodeURIComponent(podcastId)}`)).data.collection,
+  removePodcast: async (id, podcastId) => (await api.delete(`/collections/${id}/podcasts/${encodeURIComponent(podcastId)}`)).data.collection
+};
+
+export const dislikesApi = {
+  list: async () => (await api.get('/dislikes')).data.dislikes,
+  add: async (podcast) => (await api.post('/dislikes', { podcast })).data.dislikes,
+  import: async (dislikes) => (await api.post('/dislikes', { dislikes })).data.dislikes,
+  remove: async (podcastId) => (await api.delete(`/dislikes/${encodeURIComponent(podcastId)}`)).data.dislikes,
+  clear: async () => (await api.delete('/dislikes')).data.dislikes
+};
+
+/**
+ * Parse one Server-Sent Events frame into { event, data }
+ */
+const parseEventFrame = (frame) => {
+  let event = 'message';
+  const data = [];
+
+  frame.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
+    }
+  });
+
+  return data.length > 0 ? { event, data: JSON.parse(data.join('\n')) } : null;
+};
+
+/**
+ * Read a Server-Sent Events response body, calling onEvent(event, data) for each event
+ */
+const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const frames = buffer.split('\n\n');
+    buffer = frames.pop();
+    frames.map(parseEventFrame).filter(Boolean).forEach(({ event, data }) => onEvent(event, data));
+  }
+};
+
+/**
+ * Open a Server-Sent Events endpoint with fetch (EventSource can't POST or send
+ * the auth header) and call onEvent(event, data) for each event
+ */
+const fetchEventStream = async (path, { method = 'GET', body, signal } = {}, onEvent) => {
+  const token = getAuthToken();
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    signal
+  });
+
+  // Invalid requests are rejected before the stream starts, as plain JSON
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const error = new Error(data.message || 'Failed to get recommendations. Please try again.');
+    error.status = response.status;
+    throw error;
+  }
+
+  await readEventStream(response, onEvent);
+};
+
+export const recommendationsApi = {
+  // Background jobs survive dropped connections and page reloads
+  startJob: async (body) => (await api.post('/recommendations/jobs', body)).data.job,
+  getJob: async (id) => (await api.get(`/recommendations/jobs/${encodeURIComponent(id)}`)).data.job,
+  cancelJob: (id) => api.delete(`/recommendations/jobs/${encodeURIComponent(id)}`),
+  followJob: (id, onEvent, signal) => fetchEventStream(`/recommendations/jobs/${encodeURIComponent(id)}/events`, { signal }, onEvent),
+  // Next page of a finished run: { recommendations, result_token, next_cursor, total }
+  getResults: async (token, cursor, limit) => (await api.get(`/recommendations/results/${encodeURIComponent(token)}`, { params: { cursor, limit } })).data
+};
+
+export default api;
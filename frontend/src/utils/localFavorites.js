@@ -0,0 +1,38 @@
+/**
+ * Favorites and "not interested" podcasts kept in localStorage for visitors who aren't logged in
+ */
+export const FAVORITES_STORAGE_KEY = 'podcastFavorites';
+export const DISLIKES_STORAGE_KEY = 'podcastDislikes';
+
+const readList = (key) => {
+  try {
+    const saved = localStorage.getItem(key);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error(`Error parsing ${key} from localStorage:`, error);
+    localStorage.removeItem(key); // Clear corrupted data
+    return [];
+  }
+};
+
+const writeList = (key, list) => {
+  localStorage.setItem(key, JSON.stringify(list));
+  return list;
+};
+
+export const readLocalFavorites = () => readList(FAVORITES_STORAGE_KEY);
+
+export const writeLocalFavorites = (favorites) => writeList(FAVORITES_STORAGE_KEY, favorites);
+
+export const clearLocalFavorites = () => {
+  localStorage.removeItem(FAVORITES_STORAGE_KEY);
+};
+
+export const readLocalDislikes = () => readList(DISLIKES_STORAGE_KEY);
+
+export const writeLocalDislikes = (dislikes) => writeList(DISLIKES_STORAGE_KEY, dislikes);
+
+export const clearLocalDislikes = () => {
+  localStorage.removeItem(DISLIKES_STORAGE_KEY);
+};